@@ -0,0 +1,57 @@
+<?php
+
+namespace App\Http\Controllers\Api\V1;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\Api\V1\PrayerTimesRequest;
+use App\Services\PrayerTimes\PrayerSettings;
+use App\Services\PrayerTimes\PrayerTimeCalculator;
+use DateTimeImmutable;
+use DateTimeInterface;
+use DateTimeZone;
+use Illuminate\Http\JsonResponse;
+
+class PrayerTimesController extends Controller
+{
+    /**
+     * Prayer times for a location and calendar day.
+     *
+     * Times are ISO 8601 in the requested timezone (UTC by default), or null
+     * when the sun never reaches the required altitude that day.
+     */
+    public function __invoke(
+        PrayerTimesRequest $request,
+        PrayerSettings $prayerSettings,
+        PrayerTimeCalculator $calculator,
+    ): JsonResponse {
+        $latitude = (float) $request->validated('lat');
+        $longitude = (float) $request->validated('lng');
+        $timezone = new DateTimeZone($request->validated('timezone', 'UTC'));
+        $date = $request->has('date')
+            ? DateTimeImmutable::createFromFormat('!Y-m-d', $request->validated('date'), $timezone)
+            : new DateTimeImmutable('today', $timezone);
+
+        $resolved = $prayerSettings->resolve($request->settings(), $latitude, $longitude);
+        $times = $calculator->calculate($latitude, $longitude, $date, $prayerSettings->parameters($resolved));
+
+        return response()->json([
+            'data' => [
+                'location' => ['lat' => $latitude, 'lng' => $longitude, 'country' => $resolved['country']],
+                'date' => $date->format('Y-m-d'),
+                'timezone' => $timezone->getName(),
+                'settings' => [
+                    'method' => $resolved['method'],
+                    'madhab' => $resolved['madhab'],
+                    'high_latitude_rule' => $resolved['highLatitudeRule'],
+                    'fajr_angle' => $resolved['fajrAngle'],
+                    'isha_angle' => $resolved['ishaAngle'],
+                    'adjustments' => $resolved['adjustments'],
+                ],
+                'times' => array_map(
+                    fn (?DateTimeImmutable $time) => $time?->setTimezone($timezone)->format(DateTimeInterface::ATOM),
+                    $times,
+                ),
+            ],
+        ]);
+    }
+}
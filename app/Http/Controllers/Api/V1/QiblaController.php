@@ -0,0 +1,30 @@
+<?php
+
+namespace App\Http\Controllers\Api\V1;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\Api\V1\QiblaRequest;
+use App\Services\QiblaCalculator;
+use Illuminate\Http\JsonResponse;
+
+class QiblaController extends Controller
+{
+    /**
+     * Great-circle Qibla direction and distance for a location.
+     */
+    public function __invoke(QiblaRequest $request, QiblaCalculator $qibla): JsonResponse
+    {
+        $latitude = (float) $request->validated('lat');
+        $longitude = (float) $request->validated('lng');
+
+        return response()->json([
+            'data' => [
+                'location' => ['lat' => $latitude, 'lng' => $longitude],
+                'kaaba' => ['lat' => QiblaCalculator::MECCA_LATITUDE, 'lng' => QiblaCalculator::MECCA_LONGITUDE],
+                'direction' => $qibla->direction($latitude, $longitude),
+                'final_bearing' => $qibla->finalBearing($latitude, $longitude),
+                'distance_km' => $qibla->distance($latitude, $longitude),
+            ],
+        ]);
+    }
+}
@@ -0,0 +1,67 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Services\PrayerTimes\CalculationParameters;
+use App\Services\PrayerTimes\PrayerSettings;
+use Illuminate\Contracts\View\View;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Validator;
+use Illuminate\Validation\Rule;
+
+class EmbedController extends Controller
+{
+    /**
+     * Languages with a message catalog in resources/js/locales.
+     */
+    private const LOCALES = ['en', 'ar', 'ur', 'fr', 'tr', 'id'];
+
+    /**
+     * Qibla compass and today's prayer times for a fixed location, to be
+     * framed by other sites (directly or through public/widget.js).
+     *
+     * Invalid options are listed in the frame instead of the widget, so
+     * whoever is embedding it can see what to fix.
+     */
+    public function __invoke(Request $request): View
+    {
+        $validator = Validator::make($request->query(), [
+            'lat' => ['required', 'numeric', 'between:-90,90'],
+            'lng' => ['required', 'numeric', 'between:-180,180'],
+            'name' => ['nullable', 'string', 'max:100'],
+            'method' => ['nullable', Rule::in([PrayerSettings::AUTO, ...array_keys(CalculationParameters::METHODS)])],
+            'madhab' => ['nullable', Rule::in([
+                PrayerSettings::AUTO,
+                CalculationParameters::MADHAB_SHAFI,
+                CalculationParameters::MADHAB_HANAFI,
+            ])],
+            'theme' => ['nullable', Rule::in(['auto', 'light', 'dark'])],
+            'lang' => ['nullable', Rule::in(self::LOCALES)],
+            'time_format' => ['nullable', Rule::in(['auto', '12h', '24h'])],
+            'timezone' => ['nullable', 'timezone:all'],
+            'show' => ['nullable', Rule::in(['all', 'compass', 'prayers'])],
+        ]);
+
+        if ($validator->fails()) {
+            return view('embed', ['problems' => $validator->errors()->all(), 'widget' => null, 'theme' => 'auto']);
+        }
+
+        $options = $validator->validated();
+
+        return view('embed', [
+            'problems' => [],
+            'theme' => $options['theme'] ?? 'auto',
+            'widget' => [
+                'latitude' => (float) $options['lat'],
+                'longitude' => (float) $options['lng'],
+                'name' => $options['name'] ?? null,
+                'method' => $options['method'] ?? PrayerSettings::AUTO,
+                'madhab' => $options['madhab'] ?? PrayerSettings::AUTO,
+                'locale' => $options['lang'] ?? null,
+                'timeFormat' => $options['time_format'] ?? 'auto',
+                'timeZone' => $options['timezone'] ?? null,
+                'show' => $options['show'] ?? 'all',
+            ],
+        ]);
+    }
+}
@@ -0,0 +1,88 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Services\QiblaCalculator;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Validator;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class HomeController extends Controller
+{
+    private const CARDINAL_DIRECTIONS = [
+        'North', 'North-Northeast', 'Northeast', 'East-Northeast',
+        'East', 'East-Southeast', 'Southeast', 'South-Southeast',
+        'South', 'South-Southwest', 'Southwest', 'West-Southwest',
+        'West', 'West-Northwest', 'Northwest', 'North-Northwest',
+    ];
+
+    public function __construct(private readonly QiblaCalculator $qibla)
+    {
+    }
+
+    /**
+     * The compass, optionally for a shared location (/?lat=..&lng=..&name=..).
+     *
+     * Invalid or partial coordinates are ignored and the app asks for the
+     * device location as usual.
+     */
+    public function index(Request $request): Response
+    {
+        $validator = Validator::make($request->query(), [
+            'lat' => ['required', 'numeric', 'between:-90,90'],
+            'lng' => ['required', 'numeric', 'between:-180,180'],
+            'name' => ['nullable', 'string', 'max:100'],
+        ]);
+
+        if ($validator->fails()) {
+            return Inertia::render('Home', ['sharedLocation' => null]);
+        }
+
+        return $this->renderShared(
+            (float) $request->query('lat'),
+            (float) $request->query('lng'),
+            $request->query('name'),
+        );
+    }
+
+    /**
+     * The compass for a shared location (/at/{lat},{lng}?name=..).
+     */
+    public function at(Request $request, string $lat, string $lng): Response
+    {
+        abort_unless(abs((float) $lat) <= 90 && abs((float) $lng) <= 180, 404);
+
+        $name = $request->query('name');
+
+        return $this->renderShared(
+            (float) $lat,
+            (float) $lng,
+            is_string($name) && $name !== '' ? mb_substr($name, 0, 100) : null,
+        );
+    }
+
+    /**
+     * Pass the location to the page and describe it for link previews.
+     */
+    private function renderShared(float $latitude, float $longitude, ?string $name): Response
+    {
+        $direction = $this->qibla->direction($latitude, $longitude);
+        $distance = $this->qibla->distance($latitude, $longitude);
+        $place = $name ?? sprintf('%.4f, %.4f', $latitude, $longitude);
+        $cardinal = self::CARDINAL_DIRECTIONS[(int) round($direction / 22.5) % 16];
+
+        return Inertia::render('Home', [
+            'sharedLocation' => ['lat' => $latitude, 'lng' => $longitude, 'name' => $name],
+        ])->withViewData('meta', [
+            'title' => sprintf('Qibla from %s: %d° (%s)', $place, round($direction), $cardinal),
+            'description' => sprintf(
+                'From %s, face %.1f° from true north (%s) to pray towards the Kaaba, %s km away.',
+                $place,
+                $direction,
+                $cardinal,
+                number_format($distance),
+            ),
+        ]);
+    }
+}
@@ -0,0 +1,59 @@
+<?php
+
+namespace App\Http\Requests\Api\V1;
+
+use App\Services\PrayerTimes\CalculationParameters;
+use App\Services\PrayerTimes\PrayerSettings;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class PrayerTimesRequest extends FormRequest
+{
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'lat' => ['required', 'numeric', 'between:-90,90'],
+            'lng' => ['required', 'numeric', 'between:-180,180'],
+            'date' => ['sometimes', 'date_format:Y-m-d'],
+            'timezone' => ['sometimes', 'timezone:all'],
+            'method' => ['sometimes', Rule::in([PrayerSettings::AUTO, ...array_keys(CalculationParameters::METHODS)])],
+            'madhab' => ['sometimes', Rule::in([
+                PrayerSettings::AUTO,
+                CalculationParameters::MADHAB_SHAFI,
+                CalculationParameters::MADHAB_HANAFI,
+            ])],
+            'high_latitude_rule' => ['sometimes', Rule::in([
+                PrayerSettings::RECOMMENDED,
+                CalculationParameters::MIDDLE_OF_THE_NIGHT,
+                CalculationParameters::SEVENTH_OF_THE_NIGHT,
+                CalculationParameters::TWILIGHT_ANGLE,
+            ])],
+            'fajr_angle' => ['sometimes', 'numeric', 'between:0,30'],
+            'isha_angle' => ['sometimes', 'numeric', 'between:0,30'],
+            'adjustments' => ['sometimes', 'array:'.implode(',', CalculationParameters::PRAYERS)],
+            'adjustments.*' => ['integer', 'between:-60,60'],
+        ];
+    }
+
+    /**
+     * Settings in the shape used by the app (see resources/js/utils/prayerSettings.js).
+     *
+     * @return array{method: string, madhab: string, highLatitudeRule: string, fajrAngle: float|null, ishaAngle: float|null, adjustments: array<string, int>}
+     */
+    public function settings(): array
+    {
+        return [
+            'method' => $this->input('method', PrayerSettings::AUTO),
+            'madhab' => $this->input('madhab', PrayerSettings::AUTO),
+            'highLatitudeRule' => $this->input('high_latitude_rule', PrayerSettings::RECOMMENDED),
+            'fajrAngle' => $this->has('fajr_angle') ? (float) $this->input('fajr_angle') : null,
+            'ishaAngle' => $this->has('isha_angle') ? (float) $this->input('isha_angle') : null,
+            'adjustments' => array_map('intval', $this->input('adjustments', [])),
+        ];
+    }
+}
@@ -0,0 +1,59 @@
+<?php
+
+namespace App\Services;
+
+/**
+ * Offline country lookup from coordinates.
+ *
+ * Reads the same bounding boxes as resources/js/utils/countryLookup.js, so
+ * results near borders can be wrong; only used to suggest defaults.
+ */
+class CountryLookup
+{
+    /**
+     * Bounding boxes, smallest first so enclaves win over their neighbours.
+     *
+     * @var list<array{code: string, name: string, minLat: float, minLng: float, maxLat: float, maxLng: float}>|null
+     */
+    private ?array $bounds = null;
+
+    /**
+     * Find the country containing a point.
+     *
+     * @return array{code: string, name: string}|null
+     */
+    public function detect(float $latitude, float $longitude): ?array
+    {
+        foreach ($this->bounds() as $box) {
+            if ($latitude >= $box['minLat'] && $latitude <= $box['maxLat']
+                && $longitude >= $box['minLng'] && $longitude <= $box['maxLng']) {
+                return ['code' => $box['code'], 'name' => $box['name']];
+            }
+        }
+
+        return null;
+    }
+
+    private function bounds(): array
+    {
+        if ($this->bounds !== null) {
+            return $this->bounds;
+        }
+
+        $data = json_decode(file_get_contents(resource_path('js/data/countryBounds.json')), true);
+
+        $bounds = array_map(fn (array $row) => [
+            'code' => $row[0],
+            'name' => $row[1],
+            'minLat' => $row[2],
+            'minLng' => $row[3],
+            'maxLat' => $row[4],
+            'maxLng' => $row[5],
+        ], $data['countries']);
+
+        usort($bounds, fn (array $a, array $b) => ($a['maxLat'] - $a['minLat']) * ($a['maxLng'] - $a['minLng'])
+            <=> ($b['maxLat'] - $b['minLat']) * ($b['maxLng'] - $b['minLng']));
+
+        return $this->bounds = $bounds;
+    }
+}
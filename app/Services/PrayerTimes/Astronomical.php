@@ -0,0 +1,349 @@
+<?php
+
+namespace App\Services\PrayerTimes;
+
+/**
+ * Astronomical formulas used by the prayer time calculation.
+ *
+ * A line-by-line port of adhan-js (Astronomical.js and MathUtils.js), which the
+ * front end uses, so both sides produce the same times. Equations are from
+ * Jean Meeus, "Astronomical Algorithms".
+ */
+final class Astronomical
+{
+    /**
+     * The geometric mean longitude of the sun in degrees.
+     */
+    public static function meanSolarLongitude(float $T): float
+    {
+        return self::unwindAngle(280.4664567 + 36000.76983 * $T + 0.0003032 * ($T ** 2));
+    }
+
+    /**
+     * The geometric mean longitude of the moon in degrees.
+     */
+    public static function meanLunarLongitude(float $T): float
+    {
+        return self::unwindAngle(218.3165 + 481267.8813 * $T);
+    }
+
+    public static function ascendingLunarNodeLongitude(float $T): float
+    {
+        return self::unwindAngle(125.04452 - 1934.136261 * $T + 0.0020708 * ($T ** 2) + ($T ** 3) / 450000);
+    }
+
+    /**
+     * The mean anomaly of the sun.
+     */
+    public static function meanSolarAnomaly(float $T): float
+    {
+        return self::unwindAngle(357.52911 + 35999.05029 * $T - 0.0001537 * ($T ** 2));
+    }
+
+    /**
+     * The Sun's equation of the center in degrees.
+     */
+    public static function solarEquationOfTheCenter(float $T, float $meanAnomaly): float
+    {
+        $Mrad = self::radians($meanAnomaly);
+        $term1 = (1.914602 - 0.004817 * $T - 0.000014 * ($T ** 2)) * sin($Mrad);
+        $term2 = (0.019993 - 0.000101 * $T) * sin(2 * $Mrad);
+        $term3 = 0.000289 * sin(3 * $Mrad);
+
+        return $term1 + $term2 + $term3;
+    }
+
+    /**
+     * The apparent longitude of the Sun, referred to the true equinox of the date.
+     */
+    public static function apparentSolarLongitude(float $T, float $meanLongitude): float
+    {
+        $longitude = $meanLongitude + self::solarEquationOfTheCenter($T, self::meanSolarAnomaly($T));
+        $Omega = 125.04 - 1934.136 * $T;
+        $Lambda = $longitude - 0.00569 - 0.00478 * sin(self::radians($Omega));
+
+        return self::unwindAngle($Lambda);
+    }
+
+    /**
+     * The mean obliquity of the ecliptic in degrees (IAU formula).
+     */
+    public static function meanObliquityOfTheEcliptic(float $T): float
+    {
+        return 23.439291 - 0.013004167 * $T - 0.0000001639 * ($T ** 2) + 0.0000005036 * ($T ** 3);
+    }
+
+    /**
+     * The mean obliquity of the ecliptic, corrected for the apparent position of the sun.
+     */
+    public static function apparentObliquityOfTheEcliptic(float $T, float $meanObliquity): float
+    {
+        $O = 125.04 - 1934.136 * $T;
+
+        return $meanObliquity + 0.00256 * cos(self::radians($O));
+    }
+
+    /**
+     * Mean sidereal time, the hour angle of the vernal equinox, in degrees.
+     */
+    public static function meanSiderealTime(float $T): float
+    {
+        $JD = $T * 36525 + 2451545.0;
+        $Theta = 280.46061837 + 360.98564736629 * ($JD - 2451545) + 0.000387933 * ($T ** 2) - ($T ** 3) / 38710000;
+
+        return self::unwindAngle($Theta);
+    }
+
+    public static function nutationInLongitude(float $L0, float $Lp, float $Omega): float
+    {
+        $term1 = -17.2 / 3600 * sin(self::radians($Omega));
+        $term2 = 1.32 / 3600 * sin(2 * self::radians($L0));
+        $term3 = 0.23 / 3600 * sin(2 * self::radians($Lp));
+        $term4 = 0.21 / 3600 * sin(2 * self::radians($Omega));
+
+        return $term1 - $term2 - $term3 + $term4;
+    }
+
+    public static function nutationInObliquity(float $L0, float $Lp, float $Omega): float
+    {
+        $term1 = 9.2 / 3600 * cos(self::radians($Omega));
+        $term2 = 0.57 / 3600 * cos(2 * self::radians($L0));
+        $term3 = 0.1 / 3600 * cos(2 * self::radians($Lp));
+        $term4 = 0.09 / 3600 * cos(2 * self::radians($Omega));
+
+        return $term1 + $term2 + $term3 - $term4;
+    }
+
+    public static function altitudeOfCelestialBody(float $latitude, float $declination, float $hourAngle): float
+    {
+        $term1 = sin(self::radians($latitude)) * sin(self::radians($declination));
+        $term2 = cos(self::radians($latitude)) * cos(self::radians($declination)) * cos(self::radians($hourAngle));
+
+        return self::degrees(asin($term1 + $term2));
+    }
+
+    public static function approximateTransit(float $longitude, float $siderealTime, float $rightAscension): float
+    {
+        return self::normalizeToScale(($rightAscension - $longitude - $siderealTime) / 360, 1);
+    }
+
+    /**
+     * The time at which the sun is at its highest point in the sky (hours, universal time).
+     */
+    public static function correctedTransit(
+        float $m0,
+        float $longitude,
+        float $siderealTime,
+        float $rightAscension,
+        float $previousRightAscension,
+        float $nextRightAscension,
+    ): float {
+        $Lw = $longitude * -1;
+        $Theta = self::unwindAngle($siderealTime + 360.985647 * $m0);
+        $a = self::unwindAngle(self::interpolateAngles($rightAscension, $previousRightAscension, $nextRightAscension, $m0));
+        $H = self::quadrantShiftAngle($Theta - $Lw - $a);
+        $dm = $H / -360;
+
+        return ($m0 + $dm) * 24;
+    }
+
+    /**
+     * Time (hours, universal time) at which the sun reaches an altitude; NAN when it never does.
+     */
+    public static function correctedHourAngle(
+        float $m0,
+        float $angle,
+        float $latitude,
+        float $longitude,
+        bool $afterTransit,
+        SolarCoordinates $solar,
+        SolarCoordinates $prevSolar,
+        SolarCoordinates $nextSolar,
+    ): float {
+        $Lw = $longitude * -1;
+        $term1 = sin(self::radians($angle)) - sin(self::radians($latitude)) * sin(self::radians($solar->declination));
+        $term2 = cos(self::radians($latitude)) * cos(self::radians($solar->declination));
+        $H0 = self::degrees(acos($term1 / $term2));
+        $m = $afterTransit ? $m0 + $H0 / 360 : $m0 - $H0 / 360;
+        $Theta = self::unwindAngle($solar->apparentSiderealTime + 360.985647 * $m);
+        $a = self::unwindAngle(self::interpolateAngles(
+            $solar->rightAscension,
+            $prevSolar->rightAscension,
+            $nextSolar->rightAscension,
+            $m,
+        ));
+        $delta = self::interpolate($solar->declination, $prevSolar->declination, $nextSolar->declination, $m);
+        $H = $Theta - $Lw - $a;
+        $h = self::altitudeOfCelestialBody($latitude, $delta, $H);
+        $term3 = $h - $angle;
+        $term4 = 360 * cos(self::radians($delta)) * cos(self::radians($latitude)) * sin(self::radians($H));
+        $dm = $term3 / $term4;
+
+        return ($m + $dm) * 24;
+    }
+
+    /**
+     * Interpolation of a value given equidistant previous and next values.
+     */
+    public static function interpolate(float $y2, float $y1, float $y3, float $n): float
+    {
+        $a = $y2 - $y1;
+        $b = $y3 - $y2;
+        $c = $b - $a;
+
+        return $y2 + $n / 2 * ($a + $b + $n * $c);
+    }
+
+    /**
+     * Interpolation of three angles, accounting for angle unwinding.
+     */
+    public static function interpolateAngles(float $y2, float $y1, float $y3, float $n): float
+    {
+        $a = self::unwindAngle($y2 - $y1);
+        $b = self::unwindAngle($y3 - $y2);
+        $c = $b - $a;
+
+        return $y2 + $n / 2 * ($a + $b + $n * $c);
+    }
+
+    /**
+     * The Julian Day for the given Gregorian date components.
+     */
+    public static function julianDay(int $year, int $month, int $day, float $hours = 0): float
+    {
+        $Y = $month > 2 ? $year : $year - 1;
+        $M = $month > 2 ? $month : $month + 12;
+        $D = $day + $hours / 24;
+        $A = intdiv($Y, 100);
+        $B = 2 - $A + intdiv($A, 4);
+        $i0 = (int) (365.25 * ($Y + 4716));
+        $i1 = (int) (30.6001 * ($M + 1));
+
+        return $i0 + $i1 + $D + $B - 1524.5;
+    }
+
+    /**
+     * Julian century from the epoch.
+     */
+    public static function julianCentury(float $julianDay): float
+    {
+        return ($julianDay - 2451545.0) / 36525;
+    }
+
+    public static function isLeapYear(int $year): bool
+    {
+        return $year % 4 === 0 && ($year % 100 !== 0 || $year % 400 === 0);
+    }
+
+    /**
+     * Moonsighting Committee Fajr: minutes before sunrise varying with season and latitude.
+     *
+     * @return float Milliseconds since the epoch
+     */
+    public static function seasonAdjustedMorningTwilight(float $latitude, int $dayOfYear, int $year, float $sunrise): float
+    {
+        $a = 75 + 28.65 / 55.0 * abs($latitude);
+        $b = 75 + 19.44 / 55.0 * abs($latitude);
+        $c = 75 + 32.74 / 55.0 * abs($latitude);
+        $d = 75 + 48.1 / 55.0 * abs($latitude);
+
+        $adjustment = self::seasonAdjustment($a, $b, $c, $d, self::daysSinceSolstice($dayOfYear, $year, $latitude));
+
+        return self::addSeconds($sunrise, self::jsRound($adjustment * -60.0));
+    }
+
+    /**
+     * Moonsighting Committee Isha: minutes after sunset varying with season and latitude.
+     *
+     * @return float Milliseconds since the epoch
+     */
+    public static function seasonAdjustedEveningTwilight(float $latitude, int $dayOfYear, int $year, float $sunset): float
+    {
+        // General shafaq (adhan's default), a combination of ahmer and abyad
+        $a = 75 + 25.6 / 55.0 * abs($latitude);
+        $b = 75 + 2.05 / 55.0 * abs($latitude);
+        $c = 75 - 9.21 / 55.0 * abs($latitude);
+        $d = 75 + 6.14 / 55.0 * abs($latitude);
+
+        $adjustment = self::seasonAdjustment($a, $b, $c, $d, self::daysSinceSolstice($dayOfYear, $year, $latitude));
+
+        return self::addSeconds($sunset, self::jsRound($adjustment * 60.0));
+    }
+
+    public static function daysSinceSolstice(int $dayOfYear, int $year, float $latitude): int
+    {
+        $daysInYear = self::isLeapYear($year) ? 366 : 365;
+
+        if ($latitude >= 0) {
+            $days = $dayOfYear + 10;
+
+            return $days >= $daysInYear ? $days - $daysInYear : $days;
+        }
+
+        $days = $dayOfYear - (self::isLeapYear($year) ? 173 : 172);
+
+        return $days < 0 ? $days + $daysInYear : $days;
+    }
+
+    /**
+     * Add seconds to a time in milliseconds, truncating like a JavaScript Date.
+     */
+    public static function addSeconds(float $milliseconds, float $seconds): float
+    {
+        $result = $milliseconds + $seconds * 1000;
+
+        return is_nan($result) ? NAN : (float) (int) $result;
+    }
+
+    public static function normalizeToScale(float $num, float $max): float
+    {
+        return $num - $max * floor($num / $max);
+    }
+
+    public static function unwindAngle(float $angle): float
+    {
+        return self::normalizeToScale($angle, 360.0);
+    }
+
+    public static function quadrantShiftAngle(float $angle): float
+    {
+        if ($angle >= -180 && $angle <= 180) {
+            return $angle;
+        }
+
+        return $angle - 360 * self::jsRound($angle / 360);
+    }
+
+    /**
+     * Same operation order as adhan-js, so results match to the last bit.
+     */
+    public static function radians(float $degrees): float
+    {
+        return $degrees * M_PI / 180.0;
+    }
+
+    public static function degrees(float $radians): float
+    {
+        return $radians * 180.0 / M_PI;
+    }
+
+    /**
+     * Math.round semantics: halves round towards positive infinity.
+     */
+    public static function jsRound(float $value): float
+    {
+        return floor($value + 0.5);
+    }
+
+    private static function seasonAdjustment(float $a, float $b, float $c, float $d, int $dyy): float
+    {
+        return match (true) {
+            $dyy < 91 => $a + ($b - $a) / 91.0 * $dyy,
+            $dyy < 137 => $b + ($c - $b) / 46.0 * ($dyy - 91),
+            $dyy < 183 => $c + ($d - $c) / 46.0 * ($dyy - 137),
+            $dyy < 229 => $d + ($c - $d) / 46.0 * ($dyy - 183),
+            $dyy < 275 => $c + ($b - $c) / 46.0 * ($dyy - 229),
+            default => $b + ($a - $b) / 91.0 * ($dyy - 275),
+        };
+    }
+}
@@ -0,0 +1,142 @@
+<?php
+
+namespace App\Services\PrayerTimes;
+
+use InvalidArgumentException;
+
+/**
+ * Angles, adjustments and rules for one calculation (port of adhan-js
+ * CalculationParameters and CalculationMethod).
+ */
+final class CalculationParameters
+{
+    public const PRAYERS = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+
+    public const MADHAB_SHAFI = 'shafi';
+
+    public const MADHAB_HANAFI = 'hanafi';
+
+    public const MIDDLE_OF_THE_NIGHT = 'middleofthenight';
+
+    public const SEVENTH_OF_THE_NIGHT = 'seventhofthenight';
+
+    public const TWILIGHT_ANGLE = 'twilightangle';
+
+    public const ROUNDING_NEAREST = 'nearest';
+
+    public const ROUNDING_UP = 'up';
+
+    /**
+     * Fajr/Isha angles, Isha interval (minutes), Maghrib angle and built-in
+     * adjustments (minutes) of every method adhan supports.
+     *
+     * @var array<string, array<string, mixed>>
+     */
+    public const METHODS = [
+        'MuslimWorldLeague' => ['fajrAngle' => 18, 'ishaAngle' => 17, 'methodAdjustments' => ['dhuhr' => 1]],
+        'Egyptian' => ['fajrAngle' => 19.5, 'ishaAngle' => 17.5, 'methodAdjustments' => ['dhuhr' => 1]],
+        'Karachi' => ['fajrAngle' => 18, 'ishaAngle' => 18, 'methodAdjustments' => ['dhuhr' => 1]],
+        'UmmAlQura' => ['fajrAngle' => 18.5, 'ishaInterval' => 90],
+        'Dubai' => [
+            'fajrAngle' => 18.2,
+            'ishaAngle' => 18.2,
+            'methodAdjustments' => ['sunrise' => -3, 'dhuhr' => 3, 'asr' => 3, 'maghrib' => 3],
+        ],
+        'MoonsightingCommittee' => [
+            'fajrAngle' => 18,
+            'ishaAngle' => 18,
+            'methodAdjustments' => ['dhuhr' => 5, 'maghrib' => 3],
+        ],
+        'NorthAmerica' => ['fajrAngle' => 15, 'ishaAngle' => 15, 'methodAdjustments' => ['dhuhr' => 1]],
+        'Kuwait' => ['fajrAngle' => 18, 'ishaAngle' => 17.5],
+        'Qatar' => ['fajrAngle' => 18, 'ishaInterval' => 90],
+        'Singapore' => [
+            'fajrAngle' => 20,
+            'ishaAngle' => 18,
+            'methodAdjustments' => ['dhuhr' => 1],
+            'rounding' => self::ROUNDING_UP,
+        ],
+        'Tehran' => ['fajrAngle' => 17.7, 'ishaAngle' => 14, 'maghribAngle' => 4.5],
+        'Turkey' => [
+            'fajrAngle' => 18,
+            'ishaAngle' => 17,
+            'methodAdjustments' => ['sunrise' => -7, 'dhuhr' => 5, 'asr' => 4, 'maghrib' => 7],
+        ],
+        // adhan's Other has no angles; the app starts custom angles from these
+        'Other' => ['fajrAngle' => 18, 'ishaAngle' => 17],
+    ];
+
+    public string $madhab = self::MADHAB_SHAFI;
+
+    public string $highLatitudeRule = self::MIDDLE_OF_THE_NIGHT;
+
+    /**
+     * User adjustments in minutes, keyed by prayer.
+     *
+     * @var array<string, float>
+     */
+    public array $adjustments = [];
+
+    /**
+     * Adjustments in minutes that belong to the method itself.
+     *
+     * @var array<string, float>
+     */
+    public array $methodAdjustments = [];
+
+    public string $rounding = self::ROUNDING_NEAREST;
+
+    public function __construct(
+        public readonly string $method,
+        public float $fajrAngle = 0,
+        public float $ishaAngle = 0,
+        public float $ishaInterval = 0,
+        public float $maghribAngle = 0,
+    ) {
+        $this->adjustments = array_fill_keys(self::PRAYERS, 0);
+        $this->methodAdjustments = array_fill_keys(self::PRAYERS, 0);
+    }
+
+    /**
+     * Parameters for a named method, e.g. "MuslimWorldLeague".
+     */
+    public static function forMethod(string $method): self
+    {
+        $definition = self::METHODS[$method] ?? throw new InvalidArgumentException("Unknown calculation method [{$method}].");
+
+        $params = new self(
+            $method,
+            $definition['fajrAngle'],
+            $definition['ishaAngle'] ?? 0,
+            $definition['ishaInterval'] ?? 0,
+            $definition['maghribAngle'] ?? 0,
+        );
+        $params->methodAdjustments = [...$params->methodAdjustments, ...($definition['methodAdjustments'] ?? [])];
+        $params->rounding = $definition['rounding'] ?? self::ROUNDING_NEAREST;
+
+        return $params;
+    }
+
+    /**
+     * Noon shadow multiple used for Asr.
+     */
+    public function shadowLength(): int
+    {
+        return $this->madhab === self::MADHAB_HANAFI ? 2 : 1;
+    }
+
+    /**
+     * Share of the night used as the earliest Fajr / latest Isha at high latitudes.
+     *
+     * @return array{fajr: float, isha: float}
+     */
+    public function nightPortions(): array
+    {
+        return match ($this->highLatitudeRule) {
+            self::MIDDLE_OF_THE_NIGHT => ['fajr' => 1 / 2, 'isha' => 1 / 2],
+            self::SEVENTH_OF_THE_NIGHT => ['fajr' => 1 / 7, 'isha' => 1 / 7],
+            self::TWILIGHT_ANGLE => ['fajr' => $this->fajrAngle / 60, 'isha' => $this->ishaAngle / 60],
+            default => throw new InvalidArgumentException("Invalid high latitude rule [{$this->highLatitudeRule}]."),
+        };
+    }
+}
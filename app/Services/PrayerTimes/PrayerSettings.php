@@ -0,0 +1,109 @@
+<?php
+
+namespace App\Services\PrayerTimes;
+
+use App\Services\CountryLookup;
+
+/**
+ * Resolves the app's prayer settings ("auto" method and madhab, "recommended"
+ * high latitude rule) into calculation parameters, as
+ * resources/js/utils/prayerSettings.js does.
+ */
+class PrayerSettings
+{
+    public const AUTO = 'auto';
+
+    public const RECOMMENDED = 'recommended';
+
+    /**
+     * Method and madhab in common use per country, with the fallback for
+     * countries not listed. Shared with the app through
+     * resources/js/data/countryPrayerDefaults.json.
+     *
+     * @var array{fallback: array{method: string, madhab: string}, countries: array<string, array{method: string, madhab?: string}>}|null
+     */
+    private ?array $countryDefaults = null;
+
+    public function __construct(private readonly CountryLookup $countries)
+    {
+    }
+
+    /**
+     * Suggest a calculation method and madhab for a location.
+     *
+     * @return array{method: string, madhab: string, country: array{code: string, name: string}|null}
+     */
+    public function recommend(float $latitude, float $longitude): array
+    {
+        $country = $this->countries->detect($latitude, $longitude);
+        ['fallback' => $fallback, 'countries' => $countries] = $this->countryDefaults();
+        $defaults = $country ? ($countries[$country['code']] ?? []) : [];
+
+        return [
+            'method' => $defaults['method'] ?? $fallback['method'],
+            'madhab' => $defaults['madhab'] ?? $fallback['madhab'],
+            'country' => $country,
+        ];
+    }
+
+    /**
+     * Replace "auto" and "recommended" with concrete values for a location.
+     *
+     * @param  array{method?: string, madhab?: string, highLatitudeRule?: string, fajrAngle?: float|null, ishaAngle?: float|null, adjustments?: array<string, float>}  $settings
+     * @return array{method: string, madhab: string, highLatitudeRule: string, fajrAngle: float|null, ishaAngle: float|null, adjustments: array<string, float>, country: array{code: string, name: string}|null}
+     */
+    public function resolve(array $settings, float $latitude, float $longitude): array
+    {
+        $recommended = $this->recommend($latitude, $longitude);
+        $method = $settings['method'] ?? self::AUTO;
+        $madhab = $settings['madhab'] ?? self::AUTO;
+        $rule = $settings['highLatitudeRule'] ?? self::RECOMMENDED;
+
+        return [
+            'method' => isset(CalculationParameters::METHODS[$method]) ? $method : $recommended['method'],
+            'madhab' => $madhab === self::AUTO ? $recommended['madhab'] : $madhab,
+            'highLatitudeRule' => $rule === self::RECOMMENDED
+                ? ($latitude > 48 ? CalculationParameters::SEVENTH_OF_THE_NIGHT : CalculationParameters::MIDDLE_OF_THE_NIGHT)
+                : $rule,
+            'fajrAngle' => $settings['fajrAngle'] ?? null,
+            'ishaAngle' => $settings['ishaAngle'] ?? null,
+            'adjustments' => [
+                ...array_fill_keys(CalculationParameters::PRAYERS, 0),
+                ...($settings['adjustments'] ?? []),
+            ],
+            'country' => $recommended['country'],
+        ];
+    }
+
+    /**
+     * Calculation parameters for settings that have been resolved.
+     */
+    public function parameters(array $resolved): CalculationParameters
+    {
+        $params = CalculationParameters::forMethod($resolved['method']);
+        $params->madhab = $resolved['madhab'];
+        $params->highLatitudeRule = $resolved['highLatitudeRule'];
+
+        if ($resolved['fajrAngle'] !== null) {
+            $params->fajrAngle = $resolved['fajrAngle'];
+        }
+
+        if ($resolved['ishaAngle'] !== null) {
+            // An explicit angle replaces interval-based Isha (Umm al-Qura, Qatar)
+            $params->ishaAngle = $resolved['ishaAngle'];
+            $params->ishaInterval = 0;
+        }
+
+        $params->adjustments = [...$params->adjustments, ...$resolved['adjustments']];
+
+        return $params;
+    }
+
+    private function countryDefaults(): array
+    {
+        return $this->countryDefaults ??= json_decode(
+            file_get_contents(resource_path('js/data/countryPrayerDefaults.json')),
+            true,
+        );
+    }
+}
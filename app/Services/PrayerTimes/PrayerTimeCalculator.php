@@ -0,0 +1,154 @@
+<?php
+
+namespace App\Services\PrayerTimes;
+
+use DateTimeImmutable;
+use DateTimeZone;
+
+/**
+ * Daily prayer times (port of adhan-js PrayerTimes).
+ *
+ * Follows the library step by step, including its whole-second truncation
+ * and minute rounding, so the API returns the same instants as the app.
+ * Polar circle resolution is not ported; the app leaves it unresolved too.
+ */
+final class PrayerTimeCalculator
+{
+    /**
+     * Prayer times for a calendar day.
+     *
+     * @return array<string, DateTimeImmutable|null> Keyed by prayer, in UTC; null when
+     *                                               the sun never reaches the required altitude
+     */
+    public function calculate(
+        float $latitude,
+        float $longitude,
+        DateTimeImmutable $date,
+        CalculationParameters $params,
+    ): array {
+        [$year, $month, $day] = array_map('intval', explode('-', $date->format('Y-n-j')));
+        $solarTime = new SolarTime($year, $month, $day, $latitude, $longitude);
+
+        $dhuhrTime = $this->utcTime($solarTime->transit, $year, $month, $day);
+        $sunriseTime = $this->utcTime($solarTime->sunrise, $year, $month, $day);
+        $sunsetTime = $this->utcTime($solarTime->sunset, $year, $month, $day);
+        $asrTime = $this->utcTime($solarTime->afternoon($params->shadowLength()), $year, $month, $day);
+
+        $tomorrow = $date->modify('+1 day');
+        [$tomorrowYear, $tomorrowMonth, $tomorrowDay] = array_map('intval', explode('-', $tomorrow->format('Y-n-j')));
+        $tomorrowSolarTime = new SolarTime($tomorrowYear, $tomorrowMonth, $tomorrowDay, $latitude, $longitude);
+        $tomorrowSunrise = $this->utcTime($tomorrowSolarTime->sunrise, $tomorrowYear, $tomorrowMonth, $tomorrowDay);
+        $night = ($tomorrowSunrise - $sunsetTime) / 1000;
+
+        $isMoonsighting = $params->method === 'MoonsightingCommittee';
+        $dayOfYear = (int) $date->format('z') + 1;
+
+        $fajrTime = $this->utcTime($solarTime->hourAngle(-1 * $params->fajrAngle, false), $year, $month, $day);
+
+        // Moonsighting Committee above latitude 55: a seventh of the night
+        if ($isMoonsighting && $latitude >= 55) {
+            $fajrTime = Astronomical::addSeconds($sunriseTime, -($night / 7));
+        }
+
+        $safeFajr = $isMoonsighting
+            ? Astronomical::seasonAdjustedMorningTwilight($latitude, $dayOfYear, $year, $sunriseTime)
+            : Astronomical::addSeconds($sunriseTime, -($params->nightPortions()['fajr'] * $night));
+
+        if (is_nan($fajrTime) || $safeFajr > $fajrTime) {
+            $fajrTime = $safeFajr;
+        }
+
+        if ($params->ishaInterval > 0) {
+            $ishaTime = Astronomical::addSeconds($sunsetTime, $params->ishaInterval * 60);
+        } else {
+            $ishaTime = $this->utcTime($solarTime->hourAngle(-1 * $params->ishaAngle, true), $year, $month, $day);
+
+            if ($isMoonsighting && $latitude >= 55) {
+                $ishaTime = Astronomical::addSeconds($sunsetTime, $night / 7);
+            }
+
+            $safeIsha = $isMoonsighting
+                ? Astronomical::seasonAdjustedEveningTwilight($latitude, $dayOfYear, $year, $sunsetTime)
+                : Astronomical::addSeconds($sunsetTime, $params->nightPortions()['isha'] * $night);
+
+            if (is_nan($ishaTime) || $safeIsha < $ishaTime) {
+                $ishaTime = $safeIsha;
+            }
+        }
+
+        $maghribTime = $sunsetTime;
+
+        if ($params->maghribAngle) {
+            $angleBasedMaghrib = $this->utcTime($solarTime->hourAngle(-1 * $params->maghribAngle, true), $year, $month, $day);
+
+            if ($sunsetTime < $angleBasedMaghrib && $ishaTime > $angleBasedMaghrib) {
+                $maghribTime = $angleBasedMaghrib;
+            }
+        }
+
+        $times = [
+            'fajr' => $fajrTime,
+            'sunrise' => $sunriseTime,
+            'dhuhr' => $dhuhrTime,
+            'asr' => $asrTime,
+            'maghrib' => $maghribTime,
+            'isha' => $ishaTime,
+        ];
+
+        $result = [];
+        foreach ($times as $prayer => $time) {
+            $minutes = ($params->adjustments[$prayer] ?? 0) + ($params->methodAdjustments[$prayer] ?? 0);
+            $result[$prayer] = $this->toDateTime(
+                $this->roundedMinute(Astronomical::addSeconds($time, $minutes * 60), $params->rounding),
+            );
+        }
+
+        return $result;
+    }
+
+    /**
+     * Hours after midnight UTC as milliseconds since the epoch, dropping
+     * fractions of a second (adhan's TimeComponents).
+     */
+    private function utcTime(float $value, int $year, int $month, int $day): float
+    {
+        if (is_nan($value)) {
+            return NAN;
+        }
+
+        $hours = floor($value);
+        $minutes = floor(($value - $hours) * 60);
+        $seconds = floor(($value - ($hours + $minutes / 60)) * 60 * 60);
+
+        return (gmmktime(0, 0, 0, $month, $day, $year) + $hours * 3600 + $minutes * 60 + $seconds) * 1000;
+    }
+
+    private function roundedMinute(float $milliseconds, string $rounding): float
+    {
+        if (is_nan($milliseconds)) {
+            return NAN;
+        }
+
+        $seconds = (int) floor($milliseconds / 1000) % 60;
+        $seconds = $seconds < 0 ? $seconds + 60 : $seconds;
+
+        $offset = match ($rounding) {
+            CalculationParameters::ROUNDING_UP => 60 - $seconds,
+            default => $seconds >= 30 ? 60 - $seconds : -1 * $seconds,
+        };
+
+        return Astronomical::addSeconds($milliseconds, $offset);
+    }
+
+    private function toDateTime(float $milliseconds): ?DateTimeImmutable
+    {
+        if (is_nan($milliseconds)) {
+            return null;
+        }
+
+        $seconds = (int) floor($milliseconds / 1000);
+        $microseconds = (int) ($milliseconds - $seconds * 1000) * 1000;
+
+        return DateTimeImmutable::createFromFormat('U u', sprintf('%d %06d', $seconds, $microseconds), new DateTimeZone('UTC'));
+    }
+}
@@ -0,0 +1,44 @@
+<?php
+
+namespace App\Services\PrayerTimes;
+
+/**
+ * Position of the sun for a Julian day (port of adhan-js SolarCoordinates).
+ */
+final class SolarCoordinates
+{
+    /**
+     * Angle between the sun's rays and the plane of the Earth's equator, in degrees.
+     */
+    public readonly float $declination;
+
+    /**
+     * Angular distance on the celestial equator from the vernal equinox to the sun, in degrees.
+     */
+    public readonly float $rightAscension;
+
+    /**
+     * Hour angle of the vernal equinox, in degrees.
+     */
+    public readonly float $apparentSiderealTime;
+
+    public function __construct(float $julianDay)
+    {
+        $T = Astronomical::julianCentury($julianDay);
+        $L0 = Astronomical::meanSolarLongitude($T);
+        $Lp = Astronomical::meanLunarLongitude($T);
+        $Omega = Astronomical::ascendingLunarNodeLongitude($T);
+        $Lambda = Astronomical::radians(Astronomical::apparentSolarLongitude($T, $L0));
+        $Theta0 = Astronomical::meanSiderealTime($T);
+        $dPsi = Astronomical::nutationInLongitude($L0, $Lp, $Omega);
+        $dEpsilon = Astronomical::nutationInObliquity($L0, $Lp, $Omega);
+        $Epsilon0 = Astronomical::meanObliquityOfTheEcliptic($T);
+        $EpsilonApparent = Astronomical::radians(Astronomical::apparentObliquityOfTheEcliptic($T, $Epsilon0));
+
+        $this->declination = Astronomical::degrees(asin(sin($EpsilonApparent) * sin($Lambda)));
+        $this->rightAscension = Astronomical::unwindAngle(Astronomical::degrees(
+            atan2(cos($EpsilonApparent) * sin($Lambda), cos($Lambda)),
+        ));
+        $this->apparentSiderealTime = $Theta0 + $dPsi * 3600 * cos(Astronomical::radians($Epsilon0 + $dEpsilon)) / 3600;
+    }
+}
@@ -0,0 +1,86 @@
+<?php
+
+namespace App\Services\PrayerTimes;
+
+/**
+ * Solar transit, sunrise and sunset for a calendar day (port of adhan-js SolarTime).
+ *
+ * Times are hours after midnight UTC of that day and may be NAN when the sun
+ * never reaches the altitude (polar day or night).
+ */
+final class SolarTime
+{
+    private const SOLAR_ALTITUDE = -50.0 / 60.0;
+
+    public readonly float $transit;
+
+    public readonly float $sunrise;
+
+    public readonly float $sunset;
+
+    private readonly float $approxTransit;
+
+    private readonly SolarCoordinates $solar;
+
+    private readonly SolarCoordinates $prevSolar;
+
+    private readonly SolarCoordinates $nextSolar;
+
+    public function __construct(
+        int $year,
+        int $month,
+        int $day,
+        private readonly float $latitude,
+        private readonly float $longitude,
+    ) {
+        $julianDay = Astronomical::julianDay($year, $month, $day);
+        $this->solar = new SolarCoordinates($julianDay);
+        $this->prevSolar = new SolarCoordinates($julianDay - 1);
+        $this->nextSolar = new SolarCoordinates($julianDay + 1);
+
+        $this->approxTransit = Astronomical::approximateTransit(
+            $longitude,
+            $this->solar->apparentSiderealTime,
+            $this->solar->rightAscension,
+        );
+        $this->transit = Astronomical::correctedTransit(
+            $this->approxTransit,
+            $longitude,
+            $this->solar->apparentSiderealTime,
+            $this->solar->rightAscension,
+            $this->prevSolar->rightAscension,
+            $this->nextSolar->rightAscension,
+        );
+        $this->sunrise = $this->hourAngle(self::SOLAR_ALTITUDE, false);
+        $this->sunset = $this->hourAngle(self::SOLAR_ALTITUDE, true);
+    }
+
+    /**
+     * Time at which the sun is at the given altitude, before or after transit.
+     */
+    public function hourAngle(float $angle, bool $afterTransit): float
+    {
+        return Astronomical::correctedHourAngle(
+            $this->approxTransit,
+            $angle,
+            $this->latitude,
+            $this->longitude,
+            $afterTransit,
+            $this->solar,
+            $this->prevSolar,
+            $this->nextSolar,
+        );
+    }
+
+    /**
+     * Asr: when an object's shadow is its noon shadow plus shadowLength times its height.
+     */
+    public function afternoon(float $shadowLength): float
+    {
+        $tangent = abs($this->latitude - $this->solar->declination);
+        $inverse = $shadowLength + tan(Astronomical::radians($tangent));
+        $angle = Astronomical::degrees(atan(1.0 / $inverse));
+
+        return $this->hourAngle($angle, true);
+    }
+}
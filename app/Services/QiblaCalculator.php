@@ -0,0 +1,77 @@
+<?php
+
+namespace App\Services;
+
+/**
+ * Great-circle Qibla bearing and distance to the Kaaba.
+ *
+ * Mirrors resources/js/utils/qiblaCalculations.js (same formulas and
+ * operation order) so the API and the app agree.
+ */
+class QiblaCalculator
+{
+    /**
+     * Kaaba coordinates, as in resources/js/constants/locations.js.
+     */
+    public const MECCA_LATITUDE = 21.4225;
+
+    public const MECCA_LONGITUDE = 39.8262;
+
+    public const EARTH_RADIUS_KM = 6371;
+
+    /**
+     * Qibla bearing from true north in degrees (0-360).
+     */
+    public function direction(float $latitude, float $longitude): float
+    {
+        return $this->initialBearing($latitude, $longitude, self::MECCA_LATITUDE, self::MECCA_LONGITUDE);
+    }
+
+    /**
+     * Bearing on arrival at the Kaaba in degrees (0-360).
+     */
+    public function finalBearing(float $latitude, float $longitude): float
+    {
+        return fmod($this->initialBearing(self::MECCA_LATITUDE, self::MECCA_LONGITUDE, $latitude, $longitude) + 180, 360);
+    }
+
+    /**
+     * Haversine distance to the Kaaba in kilometres.
+     */
+    public function distance(float $latitude, float $longitude): float
+    {
+        $φ1 = $this->toRadians($latitude);
+        $φ2 = $this->toRadians(self::MECCA_LATITUDE);
+        $Δφ = $this->toRadians(self::MECCA_LATITUDE - $latitude);
+        $Δλ = $this->toRadians(self::MECCA_LONGITUDE - $longitude);
+
+        $a = sin($Δφ / 2) * sin($Δφ / 2)
+            + cos($φ1) * cos($φ2) * sin($Δλ / 2) * sin($Δλ / 2);
+
+        $c = 2 * atan2(sqrt($a), sqrt(1 - $a));
+
+        return self::EARTH_RADIUS_KM * $c;
+    }
+
+    private function initialBearing(float $lat1, float $lng1, float $lat2, float $lng2): float
+    {
+        $φ1 = $this->toRadians($lat1);
+        $φ2 = $this->toRadians($lat2);
+        $Δλ = $this->toRadians($lng2 - $lng1);
+
+        $y = sin($Δλ) * cos($φ2);
+        $x = cos($φ1) * sin($φ2) - sin($φ1) * cos($φ2) * cos($Δλ);
+
+        return fmod($this->toDegrees(atan2($y, $x)) + 360, 360);
+    }
+
+    private function toRadians(float $degrees): float
+    {
+        return $degrees * (M_PI / 180);
+    }
+
+    private function toDegrees(float $radians): float
+    {
+        return $radians * (180 / M_PI);
+    }
+}
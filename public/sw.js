@@ -0,0 +1,190 @@
+/**
+ * Qibla Finder service worker
+ *
+ * Precaches the Vite build output listed in /build/manifest.json plus the
+ * app shell, so the Qibla calculation and prayer times (pure local math)
+ * keep working with no network.
+ *
+ * - /build/* assets: cache first (file names are content hashed)
+ * - Pages and Inertia visits: network first, falling back to the cache
+ * - Cross-origin requests (IP geolocation, fonts) are left to the network
+ *
+ * It also delivers prayer notifications scheduled by the page (see
+ * usePrayerNotifications) when Notification Triggers are available.
+ */
+
+const CACHE_PREFIX = "qibla-finder-";
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`;
+const BUILD_MANIFEST_URL = "/build/manifest.json";
+
+const APP_SHELL = [
+  "/",
+  "/timetable",
+  "/manifest.webmanifest",
+  "/icons/icon.svg",
+];
+
+const PRAYER_NOTIFICATION_TAG_PREFIX = "prayer-";
+
+/**
+ * Collect every file referenced by the Vite manifest (entries, chunks, css, assets)
+ */
+function collectBuildFiles(manifest) {
+  const files = new Set();
+  Object.values(manifest).forEach((chunk) => {
+    files.add(`/build/${chunk.file}`);
+    (chunk.css ?? []).forEach((file) => files.add(`/build/${file}`));
+    (chunk.assets ?? []).forEach((file) => files.add(`/build/${file}`));
+  });
+  return [...files];
+}
+
+/**
+ * Name the precache after the build so a new deploy gets a fresh cache
+ */
+async function buildCacheName(manifestText) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(manifestText));
+  const hash = [...new Uint8Array(digest).slice(0, 6)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+  return `${CACHE_PREFIX}build-${hash}`;
+}
+
+async function precache() {
+  const response = await fetch(BUILD_MANIFEST_URL, { cache: "no-store" });
+  const manifestText = await response.text();
+  const cacheName = await buildCacheName(manifestText);
+
+  const cache = await caches.open(cacheName);
+  await cache.addAll(collectBuildFiles(JSON.parse(manifestText)));
+
+  // Shell pages go in the runtime cache, which network-first requests keep fresh
+  const runtime = await caches.open(RUNTIME_CACHE);
+  await Promise.all(
+    APP_SHELL.map((url) => runtime.add(url).catch(() => undefined))
+  );
+
+  return cacheName;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const manifestText = await fetch(BUILD_MANIFEST_URL)
+        .then((response) => response.text())
+        .catch(() => null);
+      const current = manifestText ? await buildCacheName(manifestText) : null;
+
+      // Drop precaches from previous builds
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name.startsWith(`${CACHE_PREFIX}build-`) && current && name !== current)
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    // Responses carry "Vary: X-Inertia", so HTML and Inertia JSON are kept apart
+    // Pages read ?place= and ?lat=&lng= themselves, so any cached copy of the page will do
+    const cached =
+      (await cache.match(request)) ?? (await cache.match(request, { ignoreSearch: true }));
+    if (cached) return cached;
+    if (request.mode === "navigate") {
+      const shell = await cache.match("/");
+      if (shell) return shell;
+    }
+    throw error;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/api/")) return;
+
+  if (url.pathname.startsWith("/build/")) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  event.respondWith(networkFirst(request));
+});
+
+/**
+ * Replace the scheduled prayer notifications with a new list
+ * Pending ones are cancelled first, since the location or settings may have changed.
+ */
+async function schedulePrayerNotifications(notifications) {
+  const pending = await self.registration.getNotifications({ includeTriggered: true });
+  pending
+    .filter(
+      (notification) =>
+        notification.tag.startsWith(PRAYER_NOTIFICATION_TAG_PREFIX) &&
+        notification.timestamp > Date.now()
+    )
+    .forEach((notification) => notification.close());
+
+  if (typeof TimestampTrigger === "undefined") return;
+
+  await Promise.all(
+    notifications.map(({ title, timestamp, ...options }) =>
+      self.registration.showNotification(title, {
+        ...options,
+        timestamp,
+        icon: "/icons/icon.svg",
+        badge: "/icons/icon.svg",
+        data: { url: "/" },
+        showTrigger: new TimestampTrigger(timestamp),
+      })
+    )
+  );
+}
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "schedule-prayer-notifications") return;
+  event.waitUntil(schedulePrayerNotifications(event.data.notifications ?? []));
+});
+
+// Focus an open window (or open the app) when a notification is tapped
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url ?? "/";
+
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      const client = windows.find((candidate) => new URL(candidate.url).origin === self.location.origin);
+      if (client) return client.focus();
+      return self.clients.openWindow(url);
+    })()
+  );
+});
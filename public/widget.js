@@ -0,0 +1,86 @@
+/**
+ * Qibla Finder embeddable widget
+ *
+ * Defines <qibla-finder-widget>, which frames /embed from the site this
+ * script was loaded from and keeps the frame as tall as its content:
+ *
+ *   <script src="https://qibla.example.com/widget.js" defer></script>
+ *   <qibla-finder-widget lat="51.5194" lng="-0.0653" name="East London Mosque"
+ *     method="MoonsightingCommittee" timezone="Europe/London"></qibla-finder-widget>
+ *
+ * Attributes: lat, lng (required), name, method, madhab, theme
+ * ("auto" | "light" | "dark"), lang, time-format ("auto" | "12h" | "24h"),
+ * timezone (IANA name the prayer times are shown in; the visitor's own
+ * otherwise) and show ("all" | "compass" | "prayers"). Changing one
+ * reloads the frame.
+ */
+
+(function () {
+  const TAG_NAME = "qibla-finder-widget";
+
+  // Attribute name -> /embed query parameter
+  const OPTIONS = {
+    lat: "lat",
+    lng: "lng",
+    name: "name",
+    method: "method",
+    madhab: "madhab",
+    theme: "theme",
+    lang: "lang",
+    "time-format": "time_format",
+    timezone: "timezone",
+    show: "show",
+  };
+
+  if (customElements.get(TAG_NAME)) return;
+
+  const origin = new URL(document.currentScript?.src ?? "/", window.location.href).origin;
+
+  class QiblaFinderWidget extends HTMLElement {
+    static observedAttributes = Object.keys(OPTIONS);
+
+    constructor() {
+      super();
+      this.frame = document.createElement("iframe");
+      this.frame.title = "Qibla Finder";
+      this.frame.loading = "lazy";
+      this.frame.style.cssText = "display:block;width:100%;height:620px;border:0;color-scheme:normal;";
+      this.handleMessage = this.handleMessage.bind(this);
+
+      const style = document.createElement("style");
+      style.textContent = ":host{display:block;max-width:420px}";
+      this.attachShadow({ mode: "open" }).append(style, this.frame);
+    }
+
+    connectedCallback() {
+      window.addEventListener("message", this.handleMessage);
+      this.update();
+    }
+
+    disconnectedCallback() {
+      window.removeEventListener("message", this.handleMessage);
+    }
+
+    attributeChangedCallback() {
+      if (this.isConnected) this.update();
+    }
+
+    update() {
+      const url = new URL("/embed", origin);
+      Object.entries(OPTIONS).forEach(([attribute, param]) => {
+        const value = this.getAttribute(attribute);
+        if (value !== null && value !== "") url.searchParams.set(param, value);
+      });
+      if (this.frame.src !== url.toString()) this.frame.src = url.toString();
+    }
+
+    // Resize to the height reported by the framed page
+    handleMessage(event) {
+      if (event.origin !== origin || event.source !== this.frame.contentWindow) return;
+      if (event.data?.type !== "qibla-finder:resize") return;
+      this.frame.style.height = `${Math.ceil(event.data.height)}px`;
+    }
+  }
+
+  customElements.define(TAG_NAME, QiblaFinderWidget);
+})();
@@ -0,0 +1,224 @@
+import { useEffect, useRef, useState } from "react";
+import { ChevronLeft, ChevronRight, X } from "lucide-react";
+import { useCamera } from "../../hooks/useCamera";
+import { useI18n } from "../../hooks/useI18n";
+import { angleDifference } from "../../utils/qiblaCalculations";
+import { formatDistance } from "../../utils/formatting";
+
+/**
+ * Approximate field of view of a phone's main rear camera (degrees),
+ * measured along the short and long side of the picture
+ */
+const CAMERA_FOV = { short: 50, long: 65 };
+
+/**
+ * Elements Tab can reach inside the view
+ */
+const FOCUSABLE_SELECTOR =
+  'button:not([disabled]), a[href], input:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Augmented-reality Qibla view
+ * Shows the rear camera with a Kaaba marker anchored to the Qibla bearing.
+ *
+ * @param heading - Tilt-compensated true heading of the camera (degrees)
+ * @param qiblaDirection - Qibla bearing from true north (degrees)
+ * @param tilt - Device tilt from flat (degrees); 90 means upright
+ * @param distance - Distance to Mecca in km, shown on the marker
+ * @param distanceUnit - "km" or "mi" for the marker label
+ * @param alignmentTolerance - Degrees either side of the Qibla that count as aligned
+ * @param onClose - Leave AR mode
+ * @param onUnavailable - Called with a message when the camera cannot start
+ */
+export function ARQiblaView({
+  heading,
+  qiblaDirection,
+  tilt,
+  distance = null,
+  distanceUnit = "km",
+  alignmentTolerance = 5,
+  onClose,
+  onUnavailable,
+}) {
+  const { t, locale, formatNumber } = useI18n();
+  const videoRef = useRef(null);
+  const closeButtonRef = useRef(null);
+  const dialogRef = useRef(null);
+  const { stream, status, error, start, stop } = useCamera();
+  const [viewport, setViewport] = useState({
+    width: window.innerWidth,
+    height: window.innerHeight,
+  });
+
+  // Start the camera on open, release it on close
+  useEffect(() => {
+    start();
+    return stop;
+  }, [start, stop]);
+
+  useEffect(() => {
+    if (videoRef.current && stream) videoRef.current.srcObject = stream;
+  }, [stream]);
+
+  // Fall back to the compass when the camera is unavailable
+  useEffect(() => {
+    if (status === "denied" || status === "unsupported" || status === "error") {
+      onUnavailable?.(error);
+    }
+  }, [status, error, onUnavailable]);
+
+  // Keyboard: focus the close button on open and give focus back to the
+  // opener (the "Camera view" button) on close
+  useEffect(() => {
+    const opener = document.activeElement;
+    closeButtonRef.current?.focus();
+    return () => {
+      if (opener instanceof HTMLElement && opener.isConnected) opener.focus();
+    };
+  }, []);
+
+  // Escape leaves AR mode; Tab stays inside the view (it covers the page)
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") {
+        onClose();
+        return;
+      }
+      if (event.key !== "Tab" || !dialogRef.current) return;
+
+      const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE_SELECTOR)];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const outside = !dialogRef.current.contains(document.activeElement);
+
+      if (event.shiftKey && (outside || document.activeElement === first)) {
+        event.preventDefault();
+        last?.focus();
+      } else if (!event.shiftKey && (outside || document.activeElement === last)) {
+        event.preventDefault();
+        first?.focus();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  useEffect(() => {
+    const handleResize = () =>
+      setViewport({ width: window.innerWidth, height: window.innerHeight });
+    window.addEventListener("resize", handleResize);
+    return () => window.removeEventListener("resize", handleResize);
+  }, []);
+
+  const isLandscape = viewport.width > viewport.height;
+  const horizontalFov = isLandscape ? CAMERA_FOV.long : CAMERA_FOV.short;
+  const verticalFov = isLandscape ? CAMERA_FOV.short : CAMERA_FOV.long;
+
+  const offset = heading !== null && qiblaDirection !== null
+    ? angleDifference(heading, qiblaDirection)
+    : null;
+
+  // Camera elevation: 0 when upright, negative when pointing at the ground.
+  // The Kaaba sits on the horizon, which moves down as the camera looks up.
+  const cameraPitch = tilt !== null ? tilt - 90 : 0;
+  const markerX = offset !== null ? (offset / horizontalFov) * viewport.width : 0;
+  const markerY = (cameraPitch / verticalFov) * viewport.height;
+
+  const isVisible = offset !== null && Math.abs(offset) < horizontalFov / 2;
+  const isAligned = offset !== null && Math.abs(offset) < alignmentTolerance;
+
+  return (
+    <div
+      ref={dialogRef}
+      className="fixed inset-0 z-[100] bg-black"
+      role="dialog"
+      aria-modal="true"
+      aria-label={t("home.cameraView")}
+    >
+      <video
+        ref={videoRef}
+        autoPlay
+        playsInline
+        muted
+        className="absolute inset-0 w-full h-full object-cover"
+      />
+
+      {/* Horizon line */}
+      <div
+        className="absolute left-0 right-0 h-px bg-white/40"
+        style={{ top: "50%", transform: `translateY(${markerY}px)` }}
+      />
+
+      {/* Center crosshair */}
+      <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 pointer-events-none">
+        <div
+          className={`w-16 h-16 rounded-full border-2 ${
+            isAligned ? "border-emerald-400" : "border-white/70"
+          }`}
+        />
+      </div>
+
+      {/* Kaaba marker anchored to the Qibla bearing */}
+      {isVisible && (
+        <div
+          className="absolute top-1/2 left-1/2 pointer-events-none"
+          style={{ transform: `translate(-50%, -100%) translate(${markerX}px, ${markerY}px)` }}
+        >
+          <div className="flex flex-col items-center">
+            <div
+              className={`text-5xl ${
+                isAligned ? "drop-shadow-[0_0_15px_rgba(16,185,129,0.9)]" : "drop-shadow-lg"
+              }`}
+            >
+              🕋
+            </div>
+            {distance !== null && (
+              <span className="mt-1 px-2 py-0.5 rounded-full bg-black/50 text-xs text-white">
+                {t("camera.marker", { distance: formatDistance(distance, distanceUnit, 0, locale) })}
+              </span>
+            )}
+            <div className="w-0.5 h-8 bg-emerald-400" />
+          </div>
+        </div>
+      )}
+
+      {/* Edge arrows when the Qibla is out of frame (physical sides, also in RTL) */}
+      {offset !== null && !isVisible && (
+        <div
+          dir="ltr"
+          className={`absolute top-1/2 -translate-y-1/2 ${
+            offset > 0 ? "right-4" : "left-4"
+          } flex items-center gap-1 px-3 py-2 rounded-full bg-black/50 text-white`}
+        >
+          {offset < 0 && <ChevronLeft className="w-6 h-6" />}
+          <span className="font-semibold">{formatNumber(Math.abs(Math.round(offset)))}°</span>
+          {offset > 0 && <ChevronRight className="w-6 h-6" />}
+        </div>
+      )}
+
+      {/* Status */}
+      <div className="absolute bottom-10 left-0 right-0 text-center px-6">
+        <p className="inline-block px-4 py-2 rounded-full bg-black/50 text-white font-semibold">
+          {status === "starting"
+            ? t("camera.starting")
+            : offset === null
+            ? t("camera.waiting")
+            : isAligned
+            ? t("compass.facingKaaba")
+            : t(offset > 0 ? "compass.turnRight" : "compass.turnLeft", {
+                degrees: Math.abs(Math.round(offset)),
+              })}
+        </p>
+      </div>
+
+      <button
+        ref={closeButtonRef}
+        onClick={onClose}
+        className="absolute top-4 end-4 p-2 rounded-full bg-black/50 text-white hover:bg-black/70"
+        aria-label={t("camera.close")}
+      >
+        <X className="w-6 h-6" />
+      </button>
+    </div>
+  );
+}
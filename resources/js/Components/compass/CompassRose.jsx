@@ -1,30 +1,171 @@
 import { motion, useAnimation, AnimatePresence } from "framer-motion";
 import { useEffect, useMemo, useRef, useState } from "react";
+import { formatDeclination } from "../../utils/formatting";
+import { angleDifference, normalizeAngle } from "../../utils/qiblaCalculations";
+import { CALIBRATION_STATES, CALIBRATION_ISSUES } from "../../utils/headingQuality";
+import { MAX_COMPASS_TILT } from "../../utils/orientationMath";
+import { describeQiblaFromBody } from "../../utils/celestial";
+import { useI18n } from "../../hooks/useI18n";
+
+/**
+ * Badge labels and colours per heading quality
+ */
+const CALIBRATION_BADGES = {
+  [CALIBRATION_STATES.GOOD]: { labelKey: "compass.accuracyGood", color: "bg-emerald-400" },
+  [CALIBRATION_STATES.FAIR]: { labelKey: "compass.accuracyFair", color: "bg-amber-400" },
+  [CALIBRATION_STATES.POOR]: { labelKey: "compass.accuracyPoor", color: "bg-red-400" },
+};
+
+/**
+ * Guided figure-eight calibration shown over the dial when the heading is unreliable
+ */
+function CalibrationOverlay({ issues, onDismiss }) {
+  const { t } = useI18n();
+  const notAbsolute = issues.includes(CALIBRATION_ISSUES.NOT_ABSOLUTE);
+  const figureEight = "M 100 60 C 140 20, 180 60, 140 80 C 110 95, 90 25, 60 40 C 20 60, 60 100, 100 60 Z";
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="absolute inset-0 z-[60] rounded-full bg-gray-900/80 backdrop-blur-sm flex flex-col items-center justify-center text-center px-10"
+      role="alertdialog"
+      aria-label={t("compass.calibrationLabel")}
+    >
+      {notAbsolute ? (
+        <>
+          <p className="text-lg font-bold text-white">{t("compass.notAbsoluteTitle")}</p>
+          <p className="mt-2 text-sm text-white/80">{t("compass.notAbsoluteBody")}</p>
+        </>
+      ) : (
+        <>
+          <svg viewBox="0 0 200 120" className="w-40 h-24" aria-hidden="true">
+            <path d={figureEight} fill="none" stroke="rgba(255,255,255,0.35)" strokeWidth="3" strokeDasharray="6 6" />
+            <rect x="-9" y="-15" width="18" height="30" rx="4" fill="#34d399">
+              <animateMotion dur="3s" repeatCount="indefinite" rotate="auto" path={figureEight} />
+            </rect>
+          </svg>
+          <p className="mt-2 text-lg font-bold text-white">{t("compass.calibrateTitle")}</p>
+          <p className="mt-1 text-sm text-white/80">
+            {issues.includes(CALIBRATION_ISSUES.JUMPS) ? `${t("compass.interference")} ` : ""}
+            {t("compass.calibrateBody")}
+          </p>
+        </>
+      )}
+      <button
+        onClick={onDismiss}
+        className="mt-4 px-4 py-1.5 rounded-full bg-white text-gray-900 text-sm font-semibold hover:bg-white/90"
+      >
+        {t("common.dismiss")}
+      </button>
+    </motion.div>
+  );
+}
+
+/**
+ * Bubble level shown over the dial while the phone is tilted too far
+ */
+function LevelIndicator({ level }) {
+  const { t } = useI18n();
+  const clamp = (value) => Math.max(-1, Math.min(1, value));
+  const x = clamp(level?.x ?? 0) * 40;
+  const y = clamp(level?.y ?? 0) * 40;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="absolute inset-0 z-[55] rounded-full bg-gray-900/60 flex flex-col items-center justify-center pointer-events-none"
+      role="status"
+    >
+      <div className="relative w-28 h-28 rounded-full border-2 border-white/60">
+        {/* Target ring */}
+        <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 w-8 h-8 rounded-full border-2 border-white/60" />
+        {/* Bubble */}
+        <div
+          className="absolute top-1/2 left-1/2 w-6 h-6 -ml-3 -mt-3 rounded-full bg-emerald-400 shadow-lg transition-transform duration-100"
+          style={{ transform: `translate(${x}px, ${y}px)` }}
+        />
+      </div>
+      <p className="mt-3 text-lg font-bold text-white">{t("compass.levelTitle")}</p>
+      <p className="text-sm text-white/80">{t("compass.levelBody")}</p>
+    </motion.div>
+  );
+}
 
 /**
  * Professional Qibla compass
  * Mobile: real-time rotation with device movement
  * Desktop: static compass showing Qibla bearing from North
+ *
+ * deviceHeading and qiblaAngle are expected relative to true north;
+ * declination is only displayed so users can compare with a magnetic compass.
+ * rhumbAngle, when given, draws a second (amber) needle for the rhumb line
+ * interpretation next to the main Qibla needle.
+ * calibrationState/headingAccuracy/calibrationIssues come from useDeviceOrientation;
+ * a calibration guide covers the dial while the heading quality is poor.
+ * tilt/level (also from useDeviceOrientation) show a bubble level when the
+ * phone is tilted too far from flat to read the dial.
+ * sun/moon ({ azimuth, altitude, isAboveHorizon }) are drawn on the dial when
+ * above the horizon; in static mode they give a sensor-free reference.
+ * alignmentTolerance is how many degrees either side of the Qibla count as
+ * aligned; haptics turns the vibration on alignment on or off.
  */
-export function CompassRose({ deviceHeading, qiblaAngle, size = 450 }) {
+export function CompassRose({
+  deviceHeading,
+  qiblaAngle,
+  rhumbAngle = null,
+  declination = null,
+  calibrationState = null,
+  headingAccuracy = null,
+  calibrationIssues = [],
+  tilt = null,
+  level = null,
+  sun = null,
+  moon = null,
+  alignmentTolerance = 5,
+  haptics = true,
+  size = 450,
+}) {
+  const { t, locale } = useI18n();
   const controls = useAnimation();
   const [wasAligned, setWasAligned] = useState(false);
+  const [calibrationDismissed, setCalibrationDismissed] = useState(false);
   const alignedTimerRef = useRef(null);
 
   // Static mode: no device orientation sensor (desktop/laptop)
   const staticMode = deviceHeading === null;
 
-  // Aligned within ±5 degrees (only meaningful in real-time mode)
+  // Show the guide again next time quality drops after recovering
+  useEffect(() => {
+    if (calibrationState === CALIBRATION_STATES.GOOD) setCalibrationDismissed(false);
+  }, [calibrationState]);
+
+  const showCalibration =
+    !staticMode && calibrationState === CALIBRATION_STATES.POOR && !calibrationDismissed;
+  const calibrationBadge = staticMode ? null : CALIBRATION_BADGES[calibrationState];
+  const isTooTilted = !staticMode && tilt !== null && tilt > MAX_COMPASS_TILT;
+
+  // Sun and moon drawn on the dial, and the one used for directions
+  const skyBodies = [
+    { key: "sun", icon: "☀️", position: sun },
+    { key: "moon", icon: "🌙", position: moon },
+  ].filter(({ position }) => position?.isAboveHorizon);
+  const referenceBody = skyBodies[0] ?? null;
+
+  // Aligned within the tolerance (only meaningful in real-time mode)
   const isAligned = useMemo(() => {
     if (qiblaAngle === null || staticMode) return false;
-    return Math.abs(qiblaAngle) < 5;
-  }, [qiblaAngle, staticMode]);
+    return Math.abs(qiblaAngle) < alignmentTolerance;
+  }, [qiblaAngle, staticMode, alignmentTolerance]);
 
-  // Near aligned (within ±15 degrees)
+  // Near aligned (within ±15 degrees, or the tolerance if that is wider)
   const isNear = useMemo(() => {
     if (qiblaAngle === null || staticMode) return false;
-    return Math.abs(qiblaAngle) < 15;
-  }, [qiblaAngle, staticMode]);
+    return Math.abs(qiblaAngle) < Math.max(15, alignmentTolerance);
+  }, [qiblaAngle, staticMode, alignmentTolerance]);
 
   // Trigger celebration on alignment
   useEffect(() => {
@@ -33,7 +174,7 @@ export function CompassRose({ deviceHeading, qiblaAngle, size = 450 }) {
         scale: [1, 1.1, 1],
         transition: { duration: 0.5, times: [0, 0.5, 1] },
       });
-      if (navigator.vibrate) {
+      if (haptics && navigator.vibrate) {
         navigator.vibrate([150, 80, 150]);
       }
       setWasAligned(true);
@@ -45,7 +186,7 @@ export function CompassRose({ deviceHeading, qiblaAngle, size = 450 }) {
     return () => {
       if (alignedTimerRef.current) clearTimeout(alignedTimerRef.current);
     };
-  }, [isAligned, wasAligned, controls]);
+  }, [isAligned, wasAligned, controls, haptics]);
 
   // Responsive sizing
   const responsiveSize =
@@ -55,17 +196,13 @@ export function CompassRose({ deviceHeading, qiblaAngle, size = 450 }) {
 
   const r = responsiveSize / 2;
 
-  // Cardinal and intercardinal directions
-  const directions = [
-    { label: "N", angle: 0, primary: true },
-    { label: "NE", angle: 45, primary: false },
-    { label: "E", angle: 90, primary: true },
-    { label: "SE", angle: 135, primary: false },
-    { label: "S", angle: 180, primary: true },
-    { label: "SW", angle: 225, primary: false },
-    { label: "W", angle: 270, primary: true },
-    { label: "NW", angle: 315, primary: false },
-  ];
+  // Cardinal and intercardinal directions (every other entry of the 16-point list)
+  const cardinals = t("cardinal.short");
+  const directions = [0, 45, 90, 135, 180, 225, 270, 315].map((angle) => ({
+    label: cardinals[angle / 22.5],
+    angle,
+    primary: angle % 90 === 0,
+  }));
 
   // Tick marks every 5 degrees
   const ticks = Array.from({ length: 72 }, (_, i) => i * 5);
@@ -161,7 +298,7 @@ export function CompassRose({ deviceHeading, qiblaAngle, size = 450 }) {
               {/* Direction labels */}
               {directions.map(({ label, angle, primary }) => (
                 <div
-                  key={label}
+                  key={angle}
                   className="absolute"
                   style={{
                     top: "50%",
@@ -174,7 +311,7 @@ export function CompassRose({ deviceHeading, qiblaAngle, size = 450 }) {
                   <span
                     className={`font-bold drop-shadow-sm ${
                       primary
-                        ? label === "N"
+                        ? angle === 0
                           ? "text-red-500 text-xl"
                           : "text-gray-700 text-lg"
                         : "text-gray-400 text-xs"
@@ -185,6 +322,26 @@ export function CompassRose({ deviceHeading, qiblaAngle, size = 450 }) {
                 </div>
               ))}
 
+              {/* ===== SUN AND MOON (true azimuth) ===== */}
+              {skyBodies.map(({ key, icon, position }) => (
+                <div
+                  key={key}
+                  className="absolute"
+                  style={{
+                    top: "50%",
+                    left: "50%",
+                    transform: `translate(-50%, -50%) rotate(${position.azimuth}deg) translateY(-${
+                      r * 0.86
+                    }px) rotate(-${position.azimuth}deg)`,
+                  }}
+                  title={t(key === "sun" ? "compass.sunAt" : "compass.moonAt", {
+                    degrees: Math.round(position.azimuth),
+                  })}
+                >
+                  <span className="text-xl leading-none drop-shadow">{icon}</span>
+                </div>
+              ))}
+
               {/* ===== KAABA ICON on the dial ===== */}
               {qiblaAngle !== null && (
                 <div
@@ -385,10 +542,77 @@ export function CompassRose({ deviceHeading, qiblaAngle, size = 450 }) {
                 </svg>
               </motion.div>
             )}
+
+            {/* ===== RHUMB LINE NEEDLE (amber, constant-bearing interpretation) ===== */}
+            {rhumbAngle !== null && qiblaAngle !== null && (
+              <motion.div
+                className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2"
+                style={{ zIndex: 34 }}
+                animate={{ rotate: rhumbAngle }}
+                transition={{
+                  type: "spring",
+                  stiffness: 130,
+                  damping: 18,
+                  mass: 0.6,
+                  restDelta: 0.001,
+                }}
+              >
+                <svg
+                  width={responsiveSize * 0.6}
+                  height={responsiveSize * 0.6}
+                  viewBox="0 0 200 200"
+                >
+                  <path d="M 100 52 L 94 100 L 100 100 Z" fill="#f59e0b" filter="url(#ns)" />
+                  <path d="M 100 52 L 106 100 L 100 100 Z" fill="#d97706" filter="url(#ns)" />
+                  <line
+                    x1="100"
+                    y1="100"
+                    x2="100"
+                    y2="120"
+                    stroke="#f59e0b"
+                    strokeWidth="2"
+                    strokeDasharray="3 3"
+                    opacity="0.6"
+                  />
+                </svg>
+              </motion.div>
+            )}
           </div>
         </div>
+
+        {/* ===== LEVEL INDICATOR ===== */}
+        <AnimatePresence>
+          {isTooTilted && !showCalibration && <LevelIndicator level={level} />}
+        </AnimatePresence>
+
+        {/* ===== CALIBRATION GUIDE ===== */}
+        <AnimatePresence>
+          {showCalibration && (
+            <CalibrationOverlay
+              issues={calibrationIssues}
+              onDismiss={() => setCalibrationDismissed(true)}
+            />
+          )}
+        </AnimatePresence>
       </div>
 
+      {/* ===== Heading accuracy ===== */}
+      {calibrationBadge && (
+        <button
+          onClick={() => setCalibrationDismissed(false)}
+          disabled={calibrationState !== CALIBRATION_STATES.POOR}
+          className="flex items-center gap-2 text-sm text-white/80 disabled:cursor-default"
+        >
+          <span className={`w-2.5 h-2.5 rounded-full ${calibrationBadge.color}`} />
+          <span>
+            {t(calibrationBadge.labelKey)}
+            {headingAccuracy !== null
+              ? ` ${t("compass.accuracyValue", { degrees: headingAccuracy })}`
+              : ""}
+          </span>
+        </button>
+      )}
+
       {/* ===== Direction feedback text ===== */}
       {qiblaAngle !== null && (
         <motion.div
@@ -402,21 +626,48 @@ export function CompassRose({ deviceHeading, qiblaAngle, size = 450 }) {
             <div className="space-y-2">
               <div className="text-4xl">🕋</div>
               <h3 className="text-xl md:text-2xl font-bold text-white">
-                Qibla at {Math.round(qiblaAngle)}° from North
+                {t("compass.qiblaFromNorth", { degrees: Math.round(qiblaAngle) })}
               </h3>
               <p className="text-base text-white/70">
-                Face the direction shown on the compass
+                {t("compass.faceDirection")}
               </p>
+              {referenceBody && (
+                <p className="text-base text-white/90 font-medium">
+                  {referenceBody.icon}{" "}
+                  {describeQiblaFromBody(
+                    referenceBody.position.azimuth,
+                    qiblaAngle,
+                    referenceBody.key,
+                    locale
+                  )}
+                </p>
+              )}
+              {declination !== null && (
+                <p className="text-sm text-white/60">
+                  {t("compass.magneticBearing", {
+                    degrees: Math.round(normalizeAngle(qiblaAngle - declination)),
+                  })}
+                </p>
+              )}
               <div className="flex items-center justify-center gap-3 text-sm text-white/60 mt-3">
                 <div className="flex items-center gap-1.5">
                   <div className="w-2.5 h-2.5 rounded-full bg-red-500" />
-                  <span>North</span>
+                  <span>{t("compass.north")}</span>
                 </div>
                 <span className="text-white/30">|</span>
                 <div className="flex items-center gap-1.5">
                   <div className="w-2.5 h-2.5 rounded-full bg-emerald-500" />
-                  <span>Qibla</span>
+                  <span>{t("compass.qibla")}</span>
                 </div>
+                {rhumbAngle !== null && (
+                  <>
+                    <span className="text-white/30">|</span>
+                    <div className="flex items-center gap-1.5">
+                      <div className="w-2.5 h-2.5 rounded-full bg-amber-500" />
+                      <span>{t("compass.rhumbLine")}</span>
+                    </div>
+                  </>
+                )}
               </div>
             </div>
           ) : (
@@ -438,10 +689,10 @@ export function CompassRose({ deviceHeading, qiblaAngle, size = 450 }) {
                     🕋
                   </motion.div>
                   <h2 className="text-2xl md:text-3xl font-bold text-white">
-                    Facing the Kaaba
+                    {t("compass.facingKaaba")}
                   </h2>
                   <p className="text-base text-white/80 font-medium">
-                    You are aligned — you can start praying
+                    {t("compass.aligned")}
                   </p>
                 </motion.div>
               ) : (
@@ -453,25 +704,53 @@ export function CompassRose({ deviceHeading, qiblaAngle, size = 450 }) {
                   className="space-y-2"
                 >
                   <h3 className="text-xl md:text-2xl font-bold text-white">
-                    Turn {Math.abs(Math.round(qiblaAngle))}°{" "}
-                    {qiblaAngle > 0 ? "right" : "left"}
+                    {t(qiblaAngle > 0 ? "compass.turnRight" : "compass.turnLeft", {
+                      degrees: Math.abs(Math.round(qiblaAngle)),
+                    })}
                   </h3>
-                  <p className="text-base text-white/70">to face the Kaaba</p>
+                  <p className="text-base text-white/70">{t("compass.toFaceKaaba")}</p>
                   <div className="flex items-center justify-center gap-3 text-sm text-white/60 mt-3">
                     <div className="flex items-center gap-1.5">
                       <div className="w-2.5 h-2.5 rounded-full bg-red-500" />
-                      <span>North</span>
+                      <span>{t("compass.north")}</span>
                     </div>
                     <span className="text-white/30">|</span>
                     <div className="flex items-center gap-1.5">
                       <div className="w-2.5 h-2.5 rounded-full bg-emerald-500" />
-                      <span>Qibla</span>
+                      <span>{t("compass.qibla")}</span>
                     </div>
+                    {rhumbAngle !== null && (
+                      <>
+                        <span className="text-white/30">|</span>
+                        <div className="flex items-center gap-1.5">
+                          <div className="w-2.5 h-2.5 rounded-full bg-amber-500" />
+                          <span>{t("compass.rhumbLine")}</span>
+                        </div>
+                      </>
+                    )}
                   </div>
                 </motion.div>
               )}
             </AnimatePresence>
           )}
+
+          {/* Divergence between great circle and rhumb line */}
+          {rhumbAngle !== null && (
+            <p className="text-sm text-amber-200/90">
+              {t("compass.rhumbDiffers", {
+                degrees: Math.abs(Math.round(angleDifference(qiblaAngle, rhumbAngle))),
+              })}
+            </p>
+          )}
+
+          {/* Magnetic declination applied to the heading */}
+          {declination !== null && (
+            <p className="text-xs text-white/50">
+              {t("compass.declinationNote", {
+                declination: formatDeclination(declination, 1, locale),
+              })}
+            </p>
+          )}
         </motion.div>
       )}
     </div>
@@ -0,0 +1,166 @@
+import { useMemo } from "react";
+import { Sun, BellPlus } from "lucide-react";
+import toast from "react-hot-toast";
+import {
+  SUN_OVER_KAABA_EVENTS,
+  getUpcomingSunOverKaabaEvents,
+  getShadowAtEvent,
+  daysUntil,
+} from "../../utils/sunOverKaaba";
+import { buildReminderIcs, downloadFile } from "../../utils/timetableExport";
+import { toRadians } from "../../utils/qiblaCalculations";
+import { toIntlLocale } from "../../utils/i18n";
+import { useI18n } from "../../hooks/useI18n";
+
+/**
+ * Message keys for each kind of event
+ */
+const EVENT_TEXT = {
+  [SUN_OVER_KAABA_EVENTS.OVERHEAD]: {
+    title: "sunOverKaaba.overheadTitle",
+    shadow: "sunOverKaaba.overheadShadow",
+  },
+  [SUN_OVER_KAABA_EVENTS.ANTIPODAL]: {
+    title: "sunOverKaaba.antipodalTitle",
+    shadow: "sunOverKaaba.antipodalShadow",
+  },
+};
+
+/**
+ * Minutes before an event that the calendar reminder fires
+ */
+const REMINDER_MINUTES = 15;
+
+/**
+ * Point on a circle of radius r around the diagram center, for an azimuth
+ */
+function pointAt(azimuth, r) {
+  const angle = toRadians(azimuth);
+  return { x: 50 + r * Math.sin(angle), y: 50 - r * Math.cos(angle) };
+}
+
+/**
+ * Top-down view of a vertical stick, its shadow, the sun and the Qibla
+ */
+function ShadowDiagram({ qiblaDirection, shadow }) {
+  const { t } = useI18n();
+  const shadowEnd = pointAt(shadow.shadowDirection, 30);
+  const sun = pointAt(shadow.sunAzimuth, 40);
+  const kaaba = pointAt(qiblaDirection, 40);
+
+  return (
+    <svg viewBox="0 0 100 100" className="w-24 h-24 shrink-0" aria-hidden="true">
+      <circle cx="50" cy="50" r="46" fill="rgba(255,255,255,0.05)" stroke="rgba(255,255,255,0.3)" />
+      <text x="50" y="11" textAnchor="middle" fontSize="8" fill="rgba(255,255,255,0.7)">
+        {t("cardinal.short")[0]}
+      </text>
+      <line
+        x1="50"
+        y1="50"
+        x2={shadowEnd.x}
+        y2={shadowEnd.y}
+        stroke="rgba(15,23,42,0.7)"
+        strokeWidth="5"
+        strokeLinecap="round"
+      />
+      <circle cx="50" cy="50" r="3" fill="white" />
+      <text x={sun.x} y={sun.y} textAnchor="middle" dominantBaseline="central" fontSize="11">
+        ☀️
+      </text>
+      <text x={kaaba.x} y={kaaba.y} textAnchor="middle" dominantBaseline="central" fontSize="11">
+        🕋
+      </text>
+    </svg>
+  );
+}
+
+/**
+ * Upcoming "sun over the Kaaba" dates with the local time, what shadows do
+ * at the user's location then, and a calendar reminder
+ *
+ * @param position - Geolocation position object
+ * @param qiblaDirection - Qibla bearing from true north (degrees)
+ */
+export function SunOverKaabaCard({ position, qiblaDirection }) {
+  const { t, locale } = useI18n();
+  const latitude = position?.coords.latitude;
+  const longitude = position?.coords.longitude;
+
+  const events = useMemo(() => {
+    if (latitude === undefined || longitude === undefined) return [];
+    return getUpcomingSunOverKaabaEvents().map((event) => ({
+      ...event,
+      shadow: getShadowAtEvent(event, latitude, longitude),
+    }));
+  }, [latitude, longitude]);
+
+  if (events.length === 0 || qiblaDirection === null) return null;
+
+  const handleRemind = (event) => {
+    const { title, shadow } = EVENT_TEXT[event.type];
+    const ics = buildReminderIcs({
+      uid: `${event.type}-${event.date.toISOString().slice(0, 10)}`,
+      title: t(title),
+      description: `${t(shadow)} ${t("sunOverKaaba.bearing", {
+        degrees: Math.round(qiblaDirection),
+      })}`,
+      start: event.date,
+      alarmMinutesBefore: REMINDER_MINUTES,
+    });
+    downloadFile(ics, `${event.type}-${event.date.toISOString().slice(0, 10)}.ics`, "text/calendar");
+    toast.success(t("sunOverKaaba.reminderDownloaded"));
+  };
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md rounded-2xl p-6 border border-white/20">
+      <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+        <Sun className="w-5 h-5" />
+        {t("sunOverKaaba.title")}
+      </h3>
+      <p className="text-sm text-white/70 mt-1 mb-4">{t("sunOverKaaba.subtitle")}</p>
+
+      <ul className="space-y-4">
+        {events.map((event) => {
+          const { title, shadow } = EVENT_TEXT[event.type];
+          const days = daysUntil(event.date);
+
+          return (
+            <li key={event.date.toISOString()} className="flex items-start gap-4">
+              {event.shadow.isSunVisible && (
+                <ShadowDiagram qiblaDirection={qiblaDirection} shadow={event.shadow} />
+              )}
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-white">{t(title)}</p>
+                <p className="text-sm text-white/80">
+                  {event.date.toLocaleString(toIntlLocale(locale), {
+                    weekday: "short",
+                    day: "numeric",
+                    month: "long",
+                    year: "numeric",
+                    hour: "numeric",
+                    minute: "2-digit",
+                    timeZoneName: "short",
+                  })}
+                  {" · "}
+                  {days > 0
+                    ? t("sunOverKaaba.inDays", { count: days })
+                    : t("sunOverKaaba.today")}
+                </p>
+                <p className="text-sm text-white/70 mt-1">
+                  {event.shadow.isSunVisible ? t(shadow) : t("sunOverKaaba.belowHorizon")}
+                </p>
+                <button
+                  onClick={() => handleRemind(event)}
+                  className="mt-2 inline-flex items-center gap-1.5 text-sm text-emerald-200 hover:text-white transition-colors"
+                >
+                  <BellPlus className="w-4 h-4" />
+                  {t("sunOverKaaba.remindMe")}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
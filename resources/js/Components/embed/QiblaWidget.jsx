@@ -0,0 +1,106 @@
+import { useMemo } from "react";
+import { Clock, ExternalLink, MapPin } from "lucide-react";
+import { CompassRose } from "../compass/CompassRose";
+import { usePrayerTimes } from "../../hooks/usePrayerTimes";
+import { useI18n } from "../../hooks/useI18n";
+import { calculateQiblaDirection } from "../../utils/qiblaCalculations";
+import { formatCoordinates } from "../../utils/formatting";
+import { buildLocationLink } from "../../utils/shareLinks";
+
+/**
+ * Qibla compass and today's prayer times for a fixed location, for other
+ * sites to embed (see EmbedController and public/widget.js)
+ *
+ * The compass is always static: the host page's visitors are rarely
+ * holding a phone pointed anywhere in particular.
+ *
+ * @param latitude - Latitude in degrees
+ * @param longitude - Longitude in degrees
+ * @param name - Place name shown in the header (coordinates otherwise)
+ * @param method - Calculation method key or "auto"
+ * @param madhab - "shafi", "hanafi" or "auto"
+ * @param timeZone - IANA time zone of the place; times are shown in it rather
+ *   than in the visitor's own (the visitor's when null)
+ * @param show - "all", "compass" or "prayers"
+ */
+export function QiblaWidget({
+  latitude,
+  longitude,
+  name = null,
+  method = "auto",
+  madhab = "auto",
+  timeZone = null,
+  show = "all",
+}) {
+  const { t, locale } = useI18n();
+
+  // Position-like object and settings in the shape the app's hooks expect
+  const position = useMemo(
+    () => ({ coords: { latitude, longitude, accuracy: 0 }, timestamp: Date.now() }),
+    [latitude, longitude]
+  );
+  const settings = useMemo(() => ({ method, madhab }), [method, madhab]);
+
+  const qiblaDirection = calculateQiblaDirection(latitude, longitude);
+  const { prayerTimes, nextPrayer } = usePrayerTimes(position, settings, { timeZone });
+
+  const showCompass = show !== "prayers";
+  const showPrayers = show !== "compass";
+
+  return (
+    <div className="rounded-2xl p-5 bg-gradient-to-br from-emerald-600 via-teal-600 to-emerald-700 dark:from-slate-900 dark:via-slate-900 dark:to-emerald-950 text-white">
+      <h1 className="flex items-center gap-2 text-base font-semibold">
+        <MapPin className="w-4 h-4 shrink-0" />
+        <span className="truncate">{name ?? formatCoordinates(latitude, longitude, 4, locale)}</span>
+      </h1>
+
+      {showCompass && (
+        <div className="mt-4">
+          <CompassRose deviceHeading={null} qiblaAngle={qiblaDirection} haptics={false} size={280} />
+        </div>
+      )}
+
+      {showPrayers && prayerTimes && (
+        <div className={showCompass ? "mt-6 pt-5 border-t border-white/20" : "mt-4"}>
+          <h2 className="flex items-center gap-2 text-sm font-semibold text-white/90">
+            <Clock className="w-4 h-4" />
+            {t("prayerTimes.title")}
+          </h2>
+          <p className="text-xs text-white/70 mt-1">{prayerTimes.hijriDate}</p>
+
+          <ul className="mt-3 divide-y divide-white/10">
+            {Object.entries(prayerTimes.prayers).map(([key, prayer]) => {
+              const isNext = nextPrayer && !nextPrayer.isTomorrow && nextPrayer.key === key;
+              return (
+                <li
+                  key={key}
+                  className={`flex items-center justify-between py-2 px-2 rounded-lg text-sm ${
+                    isNext ? "bg-emerald-400/20 font-bold" : "text-white/80"
+                  }`}
+                >
+                  <span>{prayer.name}</span>
+                  <span className="tabular-nums">{prayer.displayTime}</span>
+                </li>
+              );
+            })}
+          </ul>
+
+          <p className="mt-3 text-xs text-white/50">
+            {t(`methods.${prayerTimes.settings.method}`)}
+            {timeZone && ` · ${timeZone}`}
+          </p>
+        </div>
+      )}
+
+      <a
+        href={buildLocationLink(latitude, longitude, name)}
+        target="_blank"
+        rel="noopener"
+        className="mt-4 flex items-center justify-center gap-1.5 text-xs text-white/70 hover:text-white"
+      >
+        {t("embed.openInApp")}
+        <ExternalLink className="w-3 h-3 rtl:-scale-x-100" />
+      </a>
+    </div>
+  );
+}
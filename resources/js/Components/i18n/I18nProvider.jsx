@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { I18nContext, createI18nValue } from "../../hooks/useI18n";
+import {
+  LOCALES,
+  LOCALE_STORAGE_KEY,
+  detectLocale,
+  resolveLocale,
+} from "../../utils/i18n";
+
+/**
+ * Saved language choice, or the browser's preferred language
+ */
+function loadLocale() {
+  try {
+    const saved = resolveLocale(window.localStorage.getItem(LOCALE_STORAGE_KEY));
+    if (saved) return saved;
+  } catch {
+    // Storage disabled (private mode)
+  }
+  return detectLocale();
+}
+
+/**
+ * Provides the current locale to useI18n and keeps the document's
+ * lang and dir attributes in sync, so RTL languages flip the layout
+ *
+ * @param initialLocale - Language to start in instead of the saved or
+ *   detected one (e.g. set by an embedding site)
+ */
+export function I18nProvider({ children, initialLocale = null }) {
+  const [locale, setLocaleState] = useState(() => resolveLocale(initialLocale) ?? loadLocale());
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+  }, [locale]);
+
+  // Only an explicit choice is saved, so detection keeps following the browser
+  const setLocale = useCallback((next) => {
+    const resolved = resolveLocale(next);
+    if (!resolved) return;
+    setLocaleState(resolved);
+    try {
+      window.localStorage.setItem(LOCALE_STORAGE_KEY, resolved);
+    } catch {
+      // Storage full or disabled (private mode)
+    }
+  }, []);
+
+  const value = useMemo(() => createI18nValue(locale, setLocale), [locale, setLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,28 @@
+import { Languages } from "lucide-react";
+import { useI18n } from "../../hooks/useI18n";
+import { LOCALES } from "../../utils/i18n";
+
+/**
+ * Compact language picker for page headers
+ */
+export function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <label className="inline-flex items-center gap-1.5 text-white/70 hover:text-white text-sm">
+      <Languages className="w-4 h-4" aria-hidden="true" />
+      <span className="sr-only">{t("app.language")}</span>
+      <select
+        value={locale}
+        onChange={(event) => setLocale(event.target.value)}
+        className="bg-transparent border-none text-sm focus:outline-none cursor-pointer print:hidden"
+      >
+        {Object.entries(LOCALES).map(([code, { name }]) => (
+          <option key={code} value={code} lang={code} className="bg-slate-800 text-white">
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
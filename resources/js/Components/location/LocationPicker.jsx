@@ -0,0 +1,99 @@
+import { useMemo, useState } from "react";
+import { MapPin, Search } from "lucide-react";
+import { parseCoordinates, searchCities } from "../../utils/locationSearch";
+import { formatCoordinates } from "../../utils/formatting";
+import { useI18n } from "../../hooks/useI18n";
+import { usePreferences } from "../../hooks/usePreferences";
+
+/**
+ * Manual location entry
+ * Accepts typed coordinates (decimal or DMS) or searches the bundled city list,
+ * so the app works without any network geolocation.
+ *
+ * @param onSelect - Called with (lat, lng, placeName)
+ */
+export function LocationPicker({ onSelect }) {
+  const { t, locale } = useI18n();
+  const { coordinateFormat } = usePreferences().preferences;
+  const [query, setQuery] = useState("");
+
+  const coordinates = useMemo(() => parseCoordinates(query), [query]);
+  const cities = useMemo(
+    () => (coordinates ? [] : searchCities(query)),
+    [query, coordinates]
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (coordinates) {
+      onSelect(coordinates.lat, coordinates.lng, null);
+    } else if (cities.length > 0) {
+      const [city] = cities;
+      onSelect(city.lat, city.lng, `${city.name}, ${city.country}`);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="w-full max-w-md mx-auto text-start">
+      <label htmlFor="location-search" className="block text-sm font-semibold text-white/80 mb-2">
+        {t("location.searchLabel")}
+      </label>
+      <div className="relative">
+        <Search className="absolute start-3 top-1/2 -translate-y-1/2 w-5 h-5 text-white/60" />
+        <input
+          id="location-search"
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={t("location.searchPlaceholder")}
+          autoComplete="off"
+          className="w-full rounded-xl bg-white/15 border border-white/30 ps-10 pe-4 py-3 text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/50"
+        />
+      </div>
+
+      {/* Parsed coordinates */}
+      {coordinates && (
+        <button
+          type="submit"
+          className="mt-2 w-full flex items-center gap-3 rounded-xl bg-white/10 border border-white/20 px-4 py-3 text-white hover:bg-white/20 transition-colors"
+        >
+          <MapPin className="w-5 h-5 shrink-0" />
+          <span>
+            {t("location.use", {
+              coordinates: formatCoordinates(coordinates.lat, coordinates.lng, 4, locale, coordinateFormat),
+            })}
+          </span>
+        </button>
+      )}
+
+      {/* City results */}
+      {cities.length > 0 && (
+        <ul className="mt-2 rounded-xl bg-white/10 border border-white/20 divide-y divide-white/10 overflow-hidden">
+          {cities.map((city) => (
+            <li key={`${city.name}-${city.country}`}>
+              <button
+                type="button"
+                onClick={() => onSelect(city.lat, city.lng, `${city.name}, ${city.country}`)}
+                className="w-full flex items-center justify-between gap-3 px-4 py-2.5 text-start text-white hover:bg-white/15 transition-colors"
+              >
+                <span>
+                  <span className="font-medium">{city.name}</span>
+                  <span className="text-white/60">, {city.country}</span>
+                </span>
+                <span className="text-xs text-white/50 tabular-nums">
+                  {formatCoordinates(city.lat, city.lng, 2, locale, coordinateFormat)}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {query.trim() && !coordinates && cities.length === 0 && (
+        <p className="mt-2 text-sm text-white/60">
+          {t("location.noMatch")}
+        </p>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,131 @@
+import { useState } from "react";
+import { Bookmark, LocateFixed, Plus, X } from "lucide-react";
+import { useI18n } from "../../hooks/useI18n";
+import { deviceTimeZone, listTimeZones } from "../../utils/prayerTimes";
+
+/**
+ * Quick switching between the live location and saved places
+ *
+ * @param places - Saved places from useSavedPlaces
+ * @param activePlaceId - Id of the selected saved place, null for the live location
+ * @param isLiveLocation - Whether the position comes from GPS/IP
+ * @param canSave - Whether there is a position to save
+ * @param suggestedName - Pre-filled name when saving the current position
+ * @param onSelectPlace - Called with the chosen place
+ * @param onUseCurrentLocation - Switch back to device geolocation
+ * @param onSavePlace - Called with the name and IANA time zone for the current position
+ * @param onRemovePlace - Called with the id of the place to delete
+ */
+export function PlaceSwitcher({
+  places,
+  activePlaceId,
+  isLiveLocation,
+  canSave = true,
+  suggestedName = "",
+  onSelectPlace,
+  onUseCurrentLocation,
+  onSavePlace,
+  onRemovePlace,
+}) {
+  const { t } = useI18n();
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState("");
+  const [timeZone, setTimeZone] = useState(deviceTimeZone);
+
+  const startNaming = () => {
+    setName(suggestedName ?? "");
+    setTimeZone(deviceTimeZone());
+    setNaming(true);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSavePlace(name.trim(), timeZone);
+    setNaming(false);
+  };
+
+  const chipClass = (active) =>
+    `flex items-center gap-1.5 px-3 py-1.5 rounded-full text-sm font-medium transition-all ${
+      active
+        ? "bg-white text-emerald-600 shadow"
+        : "bg-white/10 text-white/80 border border-white/20 hover:text-white hover:bg-white/20"
+    }`;
+
+  return (
+    <div className="mx-auto max-w-2xl">
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        <button onClick={onUseCurrentLocation} className={chipClass(isLiveLocation)}>
+          <LocateFixed className="w-4 h-4" />
+          {t("places.current")}
+        </button>
+
+        {places.map((place) => (
+          <span key={place.id} className={`${chipClass(place.id === activePlaceId)} pe-1.5`}>
+            <button onClick={() => onSelectPlace(place)} className="flex items-center gap-1.5">
+              <Bookmark className="w-4 h-4" />
+              {place.name}
+            </button>
+            <button
+              onClick={() => onRemovePlace(place.id)}
+              className="p-0.5 rounded-full opacity-60 hover:opacity-100"
+              aria-label={t("places.remove", { place: place.name })}
+            >
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </span>
+        ))}
+
+        {/* The selected saved place is already pinned */}
+        {canSave && !activePlaceId && !naming && (
+          <button onClick={startNaming} className={chipClass(false)}>
+            <Plus className="w-4 h-4" />
+            {t("places.save")}
+          </button>
+        )}
+      </div>
+
+      {naming && (
+        <form onSubmit={handleSave} className="mt-3 flex flex-wrap justify-center gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t("places.namePlaceholder")}
+            maxLength={40}
+            autoFocus
+            aria-label={t("places.nameLabel")}
+            className="w-56 rounded-full bg-white/15 border border-white/30 px-4 py-1.5 text-sm text-white placeholder:text-white/50 focus:outline-none focus:ring-2 focus:ring-white/50"
+          />
+          {/* Prayer times at this place are shown in its own zone */}
+          <select
+            value={timeZone}
+            onChange={(e) => setTimeZone(e.target.value)}
+            aria-label={t("places.timeZoneLabel")}
+            title={t("places.timeZoneLabel")}
+            className="w-48 rounded-full bg-white/15 border border-white/30 px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-white/50"
+          >
+            {listTimeZones().map((zone) => (
+              <option key={zone} value={zone} className="text-gray-900">
+                {zone}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            className="px-4 py-1.5 rounded-full bg-white text-emerald-600 text-sm font-semibold hover:bg-white/90"
+          >
+            {t("common.save")}
+          </button>
+          <button
+            type="button"
+            onClick={() => setNaming(false)}
+            className="px-3 py-1.5 rounded-full text-sm text-white/80 hover:text-white"
+          >
+            {t("common.cancel")}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+import { useMemo, useRef, useState } from "react";
+import { Map as MapIcon, RotateCcw } from "lucide-react";
+import { MECCA_COORDINATES } from "../../constants/locations";
+import {
+  calculateQiblaDirection,
+  calculateDistance,
+  interpolateGreatCircle,
+  toRadians,
+} from "../../utils/qiblaCalculations";
+import {
+  MAP_WIDTH,
+  MAP_HEIGHT,
+  LAND_PATH,
+  graticulePath,
+  lineToPath,
+  projectPoint,
+  unprojectPoint,
+} from "../../utils/worldMap";
+import { formatCoordinates, formatDistance, getCardinalDirection } from "../../utils/formatting";
+import { useI18n } from "../../hooks/useI18n";
+
+const GRATICULE_PATH = graticulePath();
+
+/**
+ * Length of the initial bearing arrow in map units (degrees)
+ */
+const BEARING_ARROW_LENGTH = 14;
+
+/**
+ * Degrees the pin moves per arrow key press (with Shift: ten times as far)
+ */
+const KEYBOARD_STEP = 1;
+
+/**
+ * Great-circle route from a point to Mecca as an SVG path
+ */
+function routePath({ lat, lng }) {
+  return lineToPath(interpolateGreatCircle(lat, lng, MECCA_COORDINATES.lat, MECCA_COORDINATES.lng));
+}
+
+/**
+ * End of an arrow pointing along a compass bearing from a map point
+ * East-west distances are stretched by 1/cos(lat) in this projection.
+ */
+function bearingArrowEnd({ lat, lng }, bearing) {
+  const start = projectPoint(lat, lng);
+  const dx = Math.sin(toRadians(bearing)) / Math.max(Math.cos(toRadians(lat)), 0.1);
+  const dy = -Math.cos(toRadians(bearing));
+  const length = Math.hypot(dx, dy);
+
+  return {
+    x: start.x + (dx / length) * BEARING_ARROW_LENGTH,
+    y: start.y + (dy / length) * BEARING_ARROW_LENGTH,
+  };
+}
+
+/**
+ * Offline world map with the great-circle route to Mecca
+ *
+ * Marks the initial Qibla bearing at the user's location and has a pin that
+ * can be dragged (or moved with the arrow keys) to preview the Qibla and
+ * distance from anywhere else.
+ *
+ * @param userLocation - { lat, lng } of the user
+ * @param qiblaDirection - Qibla bearing from true north at the user's location (degrees)
+ * @param distanceUnit - "km" or "mi" for the preview distance
+ * @param coordinateFormat - "decimal" or "dms" for the pin position
+ */
+export function QiblaRouteMap({
+  userLocation,
+  qiblaDirection,
+  distanceUnit = "km",
+  coordinateFormat = "decimal",
+}) {
+  const { t, locale, formatNumber } = useI18n();
+  const svgRef = useRef(null);
+  const [pin, setPin] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const userRoute = useMemo(() => routePath(userLocation), [userLocation]);
+  const pinRoute = useMemo(() => (pin ? routePath(pin) : null), [pin]);
+
+  const preview = useMemo(() => {
+    if (!pin) return null;
+    return {
+      direction: calculateQiblaDirection(pin.lat, pin.lng),
+      distance: calculateDistance(pin.lat, pin.lng, MECCA_COORDINATES.lat, MECCA_COORDINATES.lng),
+    };
+  }, [pin]);
+
+  const user = projectPoint(userLocation.lat, userLocation.lng);
+  const mecca = projectPoint(MECCA_COORDINATES.lat, MECCA_COORDINATES.lng);
+  const arrowEnd = qiblaDirection !== null ? bearingArrowEnd(userLocation, qiblaDirection) : null;
+  const pinPoint = projectPoint((pin ?? userLocation).lat, (pin ?? userLocation).lng);
+
+  /**
+   * Geographic position under a pointer event
+   */
+  const pointerToLocation = (event) => {
+    const matrix = svgRef.current?.getScreenCTM();
+    if (!matrix) return null;
+    const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(matrix.inverse());
+    return unprojectPoint(point.x, point.y);
+  };
+
+  const handlePinPointerDown = (event) => {
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setIsDragging(true);
+  };
+
+  const handlePinPointerMove = (event) => {
+    if (!isDragging) return;
+    const location = pointerToLocation(event);
+    if (location) setPin(location);
+  };
+
+  const handlePinPointerUp = (event) => {
+    event.currentTarget.releasePointerCapture(event.pointerId);
+    setIsDragging(false);
+  };
+
+  // Tapping the map drops the pin there
+  const handleMapClick = (event) => {
+    const location = pointerToLocation(event);
+    if (location) setPin(location);
+  };
+
+  const handlePinKeyDown = (event) => {
+    const step = event.shiftKey ? KEYBOARD_STEP * 10 : KEYBOARD_STEP;
+    const moves = {
+      ArrowUp: [step, 0],
+      ArrowDown: [-step, 0],
+      ArrowLeft: [0, -step],
+      ArrowRight: [0, step],
+    };
+    if (!moves[event.key]) return;
+
+    event.preventDefault();
+    const [dLat, dLng] = moves[event.key];
+    const current = pin ?? userLocation;
+    // Round-trip through the projection to keep the pin on the map
+    const { x, y } = projectPoint(current.lat + dLat, current.lng + dLng);
+    setPin(unprojectPoint(x, y));
+  };
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md rounded-2xl p-6 border border-white/20">
+      <h3 className="text-lg font-semibold text-white flex items-center gap-2 mb-4">
+        <MapIcon className="w-5 h-5" />
+        {t("map.title")}
+      </h3>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+        className="w-full h-auto rounded-xl bg-slate-900/40 cursor-crosshair select-none"
+        onClick={handleMapClick}
+        role="group"
+        aria-label={t("map.label")}
+      >
+        <path d={GRATICULE_PATH} fill="none" stroke="rgba(255,255,255,0.08)" vectorEffect="non-scaling-stroke" />
+        <path d={LAND_PATH} fill="rgba(255,255,255,0.18)" stroke="rgba(255,255,255,0.3)" strokeWidth="0.3" />
+
+        {/* Great-circle route from the user */}
+        <path
+          d={userRoute}
+          fill="none"
+          stroke="#34d399"
+          strokeWidth="2"
+          strokeLinecap="round"
+          vectorEffect="non-scaling-stroke"
+        />
+
+        {/* Route from the preview pin */}
+        {pinRoute && (
+          <path
+            d={pinRoute}
+            fill="none"
+            stroke="#fbbf24"
+            strokeWidth="2"
+            strokeDasharray="4 3"
+            strokeLinecap="round"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+
+        {/* Initial bearing at the user's location */}
+        {arrowEnd && (
+          <g stroke="#ffffff" strokeWidth="2" strokeLinecap="round">
+            <line x1={user.x} y1={user.y} x2={arrowEnd.x} y2={arrowEnd.y} vectorEffect="non-scaling-stroke" />
+            <text
+              x={arrowEnd.x}
+              y={arrowEnd.y - 2}
+              textAnchor="middle"
+              fontSize="6"
+              fill="#ffffff"
+              stroke="none"
+            >
+              {formatNumber(Math.round(qiblaDirection))}°
+            </text>
+          </g>
+        )}
+
+        <circle cx={user.x} cy={user.y} r="2.2" fill="#34d399" stroke="#ffffff" strokeWidth="0.8" />
+
+        <text x={mecca.x} y={mecca.y} textAnchor="middle" dominantBaseline="central" fontSize="8">
+          🕋
+        </text>
+
+        {/* Draggable preview pin */}
+        <g
+          transform={`translate(${pinPoint.x} ${pinPoint.y})`}
+          className={isDragging ? "cursor-grabbing" : "cursor-grab"}
+          style={{ touchAction: "none" }}
+          onPointerDown={handlePinPointerDown}
+          onPointerMove={handlePinPointerMove}
+          onPointerUp={handlePinPointerUp}
+          onClick={(event) => event.stopPropagation()}
+          onKeyDown={handlePinKeyDown}
+          tabIndex={0}
+          role="button"
+          aria-label={t("map.pin")}
+        >
+          {/* Larger invisible target for fingers */}
+          <circle r="8" fill="transparent" />
+          <path d="M0,0 L-3,-6 A3.4,3.4 0 1 1 3,-6 Z" fill="#fbbf24" stroke="#ffffff" strokeWidth="0.6" />
+        </g>
+      </svg>
+
+      {/* Preview readout */}
+      <div className="mt-3 text-sm text-white/80" aria-live="polite">
+        {preview ? (
+          <div className="flex items-center justify-between gap-3">
+            <p>
+              <span className="text-amber-200">{formatCoordinates(pin.lat, pin.lng, 2, locale, coordinateFormat)}</span>
+              {" · "}
+              {t("map.preview", {
+                degrees: Math.round(preview.direction),
+                direction: getCardinalDirection(preview.direction, locale),
+              })}
+              {" · "}
+              {formatDistance(preview.distance, distanceUnit, 0, locale)}
+            </p>
+            <button
+              onClick={() => setPin(null)}
+              className="shrink-0 flex items-center gap-1 text-white/80 hover:text-white"
+            >
+              <RotateCcw className="w-4 h-4" />
+              {t("common.reset")}
+            </button>
+          </div>
+        ) : (
+          <p>{t("map.hint")}</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { Play } from "lucide-react";
+import { NOTIFIABLE_PRAYERS, REMINDER_MINUTES_OPTIONS } from "../../utils/prayerNotifications";
+import { useI18n } from "../../hooks/useI18n";
+
+/**
+ * Adhan notification and reminder settings
+ *
+ * @param notifications - Result of usePrayerNotifications
+ * @param prayerNames - Localized names keyed by prayer ("fajr", ...)
+ */
+export function NotificationSettingsPanel({ notifications, prayerNames }) {
+  const { t } = useI18n();
+  const { settings, permission, isSupported, nextNotification, updateSettings } = notifications;
+
+  if (!isSupported) {
+    return <p className="text-sm text-white/70">{t("notifications.unsupported")}</p>;
+  }
+
+  const handleToggle = (enabled) => {
+    if (enabled) {
+      notifications.enable();
+    } else {
+      notifications.disable();
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <label className="flex items-center gap-3 text-sm font-medium text-white cursor-pointer">
+        <input
+          type="checkbox"
+          checked={notifications.isActive}
+          onChange={(e) => handleToggle(e.target.checked)}
+          className="w-4 h-4 accent-emerald-500"
+        />
+        {t("notifications.enable")}
+      </label>
+
+      {permission === "denied" && (
+        <p className="text-sm text-amber-200">{t("notifications.denied")}</p>
+      )}
+
+      {notifications.isActive && (
+        <>
+          <div>
+            <span className="block text-xs font-semibold text-white/70 mb-2">
+              {t("notifications.prayers")}
+            </span>
+            <div className="flex flex-wrap gap-2">
+              {NOTIFIABLE_PRAYERS.map((key) => (
+                <button
+                  key={key}
+                  onClick={() => updateSettings({ prayers: { [key]: !settings.prayers[key] } })}
+                  aria-pressed={settings.prayers[key]}
+                  className={`px-3 py-1.5 rounded-full text-sm font-medium transition-all ${
+                    settings.prayers[key]
+                      ? "bg-white text-emerald-600 shadow"
+                      : "bg-white/10 border border-white/20 text-white/80 hover:text-white"
+                  }`}
+                >
+                  {prayerNames[key]}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 items-end">
+            <label className="block">
+              <span className="block text-xs font-semibold text-white/70 mb-1">
+                {t("notifications.reminder")}
+              </span>
+              <select
+                value={settings.reminderMinutes}
+                onChange={(e) => updateSettings({ reminderMinutes: Number(e.target.value) })}
+                className="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-white/40 [&>option]:text-gray-900"
+              >
+                {REMINDER_MINUTES_OPTIONS.map((minutes) => (
+                  <option key={minutes} value={minutes}>
+                    {minutes === 0
+                      ? t("notifications.reminderNone")
+                      : t("notifications.reminderMinutes", { count: minutes })}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <div className="flex items-center gap-3 pb-2">
+              <label className="flex items-center gap-3 text-sm text-white/90 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={settings.adhanAudio}
+                  onChange={(e) => updateSettings({ adhanAudio: e.target.checked })}
+                  className="w-4 h-4 accent-emerald-500"
+                />
+                {t("notifications.adhanAudio")}
+              </label>
+              <button
+                onClick={notifications.previewAdhan}
+                className="flex items-center gap-1 text-sm text-white/70 hover:text-white"
+              >
+                <Play className="w-3.5 h-3.5 rtl:rotate-180" />
+                {t("notifications.preview")}
+              </button>
+            </div>
+            {settings.adhanAudio && (
+              <p className="sm:col-span-2 -mt-2 text-xs text-white/50">
+                {t("notifications.adhanAudioHint")}
+              </p>
+            )}
+          </div>
+
+          {nextNotification && (
+            <p className="text-sm text-white/80">
+              {t("notifications.nextAlert", { time: nextNotification.displayAt })} ·{" "}
+              {nextNotification.title}
+            </p>
+          )}
+          <p className="text-xs text-white/50">
+            {t(
+              notifications.backgroundDelivery
+                ? "notifications.backgroundHint"
+                : "notifications.tabOnlyHint"
+            )}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import {
+  ADJUSTABLE_PRAYERS,
+  ADJUSTMENT_RANGE,
+  CALCULATION_METHODS,
+  HIGH_LATITUDE_RULES,
+  MADHABS,
+  TWILIGHT_ANGLE_RANGE,
+} from "../../utils/prayerSettings";
+import { HIJRI_CALENDARS, MAX_HIJRI_ADJUSTMENT } from "../../utils/hijriCalendar";
+import { useI18n } from "../../hooks/useI18n";
+
+/**
+ * Labelled select used by the settings panel
+ */
+function SettingSelect({ label, value, onChange, children }) {
+  return (
+    <label className="block">
+      <span className="block text-xs font-semibold text-white/70 mb-1">{label}</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-white/40 [&>option]:text-gray-900"
+      >
+        {children}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * Labelled number input; an empty field reports null
+ */
+function SettingNumber({ label, value, placeholder, min, max, step, onChange }) {
+  const handleChange = (e) => {
+    if (e.target.value === "") {
+      onChange(null);
+      return;
+    }
+    const number = Number(e.target.value);
+    if (Number.isFinite(number)) onChange(Math.min(max, Math.max(min, number)));
+  };
+
+  return (
+    <label className="block">
+      <span className="block text-xs font-semibold text-white/70 mb-1">{label}</span>
+      <input
+        type="number"
+        inputMode="decimal"
+        value={value ?? ""}
+        placeholder={placeholder}
+        min={min}
+        max={max}
+        step={step}
+        onChange={handleChange}
+        className="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-sm text-white tabular-nums placeholder:text-white/40 focus:outline-none focus:ring-2 focus:ring-white/40"
+      />
+    </label>
+  );
+}
+
+/**
+ * Prayer time calculation settings form
+ * Shows what "auto" resolves to for the current location. Custom Fajr/Isha
+ * angles override any method (empty fields keep the method's own), and each
+ * prayer can be moved by a number of minutes.
+ *
+ * @param placeName - Saved place these settings belong to, if any
+ */
+export function PrayerSettingsPanel({ settings, recommended, onChange, onReset, placeName = null }) {
+  const { t, formatNumber } = useI18n();
+  const method = CALCULATION_METHODS[settings.method === "auto" ? recommended?.method : settings.method];
+  const adjustmentOptions = [];
+  for (let days = -MAX_HIJRI_ADJUSTMENT; days <= MAX_HIJRI_ADJUSTMENT; days++) {
+    adjustmentOptions.push(days);
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <SettingSelect
+          label={t("prayerSettings.method")}
+          value={settings.method}
+          onChange={(method) => onChange({ method })}
+        >
+          <option value="auto">
+            {recommended
+              ? t("prayerSettings.automaticWith", { name: t(`methods.${recommended.method}`) })
+              : t("prayerSettings.automatic")}
+          </option>
+          {Object.keys(CALCULATION_METHODS).map((key) => (
+            <option key={key} value={key}>
+              {t(`methods.${key}`)}
+            </option>
+          ))}
+        </SettingSelect>
+
+        <SettingSelect
+          label={t("prayerSettings.asr")}
+          value={settings.madhab}
+          onChange={(madhab) => onChange({ madhab })}
+        >
+          <option value="auto">
+            {recommended
+              ? t("prayerSettings.automaticWith", { name: t(`madhabs.${recommended.madhab}`) })
+              : t("prayerSettings.automatic")}
+          </option>
+          {Object.keys(MADHABS).map((key) => (
+            <option key={key} value={key}>
+              {t(`madhabs.${key}`)}
+            </option>
+          ))}
+        </SettingSelect>
+
+        <SettingSelect
+          label={t("prayerSettings.highLatitude")}
+          value={settings.highLatitudeRule}
+          onChange={(highLatitudeRule) => onChange({ highLatitudeRule })}
+        >
+          {Object.keys(HIGH_LATITUDE_RULES).map((key) => (
+            <option key={key} value={key}>
+              {t(`highLatitudeRules.${key}`)}
+            </option>
+          ))}
+        </SettingSelect>
+
+        <SettingSelect
+          label={t("prayerSettings.hijriCalendar")}
+          value={settings.hijriCalendar}
+          onChange={(hijriCalendar) => onChange({ hijriCalendar })}
+        >
+          <option value={HIJRI_CALENDARS.UMM_AL_QURA}>{t("prayerSettings.ummAlQura")}</option>
+          <option value={HIJRI_CALENDARS.TABULAR}>{t("prayerSettings.tabular")}</option>
+        </SettingSelect>
+
+        <SettingSelect
+          label={t("prayerSettings.hijriAdjustment")}
+          value={settings.hijriAdjustment}
+          onChange={(value) => onChange({ hijriAdjustment: Number(value) })}
+        >
+          {adjustmentOptions.map((days) => (
+            <option key={days} value={days}>
+              {days === 0
+                ? t("prayerSettings.none")
+                : t("prayerSettings.adjustmentDays", {
+                    sign: days > 0 ? "+" : "-",
+                    count: Math.abs(days),
+                  })}
+            </option>
+          ))}
+        </SettingSelect>
+      </div>
+
+      <fieldset>
+        <legend className="text-xs font-semibold text-white/70 mb-1">
+          {t("prayerSettings.customAngles")}
+        </legend>
+        <div className="grid grid-cols-2 gap-4">
+          <SettingNumber
+            label={t("prayerSettings.fajrAngle")}
+            value={settings.fajrAngle}
+            placeholder={method ? formatNumber(method.fajrAngle) : ""}
+            min={TWILIGHT_ANGLE_RANGE.min}
+            max={TWILIGHT_ANGLE_RANGE.max}
+            step={0.1}
+            onChange={(fajrAngle) => onChange({ fajrAngle })}
+          />
+          <SettingNumber
+            label={t("prayerSettings.ishaAngle")}
+            value={settings.ishaAngle}
+            placeholder={
+              !method
+                ? ""
+                : method.ishaInterval
+                ? t("prayerSettings.ishaInterval", { minutes: formatNumber(method.ishaInterval) })
+                : formatNumber(method.ishaAngle)
+            }
+            min={TWILIGHT_ANGLE_RANGE.min}
+            max={TWILIGHT_ANGLE_RANGE.max}
+            step={0.1}
+            onChange={(ishaAngle) => onChange({ ishaAngle })}
+          />
+        </div>
+        <p className="mt-1 text-xs text-white/60">{t("prayerSettings.customAnglesHint")}</p>
+      </fieldset>
+
+      <fieldset>
+        <legend className="text-xs font-semibold text-white/70 mb-1">
+          {t("prayerSettings.adjustments")}
+        </legend>
+        <div className="grid grid-cols-3 sm:grid-cols-6 gap-2">
+          {ADJUSTABLE_PRAYERS.map((prayer) => (
+            <SettingNumber
+              key={prayer}
+              label={t(`prayers.${prayer}`)}
+              value={settings.adjustments[prayer] || null}
+              placeholder="0"
+              min={ADJUSTMENT_RANGE.min}
+              max={ADJUSTMENT_RANGE.max}
+              step={1}
+              onChange={(minutes) =>
+                onChange({ adjustments: { [prayer]: Math.round(minutes ?? 0) } })
+              }
+            />
+          ))}
+        </div>
+        <p className="mt-1 text-xs text-white/60">{t("prayerSettings.adjustmentsHint")}</p>
+      </fieldset>
+
+      {placeName && (
+        <p className="text-xs text-white/60">
+          {t("prayerSettings.placeOnly", { place: placeName })}
+        </p>
+      )}
+
+      <button
+        onClick={onReset}
+        className="text-sm text-white/70 underline underline-offset-2 hover:text-white"
+      >
+        {placeName ? t("prayerSettings.useGlobal") : t("prayerSettings.resetDefaults")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import { useState } from "react";
+import { Bell, BellRing, Clock, Settings } from "lucide-react";
+import { usePrayerTimes } from "../../hooks/usePrayerTimes";
+import { formatTimeRemaining } from "../../utils/prayerTimes";
+import { CALCULATION_METHODS } from "../../utils/prayerSettings";
+import { PrayerSettingsPanel } from "./PrayerSettingsPanel";
+import { NotificationSettingsPanel } from "./NotificationSettingsPanel";
+import { useI18n } from "../../hooks/useI18n";
+
+/**
+ * Today's prayer times with the next prayer highlighted
+ * and a live countdown to it
+ *
+ * The countdown ticks inside this component so the rest of the page
+ * does not re-render every second.
+ *
+ * @param placeName - Saved place whose own settings are being edited, if any
+ * @param timeZone - IANA time zone of that place (times are shown in the device's when null)
+ * @param notifications - Result of usePrayerNotifications; shows the
+ *                        notification settings when given
+ */
+export function PrayerTimesCard({
+  position,
+  settings,
+  recommended,
+  onSettingsChange,
+  onSettingsReset,
+  placeName = null,
+  timeZone = null,
+  notifications = null,
+}) {
+  const { t, locale } = useI18n();
+  const [showSettings, setShowSettings] = useState(false);
+  const [showNotifications, setShowNotifications] = useState(false);
+  const { prayerTimes, nextPrayer } = usePrayerTimes(position, settings, { timeZone });
+
+  if (!prayerTimes) return null;
+
+  const { prayers, hijriDate } = prayerTimes;
+  const { method, madhab } = prayerTimes.settings;
+  const methodName = CALCULATION_METHODS[method] ? t(`methods.${method}`) : null;
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md rounded-2xl p-6 border border-white/20">
+      {/* Header */}
+      <div className="flex items-start justify-between gap-4 mb-5">
+        <div>
+          <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+            <Clock className="w-5 h-5" />
+            {t("prayerTimes.title")}
+          </h3>
+          <p className="text-sm text-white/70 mt-1">
+            {hijriDate}
+            {timeZone && ` · ${timeZone}`}
+          </p>
+        </div>
+        <div className="flex items-center gap-1">
+          {notifications && (
+            <button
+              onClick={() => setShowNotifications((open) => !open)}
+              className="p-2 rounded-full text-white/80 hover:text-white hover:bg-white/10 transition-colors"
+              aria-label={t("notifications.settings")}
+              aria-expanded={showNotifications}
+            >
+              {notifications.isActive ? (
+                <BellRing className="w-5 h-5" />
+              ) : (
+                <Bell className="w-5 h-5" />
+              )}
+            </button>
+          )}
+          <button
+            onClick={() => setShowSettings((open) => !open)}
+            className="p-2 rounded-full text-white/80 hover:text-white hover:bg-white/10 transition-colors"
+            aria-label={t("prayerTimes.settings")}
+            aria-expanded={showSettings}
+          >
+            <Settings className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Next prayer countdown */}
+      {nextPrayer && (
+        <div className="mb-5 rounded-xl bg-white/15 border border-white/20 px-4 py-3 text-center">
+          <p className="text-sm text-white/70">
+            {t(nextPrayer.isTomorrow ? "prayerTimes.nextTomorrow" : "prayerTimes.next", {
+              prayer: nextPrayer.name,
+              time: nextPrayer.displayTime,
+            })}
+          </p>
+          <p className="text-3xl font-bold text-white tabular-nums" aria-live="off">
+            {formatTimeRemaining(nextPrayer.timeRemainingMs, true, locale)}
+          </p>
+        </div>
+      )}
+
+      {/* Daily times */}
+      <ul className="divide-y divide-white/10">
+        {Object.entries(prayers).map(([key, prayer]) => {
+          const isNext = nextPrayer && !nextPrayer.isTomorrow && nextPrayer.key === key;
+          return (
+            <li
+              key={key}
+              className={`flex items-center justify-between py-2.5 px-2 rounded-lg transition-colors ${
+                isNext ? "bg-emerald-400/20" : ""
+              }`}
+            >
+              <span className={`font-medium ${isNext ? "text-white" : "text-white/80"}`}>
+                {prayer.name}
+              </span>
+              <span
+                className={`tabular-nums ${isNext ? "text-white font-bold" : "text-white/80"}`}
+              >
+                {prayer.displayTime}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+
+      {methodName && (
+        <p className="mt-4 text-xs text-white/50">
+          {methodName} ·{" "}
+          {t(madhab === "hanafi" ? "prayerTimes.asrHanafi" : "prayerTimes.asrStandard")}
+        </p>
+      )}
+
+      {/* Notifications */}
+      {notifications && showNotifications && (
+        <div className="mt-5 pt-5 border-t border-white/10">
+          <NotificationSettingsPanel
+            notifications={notifications}
+            prayerNames={Object.fromEntries(
+              Object.entries(prayers).map(([key, prayer]) => [key, prayer.name])
+            )}
+          />
+        </div>
+      )}
+
+      {/* Settings */}
+      {showSettings && (
+        <div className="mt-5 pt-5 border-t border-white/10">
+          <PrayerSettingsPanel
+            settings={settings}
+            recommended={recommended}
+            onChange={onSettingsChange}
+            onReset={onSettingsReset}
+            placeName={placeName}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
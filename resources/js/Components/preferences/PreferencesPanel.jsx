@@ -0,0 +1,160 @@
+import { usePreferences } from "../../hooks/usePreferences";
+import { useI18n } from "../../hooks/useI18n";
+import {
+  ALIGNMENT_TOLERANCE_RANGE,
+  COORDINATE_FORMATS,
+  DISTANCE_UNITS,
+  THEMES,
+  TIME_FORMATS,
+} from "../../utils/preferences";
+
+/**
+ * Labelled segmented control for a small set of choices
+ */
+function SettingChoice({ label, value, options, onChange }) {
+  return (
+    <div role="radiogroup" aria-label={label}>
+      <span className="block text-xs font-semibold text-white/70 mb-1">{label}</span>
+      <div className="flex flex-wrap rounded-lg bg-white/10 border border-white/20 p-1 gap-1">
+        {options.map((option) => (
+          <button
+            key={option.value}
+            role="radio"
+            aria-checked={value === option.value}
+            onClick={() => onChange(option.value)}
+            className={`flex-1 px-3 py-1.5 rounded-md text-sm font-medium whitespace-nowrap transition-all ${
+              value === option.value
+                ? "bg-white text-emerald-600 shadow"
+                : "text-white/80 hover:text-white"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * App-wide display settings: units, clock, coordinates, alignment
+ * tolerance, haptics, theme and accessible guidance. Changes apply and
+ * persist immediately.
+ */
+export function PreferencesPanel() {
+  const { t, formatNumber } = useI18n();
+  const { preferences, updatePreferences, resetPreferences } = usePreferences();
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md rounded-2xl p-6 border border-white/20 space-y-4">
+      <h2 className="text-lg font-semibold text-white">{t("preferences.title")}</h2>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <SettingChoice
+          label={t("preferences.distanceUnit")}
+          value={preferences.distanceUnit}
+          onChange={(distanceUnit) => updatePreferences({ distanceUnit })}
+          options={[
+            { value: DISTANCE_UNITS.KM, label: t("preferences.kilometres") },
+            { value: DISTANCE_UNITS.MI, label: t("preferences.miles") },
+          ]}
+        />
+
+        <SettingChoice
+          label={t("preferences.timeFormat")}
+          value={preferences.timeFormat}
+          onChange={(timeFormat) => updatePreferences({ timeFormat })}
+          options={[
+            { value: TIME_FORMATS.AUTO, label: t("preferences.timeAuto") },
+            { value: TIME_FORMATS.H12, label: t("preferences.time12h") },
+            { value: TIME_FORMATS.H24, label: t("preferences.time24h") },
+          ]}
+        />
+
+        <SettingChoice
+          label={t("preferences.coordinateFormat")}
+          value={preferences.coordinateFormat}
+          onChange={(coordinateFormat) => updatePreferences({ coordinateFormat })}
+          options={[
+            { value: COORDINATE_FORMATS.DECIMAL, label: t("preferences.decimal") },
+            { value: COORDINATE_FORMATS.DMS, label: t("preferences.dms") },
+          ]}
+        />
+
+        <SettingChoice
+          label={t("preferences.theme")}
+          value={preferences.theme}
+          onChange={(theme) => updatePreferences({ theme })}
+          options={[
+            { value: THEMES.AUTO, label: t("preferences.themeAuto") },
+            { value: THEMES.LIGHT, label: t("preferences.themeLight") },
+            { value: THEMES.DARK, label: t("preferences.themeDark") },
+          ]}
+        />
+
+        <label className="block">
+          <span className="flex justify-between text-xs font-semibold text-white/70 mb-1">
+            {t("preferences.alignmentTolerance")}
+            <span className="tabular-nums">
+              {t("preferences.toleranceValue", {
+                degrees: formatNumber(preferences.alignmentTolerance),
+              })}
+            </span>
+          </span>
+          <input
+            type="range"
+            min={ALIGNMENT_TOLERANCE_RANGE.min}
+            max={ALIGNMENT_TOLERANCE_RANGE.max}
+            step={1}
+            value={preferences.alignmentTolerance}
+            onChange={(e) => updatePreferences({ alignmentTolerance: Number(e.target.value) })}
+            className="w-full accent-white"
+          />
+        </label>
+
+        <label className="flex items-center gap-3 text-sm text-white/90 cursor-pointer sm:self-end sm:pb-1">
+          <input
+            type="checkbox"
+            checked={preferences.haptics}
+            onChange={(e) => updatePreferences({ haptics: e.target.checked })}
+            className="w-4 h-4 accent-emerald-500"
+          />
+          {t("preferences.haptics")}
+        </label>
+
+        <label className="flex items-center gap-3 text-sm text-white/90 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={preferences.accessibleMode}
+            onChange={(e) => updatePreferences({ accessibleMode: e.target.checked })}
+            aria-describedby="accessible-mode-hint"
+            className="w-4 h-4 accent-emerald-500"
+          />
+          {t("preferences.accessibleMode")}
+        </label>
+
+        <label className="flex items-center gap-3 text-sm text-white/90 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={preferences.guidanceTones}
+            disabled={!preferences.accessibleMode}
+            onChange={(e) => updatePreferences({ guidanceTones: e.target.checked })}
+            className="w-4 h-4 accent-emerald-500 disabled:opacity-50"
+          />
+          {t("preferences.guidanceTones")}
+        </label>
+
+        <p id="accessible-mode-hint" className="sm:col-span-2 text-xs text-white/60">
+          {t("preferences.accessibleModeHint")}
+        </p>
+      </div>
+
+      <button
+        onClick={resetPreferences}
+        className="text-sm text-white/70 underline underline-offset-2 hover:text-white"
+      >
+        {t("preferences.reset")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { PreferencesContext } from "../../hooks/usePreferences";
+import {
+  DEFAULT_PREFERENCES,
+  PREFERENCES_STORAGE_KEY,
+  normalizePreferences,
+  resolveTheme,
+} from "../../utils/preferences";
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+const THEME_COLORS = {
+  light: "#059669",
+  dark: "#0f172a",
+};
+
+function loadPreferences() {
+  try {
+    const saved = window.localStorage.getItem(PREFERENCES_STORAGE_KEY);
+    if (saved) return normalizePreferences(JSON.parse(saved));
+  } catch {
+    // Storage disabled or corrupted
+  }
+  return DEFAULT_PREFERENCES;
+}
+
+function systemPrefersDark() {
+  return typeof window.matchMedia === "function" && window.matchMedia(DARK_QUERY).matches;
+}
+
+/**
+ * Provides saved preferences to usePreferences and applies the colour
+ * theme to the document, following the system setting in "auto"
+ */
+export function PreferencesProvider({ children }) {
+  const [preferences, setPreferences] = useState(loadPreferences);
+  const [prefersDark, setPrefersDark] = useState(systemPrefersDark);
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== "function") return;
+
+    const query = window.matchMedia(DARK_QUERY);
+    const handleChange = (event) => setPrefersDark(event.matches);
+    query.addEventListener("change", handleChange);
+    return () => query.removeEventListener("change", handleChange);
+  }, []);
+
+  const theme = resolveTheme(preferences.theme, prefersDark);
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = theme;
+    document.querySelector('meta[name="theme-color"]')?.setAttribute("content", THEME_COLORS[theme]);
+  }, [theme]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+    } catch {
+      // Storage full or disabled (private mode)
+    }
+  }, [preferences]);
+
+  const updatePreferences = useCallback((changes) => {
+    setPreferences((current) => normalizePreferences({ ...current, ...changes }));
+  }, []);
+
+  const resetPreferences = useCallback(() => {
+    setPreferences(DEFAULT_PREFERENCES);
+  }, []);
+
+  const value = useMemo(
+    () => ({ preferences, theme, updatePreferences, resetPreferences }),
+    [preferences, theme, updatePreferences, resetPreferences]
+  );
+
+  return <PreferencesContext.Provider value={value}>{children}</PreferencesContext.Provider>;
+}
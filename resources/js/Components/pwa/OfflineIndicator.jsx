@@ -0,0 +1,24 @@
+import { WifiOff } from "lucide-react";
+import { useOnlineStatus } from "../../hooks/useOnlineStatus";
+import { useI18n } from "../../hooks/useI18n";
+
+/**
+ * Small header badge shown while the device has no network
+ * Qibla and prayer times are computed locally, so the app keeps working.
+ */
+export function OfflineIndicator() {
+  const { t } = useI18n();
+  const isOnline = useOnlineStatus();
+  if (isOnline) return null;
+
+  return (
+    <span
+      className="flex items-center gap-1.5 px-3 py-1 rounded-full bg-amber-500/25 border border-amber-400/40 text-sm text-white"
+      role="status"
+      title={t("common.offlineHint")}
+    >
+      <WifiOff className="w-4 h-4" />
+      {t("common.offline")}
+    </span>
+  );
+}
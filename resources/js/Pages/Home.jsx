@@ -1,12 +1,45 @@
-import { Head } from "@inertiajs/react";
+import { Head, Link } from "@inertiajs/react";
 import { useState, useEffect } from "react";
 import { useGeolocation } from "../hooks/useGeolocation";
-import { useCompass } from "../hooks/useCompass";
+import { useCompass, QIBLA_INTERPRETATIONS } from "../hooks/useCompass";
+import { usePrayerSettings } from "../hooks/usePrayerSettings";
+import { usePrayerNotifications } from "../hooks/usePrayerNotifications";
+import { useSavedPlaces } from "../hooks/useSavedPlaces";
+import { useInstallPrompt } from "../hooks/useInstallPrompt";
+import { useCelestialPositions } from "../hooks/useCelestialPositions";
+import { useAccessibleGuidance } from "../hooks/useAccessibleGuidance";
 import { CompassRose } from "../Components/compass/CompassRose";
-import { MapPin, Navigation, AlertCircle } from "lucide-react";
+import { ARQiblaView } from "../Components/compass/ARQiblaView";
+import { SunOverKaabaCard } from "../Components/compass/SunOverKaabaCard";
+import { QiblaRouteMap } from "../Components/map/QiblaRouteMap";
+import { PrayerTimesCard } from "../Components/prayer/PrayerTimesCard";
+import { LocationPicker } from "../Components/location/LocationPicker";
+import { PlaceSwitcher } from "../Components/location/PlaceSwitcher";
+import { OfflineIndicator } from "../Components/pwa/OfflineIndicator";
+import { LanguageSwitcher } from "../Components/i18n/LanguageSwitcher";
+import { PreferencesPanel } from "../Components/preferences/PreferencesPanel";
+import { useI18n } from "../hooks/useI18n";
+import { usePreferences } from "../hooks/usePreferences";
+import { formatCoordinates, formatDistance, getCardinalDirectionFull } from "../utils/formatting";
+import { normalizePrayerSettings } from "../utils/prayerSettings";
+import { toIntlLocale } from "../utils/i18n";
+import { buildLocationLink, parseLocationLink, shareLink } from "../utils/shareLinks";
+import {
+  MapPin,
+  Navigation,
+  AlertCircle,
+  CalendarDays,
+  Download,
+  Camera,
+  Settings,
+  Share2,
+  AudioLines,
+} from "lucide-react";
 import toast, { Toaster } from "react-hot-toast";
 
 function SplashLoader({ visible }) {
+  const { t } = useI18n();
+
   return (
     <div className={`splash-loader ${!visible ? "fade-out" : ""}`}>
       <div className="relative flex items-center justify-center mb-8">
@@ -23,7 +56,7 @@ function SplashLoader({ visible }) {
         <div className="absolute w-3 h-3 rounded-full bg-white shadow-lg" />
       </div>
       <h2 className="splash-title text-white text-2xl font-bold tracking-wide mb-3">
-        Qibla Finder
+        {t("app.name")}
       </h2>
       <div className="splash-dots mt-2">
         <span />
@@ -34,11 +67,23 @@ function SplashLoader({ visible }) {
   );
 }
 
-export default function Home() {
+/**
+ * @param sharedLocation - { lat, lng, name } from a shared link, read by the server
+ */
+export default function Home({ sharedLocation = null }) {
+  const { t, locale, formatNumber } = useI18n();
+  const { preferences, updatePreferences } = usePreferences();
   const [showSplash, setShowSplash] = useState(true);
   const [splashVisible, setSplashVisible] = useState(true);
   const [compassPermissionRequested, setCompassPermissionRequested] =
     useState(false);
+  const [interpretation, setInterpretation] = useState(
+    QIBLA_INTERPRETATIONS.GREAT_CIRCLE
+  );
+  const [showLocationPicker, setShowLocationPicker] = useState(false);
+  const [arMode, setArMode] = useState(false);
+  const [showPreferences, setShowPreferences] = useState(false);
+  const { canInstall, promptInstall } = useInstallPrompt();
 
   // Splash loader timing
   useEffect(() => {
@@ -50,25 +95,185 @@ export default function Home() {
     };
   }, []);
 
+  // Escape closes the settings panel (the AR view handles its own)
+  useEffect(() => {
+    if (!showPreferences || arMode) return;
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") setShowPreferences(false);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [showPreferences, arMode]);
+
+  // A shared link opens at its location; the URL is read here too for the offline app shell
+  const [initialLocation] = useState(() => sharedLocation ?? parseLocationLink());
+
   // Get user's geolocation
-  const { position, error: geoError, loading, source: locationSource, requestPermission } = useGeolocation();
+  const {
+    position,
+    error: geoError,
+    loading,
+    source: locationSource,
+    placeName,
+    placeId,
+    requestPermission,
+    setManualLocation,
+    selectPlace,
+  } = useGeolocation({ initialLocation });
+
+  // Pinned locations
+  const { places, addPlace, updatePlace, removePlace } = useSavedPlaces();
+  const activePlace = places.find((place) => place.id === placeId) ?? null;
 
   // Get compass data
   const {
     qiblaAngle,
-    deviceHeading,
+    trueHeading,
+    declination,
     qiblaDirection,
     distance,
+    rhumbQiblaAngle,
+    rhumbQiblaDirection,
+    rhumbDistance,
+    userLocation,
     hasCompassData,
+    calibrationState,
+    headingAccuracy,
+    calibrationIssues,
+    tilt,
+    level,
     isSupported: compassSupported,
     permissionState,
     requestOrientationPermission,
   } = useCompass(position);
 
+  // Sun and moon as a sensor-free reference
+  const { sun, moon } = useCelestialPositions(position);
+
+  // Prayer times for the same position
+  const {
+    settings: prayerSettings,
+    recommended: recommendedPrayerSettings,
+    updateSettings: updatePrayerSettings,
+    resetSettings: resetPrayerSettings,
+  } = usePrayerSettings(position);
+
+  // A saved place may carry its own prayer settings; otherwise it follows the global ones
+  const activePrayerSettings = activePlace?.prayerSettings ?? prayerSettings;
+
+  // Adhan notifications follow the active place's settings
+  const prayerNotifications = usePrayerNotifications(position, activePrayerSettings);
+
+  const handlePrayerSettingsChange = (changes) => {
+    if (!activePlace) {
+      updatePrayerSettings(changes);
+      return;
+    }
+    updatePlace(activePlace.id, {
+      prayerSettings: normalizePrayerSettings({
+        ...activePrayerSettings,
+        ...changes,
+        adjustments: { ...activePrayerSettings.adjustments, ...changes.adjustments },
+      }),
+    });
+  };
+
+  const handlePrayerSettingsReset = () => {
+    if (activePlace) {
+      updatePlace(activePlace.id, { prayerSettings: null });
+    } else {
+      resetPrayerSettings();
+    }
+  };
+
+  // Rhumb line replaces or accompanies the great circle depending on the selection
+  const showRhumbOnly = interpretation === QIBLA_INTERPRETATIONS.RHUMB_LINE;
+  const showBoth = interpretation === QIBLA_INTERPRETATIONS.BOTH;
+  const displayedDirection = showRhumbOnly ? rhumbQiblaDirection : qiblaDirection;
+  const displayedDistance = showRhumbOnly ? rhumbDistance : distance;
+
+  const { distanceUnit, coordinateFormat } = preferences;
+
+  // Spoken, audio and vibration guidance for the displayed Qibla needle
+  const guidance = useAccessibleGuidance(
+    hasCompassData ? (showRhumbOnly ? rhumbQiblaAngle : qiblaAngle) : null
+  );
+  const formatPlace = (lat, lng) => formatCoordinates(lat, lng, 4, locale, coordinateFormat);
+
+  // The timetable opens at the place shown here, with that place's prayer settings
+  const timetableHref = activePlace
+    ? `/timetable?${new URLSearchParams({ place: activePlace.id })}`
+    : position && (locationSource === "manual" || locationSource === "shared")
+    ? `/timetable?${new URLSearchParams({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        ...(placeName && { name: placeName }),
+      })}`
+    : "/timetable";
+
   // Handle location permission request
   const handleLocationRequest = () => {
     requestPermission();
-    toast.success("Requesting location access...");
+    toast.success(t("home.requestingLocation"));
+  };
+
+  // Handle a typed or searched location
+  const handleManualLocation = (lat, lng, name) => {
+    setManualLocation(lat, lng, name);
+    setShowLocationPicker(false);
+    toast.success(
+      t("home.locationSet", { place: name ?? formatPlace(lat, lng) })
+    );
+  };
+
+  // Pin the current position
+  const handleSavePlace = (name, timeZone) => {
+    const place = addPlace(name, position.coords.latitude, position.coords.longitude, null, timeZone);
+    selectPlace(place);
+    toast.success(t("home.placeSaved", { place: place.name }));
+  };
+
+  // Send a link that opens the app at the current location
+  const handleShare = async () => {
+    const { latitude, longitude } = position.coords;
+    const place = placeName ?? formatPlace(latitude, longitude);
+    const result = await shareLink({
+      title: t("share.title", { place }),
+      text: t("share.text", {
+        place,
+        direction: formatNumber(Math.round(qiblaDirection)),
+        cardinal: getCardinalDirectionFull(qiblaDirection, locale),
+      }),
+      url: buildLocationLink(latitude, longitude, placeName),
+    });
+
+    if (result === "copied") toast.success(t("share.copied"));
+    if (result === "failed") toast.error(t("share.failed"));
+  };
+
+  const handleRemovePlace = (id) => {
+    removePlace(id);
+    if (id === activePlace?.id) requestPermission();
+  };
+
+  const placeSwitcher = (
+    <PlaceSwitcher
+      places={places}
+      activePlaceId={activePlace?.id ?? null}
+      isLiveLocation={locationSource === "gps" || locationSource === "ip"}
+      canSave={position !== null}
+      suggestedName={placeName ?? ""}
+      onSelectPlace={selectPlace}
+      onUseCurrentLocation={handleLocationRequest}
+      onSavePlace={handleSavePlace}
+      onRemovePlace={handleRemovePlace}
+    />
+  );
+
+  // Camera unavailable: back to the compass
+  const handleArUnavailable = (message) => {
+    setArMode(false);
+    toast.error(t("home.cameraFallback", { message: message ?? t("home.cameraUnavailable") }));
   };
 
   // Handle compass permission request
@@ -76,9 +281,9 @@ export default function Home() {
     setCompassPermissionRequested(true);
     try {
       await requestOrientationPermission();
-      toast.success("Compass activated!");
+      toast.success(t("home.compassActivated"));
     } catch (error) {
-      toast.error("Failed to activate compass");
+      toast.error(t("home.compassFailed"));
     }
   };
 
@@ -91,7 +296,7 @@ export default function Home() {
 
   return (
     <>
-      <Head title="Qibla Finder - Find Prayer Direction" />
+      <Head title={`${t("app.name")} - ${t("app.title")}`} />
 
       {showSplash && <SplashLoader visible={splashVisible} />}
 
@@ -106,21 +311,67 @@ export default function Home() {
         }}
       />
 
-      <div className={`min-h-screen bg-gradient-to-br from-emerald-600 via-teal-600 to-emerald-700 ${!showSplash ? 'page-enter' : ''}`}>
+      <a
+        href="#main"
+        className="sr-only focus:not-sr-only focus:fixed focus:top-4 focus:start-4 focus:z-50 focus:px-4 focus:py-2 focus:rounded-lg focus:bg-white focus:text-emerald-700 focus:font-semibold focus:shadow-lg"
+      >
+        {t("accessibility.skipToContent")}
+      </a>
+
+      <div className={`min-h-screen bg-gradient-to-br from-emerald-600 via-teal-600 to-emerald-700 dark:from-slate-900 dark:via-slate-900 dark:to-emerald-950 ${!showSplash ? 'page-enter' : ''}`}>
         {/* Header */}
-        <div className="bg-white/10 backdrop-blur-md border-b border-white/20">
+        <header className="bg-white/10 backdrop-blur-md border-b border-white/20">
           <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
             <div className="flex items-center justify-between">
               <div className="flex items-center gap-3">
                 <Navigation className="w-8 h-8 text-white" />
-                <h1 className="text-2xl font-bold text-white">Qibla Finder</h1>
+                <h1 className="text-2xl font-bold text-white">{t("app.name")}</h1>
+              </div>
+              <div className="flex items-center gap-4">
+                <OfflineIndicator />
+                <LanguageSwitcher />
+                {canInstall && (
+                  <button
+                    onClick={promptInstall}
+                    className="flex items-center gap-2 text-white/90 hover:text-white"
+                  >
+                    <Download className="w-5 h-5" />
+                    <span className="font-medium hidden sm:inline">{t("common.install")}</span>
+                  </button>
+                )}
+                <Link
+                  href={timetableHref}
+                  className="flex items-center gap-2 text-white/90 hover:text-white"
+                >
+                  <CalendarDays className="w-5 h-5" />
+                  <span className="font-medium hidden sm:inline">{t("timetable.title")}</span>
+                </Link>
+                <button
+                  onClick={() => setShowPreferences((open) => !open)}
+                  className="text-white/90 hover:text-white"
+                  aria-label={t("preferences.open")}
+                  aria-expanded={showPreferences}
+                >
+                  <Settings className="w-5 h-5" />
+                </button>
               </div>
             </div>
           </div>
-        </div>
+        </header>
+
+        {/* Preferences */}
+        {showPreferences && (
+          <div className="max-w-2xl mx-auto px-4 pt-6">
+            <PreferencesPanel />
+          </div>
+        )}
 
         {/* Main Content */}
-        <div className="max-w-4xl mx-auto px-4 py-12 min-h-[calc(100vh-80px)] flex flex-col items-center justify-center">
+        <main
+          id="main"
+          tabIndex={-1}
+          className="max-w-4xl mx-auto px-4 py-12 min-h-[calc(100vh-80px)] flex flex-col items-center justify-center focus:outline-none"
+        >
           {/* No Location - Show Request Button */}
           {!position && !loading && !geoError && (
             <div className="text-center space-y-6">
@@ -129,19 +380,28 @@ export default function Home() {
               </div>
               <div className="space-y-3">
                 <h2 className="text-3xl md:text-4xl font-bold text-white">
-                  Find the Qibla
+                  {t("home.findTitle")}
                 </h2>
                 <p className="text-xl text-white/90 max-w-md mx-auto">
-                  Allow location access to calculate the direction to the Kaaba
-                  in Mecca
+                  {t("home.findBody")}
                 </p>
               </div>
               <button
                 onClick={handleLocationRequest}
                 className="px-8 py-4 bg-white text-emerald-600 rounded-full font-semibold text-lg hover:bg-white/90 transition-all hover:scale-105 shadow-xl"
               >
-                Enable Location
+                {t("home.enableLocation")}
               </button>
+              <div>
+                <button
+                  onClick={() => setShowLocationPicker((open) => !open)}
+                  className="text-white/80 hover:text-white underline underline-offset-4"
+                >
+                  {t("home.enterManually")}
+                </button>
+              </div>
+              {showLocationPicker && <LocationPicker onSelect={handleManualLocation} />}
+              {places.length > 0 && placeSwitcher}
             </div>
           )}
 
@@ -149,8 +409,8 @@ export default function Home() {
           {loading && (
             <div className="text-center space-y-4">
               <div className="w-16 h-16 mx-auto border-4 border-white/30 border-t-white rounded-full animate-spin" />
-              <p className="text-xl text-white">Detecting your location...</p>
-              <p className="text-sm text-white/60">This may take a few seconds</p>
+              <p className="text-xl text-white">{t("home.detecting")}</p>
+              <p className="text-sm text-white/60">{t("home.detectingHint")}</p>
             </div>
           )}
 
@@ -161,7 +421,7 @@ export default function Home() {
                 <AlertCircle className="w-12 h-12 text-white" />
               </div>
               <div className="space-y-3">
-                <h2 className="text-2xl font-bold text-white">Location Error</h2>
+                <h2 className="text-2xl font-bold text-white">{t("home.locationError")}</h2>
                 <p className="text-lg text-white/90 max-w-md mx-auto">
                   {geoError.message}
                 </p>
@@ -170,8 +430,15 @@ export default function Home() {
                 onClick={handleLocationRequest}
                 className="px-6 py-3 bg-white text-emerald-600 rounded-full font-semibold hover:bg-white/90 transition-all hover:scale-105 shadow-lg"
               >
-                Try Again
+                {t("common.tryAgain")}
               </button>
+              <div className="pt-2 space-y-3">
+                <p className="text-sm text-white/70">
+                  {t("home.chooseManually")}
+                </p>
+                <LocationPicker onSelect={handleManualLocation} />
+              </div>
+              {places.length > 0 && placeSwitcher}
             </div>
           )}
 
@@ -183,18 +450,17 @@ export default function Home() {
               </div>
               <div className="space-y-3">
                 <h2 className="text-3xl font-bold text-white">
-                  Enable Compass
+                  {t("home.enableCompass")}
                 </h2>
                 <p className="text-lg text-white/90 max-w-md mx-auto">
-                  To show the Qibla direction, we need access to your device's
-                  compass
+                  {t("home.enableCompassBody")}
                 </p>
               </div>
               <button
                 onClick={handleCompassRequest}
                 className="px-8 py-4 bg-white text-emerald-600 rounded-full font-semibold text-lg hover:bg-white/90 transition-all hover:scale-105 shadow-xl"
               >
-                Activate Compass
+                {t("home.activateCompass")}
               </button>
             </div>
           )}
@@ -202,13 +468,70 @@ export default function Home() {
           {/* Compass View */}
           {position && qiblaDirection !== null && (permissionState !== "prompt" || !compassSupported) && (
             <div className="w-full">
+              {/* Saved places */}
+              <div className="mb-6">{placeSwitcher}</div>
+
               {/* Approximate location notice */}
               {locationSource === "ip" && (
                 <div className="mb-6 mx-auto max-w-md bg-amber-500/20 backdrop-blur-md rounded-xl px-4 py-3 border border-amber-400/30 text-center">
                   <p className="text-sm text-white/90">
-                    Using approximate location based on your IP address.
-                    Direction may vary slightly.
+                    {t("home.ipNotice")}
                   </p>
+                  <button
+                    onClick={() => setShowLocationPicker((open) => !open)}
+                    className="mt-1 text-sm text-white/80 hover:text-white underline underline-offset-4"
+                  >
+                    {t("home.enterManually")}
+                  </button>
+                </div>
+              )}
+
+              {/* Last known location notice (offline) */}
+              {locationSource === "cached" && (
+                <div className="mb-6 mx-auto max-w-md bg-amber-500/20 backdrop-blur-md rounded-xl px-4 py-3 border border-amber-400/30 text-center">
+                  <p className="text-sm text-white/90">
+                    {t(placeName ? "home.cachedNoticeNamed" : "home.cachedNotice", {
+                      place: placeName,
+                      time: new Date(position.timestamp).toLocaleString(toIntlLocale(locale), {
+                        dateStyle: "medium",
+                        timeStyle: "short",
+                      }),
+                    })}
+                  </p>
+                </div>
+              )}
+
+              {/* Manual or shared location notice */}
+              {(locationSource === "manual" || locationSource === "shared") && (
+                <div className="mb-6 mx-auto max-w-md bg-white/10 backdrop-blur-md rounded-xl px-4 py-3 border border-white/20 text-center">
+                  <p className="text-sm text-white/90">
+                    {t(locationSource === "shared" ? "home.sharedNotice" : "home.usingPlace", {
+                      place:
+                        placeName ??
+                        formatPlace(position.coords.latitude, position.coords.longitude),
+                    })}
+                  </p>
+                  <div className="mt-2 flex justify-center gap-4 text-sm">
+                    <button
+                      onClick={() => setShowLocationPicker((open) => !open)}
+                      className="text-white/80 hover:text-white underline underline-offset-4"
+                    >
+                      {t("home.changeLocation")}
+                    </button>
+                    <button
+                      onClick={handleLocationRequest}
+                      className="text-white/80 hover:text-white underline underline-offset-4"
+                    >
+                      {t("home.useMyLocation")}
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Location search */}
+              {showLocationPicker && (
+                <div className="mb-6">
+                  <LocationPicker onSelect={handleManualLocation} />
                 </div>
               )}
 
@@ -216,14 +539,92 @@ export default function Home() {
               {!hasCompassData && (
                 <div className="mb-6 mx-auto max-w-md bg-blue-500/20 backdrop-blur-md rounded-xl px-4 py-3 border border-blue-400/30 text-center">
                   <p className="text-sm text-white/90">
-                    Static compass mode - North is at the top. Use a physical compass or mobile device to align yourself.
+                    {t("home.staticNotice")}
                   </p>
                 </div>
               )}
 
+              {/* Qibla interpretation selector */}
+              <div className="mb-8 flex justify-center">
+                <div className="inline-flex rounded-full bg-white/10 backdrop-blur-md border border-white/20 p-1">
+                  {[
+                    { value: QIBLA_INTERPRETATIONS.GREAT_CIRCLE, label: t("home.greatCircle") },
+                    { value: QIBLA_INTERPRETATIONS.RHUMB_LINE, label: t("home.rhumbLine") },
+                    { value: QIBLA_INTERPRETATIONS.BOTH, label: t("home.both") },
+                  ].map(({ value, label }) => (
+                    <button
+                      key={value}
+                      onClick={() => setInterpretation(value)}
+                      aria-pressed={interpretation === value}
+                      className={`px-4 py-1.5 rounded-full text-sm font-medium transition-all ${
+                        interpretation === value
+                          ? "bg-white text-emerald-600 shadow"
+                          : "text-white/80 hover:text-white"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {/* AR camera view and accessible guidance (need a live heading) */}
+              {hasCompassData && (
+                <div className="-mt-4 mb-8 flex flex-wrap justify-center gap-2">
+                  <button
+                    onClick={() => setArMode(true)}
+                    className="flex items-center gap-2 px-4 py-1.5 rounded-full bg-white/10 border border-white/20 text-sm font-medium text-white/90 hover:bg-white/20"
+                  >
+                    <Camera className="w-4 h-4" />
+                    {t("home.cameraView")}
+                  </button>
+                  <button
+                    onClick={() => updatePreferences({ accessibleMode: !guidance.enabled })}
+                    aria-pressed={guidance.enabled}
+                    className={`flex items-center gap-2 px-4 py-1.5 rounded-full border text-sm font-medium ${
+                      guidance.enabled
+                        ? "bg-white text-emerald-600 border-white"
+                        : "bg-white/10 border-white/20 text-white/90 hover:bg-white/20"
+                    }`}
+                  >
+                    <AudioLines className="w-4 h-4" />
+                    {t("accessibility.guidance")}
+                  </button>
+                </div>
+              )}
+
+              {/* Turn instructions for screen readers in accessible mode */}
+              <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">
+                {guidance.announcement}
+              </div>
+
+              {arMode && (
+                <ARQiblaView
+                  heading={trueHeading}
+                  qiblaDirection={displayedDirection}
+                  tilt={tilt}
+                  distance={displayedDistance}
+                  distanceUnit={distanceUnit}
+                  alignmentTolerance={preferences.alignmentTolerance}
+                  onClose={() => setArMode(false)}
+                  onUnavailable={handleArUnavailable}
+                />
+              )}
+
               <CompassRose
-                deviceHeading={deviceHeading}
-                qiblaAngle={qiblaAngle}
+                deviceHeading={trueHeading}
+                qiblaAngle={showRhumbOnly ? rhumbQiblaAngle : qiblaAngle}
+                rhumbAngle={showBoth ? rhumbQiblaAngle : null}
+                declination={declination}
+                calibrationState={calibrationState}
+                headingAccuracy={headingAccuracy}
+                calibrationIssues={calibrationIssues}
+                tilt={tilt}
+                level={level}
+                sun={sun}
+                moon={moon}
+                alignmentTolerance={preferences.alignmentTolerance}
+                haptics={preferences.haptics && !guidance.enabled}
                 size={450}
               />
 
@@ -232,78 +633,104 @@ export default function Home() {
                 {/* Distance Card */}
                 <div className="bg-white/10 backdrop-blur-md rounded-2xl p-6 border border-white/20">
                   <h3 className="text-sm font-semibold text-white/80 mb-2">
-                    Distance to Mecca
+                    {t("home.distanceTitle")}
                   </h3>
                   <p className="text-3xl font-bold text-white">
-                    {distance ? `${Math.round(distance).toLocaleString()} km` : "-"}
+                    {displayedDistance
+                      ? formatDistance(displayedDistance, distanceUnit, 0, locale)
+                      : "-"}
                   </p>
+                  {showBoth && rhumbDistance && (
+                    <p className="mt-1 text-sm text-amber-200/90">
+                      {t("home.rhumbLineValue", {
+                        value: formatDistance(rhumbDistance, distanceUnit, 0, locale),
+                      })}
+                    </p>
+                  )}
                 </div>
 
                 {/* Direction Card */}
                 <div className="bg-white/10 backdrop-blur-md rounded-2xl p-6 border border-white/20">
                   <h3 className="text-sm font-semibold text-white/80 mb-2">
-                    Qibla Direction
+                    {t("home.directionTitle")}
                   </h3>
                   <p className="text-3xl font-bold text-white">
-                    {qiblaDirection !== null
-                      ? `${Math.round(qiblaDirection)}°`
+                    {displayedDirection !== null
+                      ? `${formatNumber(Math.round(displayedDirection))}°`
                       : "-"}
                   </p>
+                  {showBoth && rhumbQiblaDirection !== null && (
+                    <p className="mt-1 text-sm text-amber-200/90">
+                      {t("home.rhumbLineValue", {
+                        value: `${formatNumber(Math.round(rhumbQiblaDirection))}°`,
+                      })}
+                    </p>
+                  )}
                 </div>
               </div>
 
+              {/* Share */}
+              <div className="mt-4 flex justify-center">
+                <button
+                  onClick={handleShare}
+                  className="flex items-center gap-2 px-4 py-1.5 rounded-full bg-white/10 border border-white/20 text-sm font-medium text-white/90 hover:bg-white/20"
+                >
+                  <Share2 className="w-4 h-4" />
+                  {t("share.button")}
+                </button>
+              </div>
+
+              {/* Route map */}
+              {userLocation && (
+                <div className="mt-4 max-w-2xl mx-auto">
+                  <QiblaRouteMap
+                    userLocation={userLocation}
+                    qiblaDirection={qiblaDirection}
+                    distanceUnit={distanceUnit}
+                    coordinateFormat={coordinateFormat}
+                  />
+                </div>
+              )}
+
+              {/* Prayer Times */}
+              <div className="mt-4 max-w-2xl mx-auto">
+                <PrayerTimesCard
+                  position={position}
+                  settings={activePrayerSettings}
+                  recommended={recommendedPrayerSettings}
+                  onSettingsChange={handlePrayerSettingsChange}
+                  onSettingsReset={handlePrayerSettingsReset}
+                  placeName={activePlace?.name ?? null}
+                  timeZone={activePlace?.timeZone ?? null}
+                  notifications={prayerNotifications}
+                />
+              </div>
+
+              {/* Sun over the Kaaba */}
+              <div className="mt-4 max-w-2xl mx-auto">
+                <SunOverKaabaCard position={position} qiblaDirection={qiblaDirection} />
+              </div>
+
               {/* Tips */}
               <div className="mt-8 bg-white/5 backdrop-blur-md rounded-2xl p-6 border border-white/10 max-w-2xl mx-auto">
                 <h3 className="text-lg font-semibold text-white mb-3">
-                  {hasCompassData ? "Tips for Accuracy" : "How to Use"}
+                  {hasCompassData ? t("home.tipsTitle") : t("home.howToUseTitle")}
                 </h3>
                 <ul className="space-y-2 text-white/80">
-                  {hasCompassData ? (
-                    <>
-                      <li className="flex items-start gap-2">
-                        <span className="text-white mt-1">•</span>
-                        <span>Hold your device flat (parallel to the ground)</span>
-                      </li>
-                      <li className="flex items-start gap-2">
-                        <span className="text-white mt-1">•</span>
-                        <span>
-                          Keep away from magnetic objects (speakers, magnets)
-                        </span>
-                      </li>
-                      <li className="flex items-start gap-2">
-                        <span className="text-white mt-1">•</span>
-                        <span>
-                          Calibrate by moving device in a figure-8 motion
-                        </span>
-                      </li>
-                    </>
-                  ) : (
-                    <>
-                      <li className="flex items-start gap-2">
-                        <span className="text-white mt-1">•</span>
-                        <span>
-                          The compass shows the Qibla direction from your current location
-                        </span>
-                      </li>
-                      <li className="flex items-start gap-2">
-                        <span className="text-white mt-1">•</span>
-                        <span>
-                          North is at the top - the green needle points to Qibla
-                        </span>
-                      </li>
-                      <li className="flex items-start gap-2">
-                        <span className="text-white mt-1">•</span>
-                        <span>
-                          Use a physical compass or phone to align yourself with the direction shown
-                        </span>
-                      </li>
-                    </>
-                  )}
+                  {(hasCompassData
+                    ? ["tipFlat", "tipMagnets", "tipCalibrate"]
+                    : ["tipStatic", "tipNorth", "tipPhysical", "tipSky"]
+                  ).map((tip) => (
+                    <li key={tip} className="flex items-start gap-2">
+                      <span className="text-white mt-1">•</span>
+                      <span>{t(`home.${tip}`)}</span>
+                    </li>
+                  ))}
                 </ul>
               </div>
             </div>
           )}
-        </div>
+        </main>
       </div>
     </>
   );
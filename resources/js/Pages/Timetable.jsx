@@ -0,0 +1,276 @@
+import { Head, Link } from "@inertiajs/react";
+import { useEffect, useMemo, useState } from "react";
+import {
+  ArrowLeft,
+  CalendarDays,
+  ChevronLeft,
+  ChevronRight,
+  Download,
+  Printer,
+} from "lucide-react";
+import { useGeolocation } from "../hooks/useGeolocation";
+import { useSavedPlaces } from "../hooks/useSavedPlaces";
+import { LocationPicker } from "../Components/location/LocationPicker";
+import { OfflineIndicator } from "../Components/pwa/OfflineIndicator";
+import { LanguageSwitcher } from "../Components/i18n/LanguageSwitcher";
+import { useI18n } from "../hooks/useI18n";
+import { usePreferences } from "../hooks/usePreferences";
+import { usePrayerSettings } from "../hooks/usePrayerSettings";
+import { calendarDateIn, getMonthPrayerTimes } from "../utils/prayerTimes";
+import { CALCULATION_METHODS } from "../utils/prayerSettings";
+import { formatCoordinates } from "../utils/formatting";
+import { toIntlLocale } from "../utils/i18n";
+import { parseLocationLink } from "../utils/shareLinks";
+import {
+  buildTimetableCsv,
+  buildTimetableIcs,
+  downloadFile,
+} from "../utils/timetableExport";
+
+const COLUMNS = ["fajr", "sunrise", "dhuhr", "asr", "maghrib", "isha"];
+
+export default function Timetable() {
+  const { t, locale } = useI18n();
+  const { timeFormat, coordinateFormat } = usePreferences().preferences;
+
+  // Opened from the compass at a saved place (?place=id) or a fixed location (?lat=&lng=&name=)
+  const { places } = useSavedPlaces();
+  const [linkedPlace] = useState(() => {
+    const placeId = new URLSearchParams(window.location.search).get("place");
+    return places.find((place) => place.id === placeId) ?? null;
+  });
+  const [linkedLocation] = useState(() => (linkedPlace ? null : parseLocationLink()));
+
+  const [month, setMonth] = useState(() => {
+    const start = calendarDateIn(linkedPlace?.timeZone ?? null);
+    return { year: start.getFullYear(), month: start.getMonth() };
+  });
+
+  const {
+    position,
+    error: geoError,
+    loading,
+    placeName,
+    placeId,
+    requestPermission,
+    setManualLocation,
+    selectPlace,
+  } = useGeolocation({ initialLocation: linkedLocation });
+
+  // A saved place may carry its own prayer settings, as on the compass page
+  const { settings: globalSettings } = usePrayerSettings(position);
+  const activePlace = places.find((place) => place.id === placeId) ?? null;
+  const settings = activePlace?.prayerSettings ?? globalSettings;
+
+  // ...and its own time zone, which the days, times and exports follow
+  const timeZone = activePlace?.timeZone ?? null;
+  const today = calendarDateIn(timeZone);
+
+  // The timetable is only useful with a location, so ask straight away
+  useEffect(() => {
+    if (linkedPlace) selectPlace(linkedPlace);
+    else if (!linkedLocation) requestPermission();
+  }, [linkedPlace, linkedLocation, selectPlace, requestPermission]);
+
+  const latitude = position?.coords.latitude;
+  const longitude = position?.coords.longitude;
+
+  const days = useMemo(() => {
+    if (latitude === undefined || longitude === undefined) return [];
+    return getMonthPrayerTimes(
+      latitude,
+      longitude,
+      month.year,
+      month.month,
+      settings,
+      locale,
+      timeFormat,
+      timeZone
+    );
+  }, [latitude, longitude, month, settings, locale, timeFormat, timeZone]);
+
+  const monthLabel = new Date(month.year, month.month, 1).toLocaleDateString(
+    toIntlLocale(locale),
+    { month: "long", year: "numeric" }
+  );
+  const fileBase = `prayer-times-${month.year}-${String(month.month + 1).padStart(2, "0")}`;
+  const locationLabel =
+    placeName ??
+    (latitude !== undefined
+      ? formatCoordinates(latitude, longitude, 2, locale, coordinateFormat)
+      : "");
+  const method = days[0]?.settings.method;
+  const methodName = CALCULATION_METHODS[method] ? t(`methods.${method}`) : null;
+
+  const changeMonth = (delta) => {
+    setMonth(({ year, month: current }) => {
+      const date = new Date(year, current + delta, 1);
+      return { year: date.getFullYear(), month: date.getMonth() };
+    });
+  };
+
+  const handleCsv = () => {
+    downloadFile(
+      buildTimetableCsv(days, { timeZone }),
+      `${fileBase}.csv`,
+      "text/csv;charset=utf-8"
+    );
+  };
+
+  const handleIcs = () => {
+    downloadFile(
+      buildTimetableIcs(days, { locationName: locationLabel, timeZone }),
+      `${fileBase}.ics`,
+      "text/calendar;charset=utf-8"
+    );
+  };
+
+  const isToday = (date) => date.toDateString() === today.toDateString();
+
+  return (
+    <>
+      <Head title={t("timetable.pageTitle")} />
+
+      <div className="min-h-screen bg-gradient-to-br from-emerald-600 via-teal-600 to-emerald-700 dark:from-slate-900 dark:via-slate-900 dark:to-emerald-950 print:bg-none print:bg-white">
+        {/* Header */}
+        <div className="bg-white/10 backdrop-blur-md border-b border-white/20 print:hidden">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+            <div className="flex items-center justify-between">
+              <Link href="/" className="flex items-center gap-2 text-white/90 hover:text-white">
+                <ArrowLeft className="w-5 h-5 rtl:rotate-180" />
+                <span className="font-medium">{t("timetable.compass")}</span>
+              </Link>
+              <div className="flex items-center gap-3">
+                <OfflineIndicator />
+                <LanguageSwitcher />
+                <CalendarDays className="w-7 h-7 text-white" />
+                <h1 className="text-2xl font-bold text-white">{t("timetable.title")}</h1>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="max-w-5xl mx-auto px-4 py-8 print:p-0 print:max-w-none">
+          {/* Loading / error states */}
+          {loading && !position && (
+            <div className="text-center space-y-4 py-16">
+              <div className="w-16 h-16 mx-auto border-4 border-white/30 border-t-white rounded-full animate-spin" />
+              <p className="text-xl text-white">{t("home.detecting")}</p>
+            </div>
+          )}
+
+          {geoError && !loading && !position && (
+            <div className="text-center space-y-6 py-16">
+              <p className="text-lg text-white/90 max-w-md mx-auto">{geoError.message}</p>
+              <button
+                onClick={requestPermission}
+                className="px-6 py-3 bg-white text-emerald-600 rounded-full font-semibold hover:bg-white/90 transition-all hover:scale-105 shadow-lg"
+              >
+                {t("common.tryAgain")}
+              </button>
+              <LocationPicker onSelect={setManualLocation} />
+            </div>
+          )}
+
+          {days.length > 0 && (
+            <>
+              {/* Month navigation and actions */}
+              <div className="flex flex-col sm:flex-row items-center justify-between gap-4 mb-6">
+                <div className="flex items-center gap-3">
+                  <button
+                    onClick={() => changeMonth(-1)}
+                    className="p-2 rounded-full bg-white/10 text-white hover:bg-white/20 print:hidden"
+                    aria-label={t("timetable.previousMonth")}
+                  >
+                    <ChevronLeft className="w-5 h-5 rtl:rotate-180" />
+                  </button>
+                  <div className="text-center">
+                    <h2 className="text-2xl font-bold text-white print:text-black">{monthLabel}</h2>
+                    <p className="text-sm text-white/70 print:text-gray-600">
+                      {locationLabel}
+                      {methodName ? ` · ${methodName}` : ""}
+                      {timeZone ? ` · ${timeZone}` : ""}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => changeMonth(1)}
+                    className="p-2 rounded-full bg-white/10 text-white hover:bg-white/20 print:hidden"
+                    aria-label={t("timetable.nextMonth")}
+                  >
+                    <ChevronRight className="w-5 h-5 rtl:rotate-180" />
+                  </button>
+                </div>
+
+                <div className="flex items-center gap-2 print:hidden">
+                  <button
+                    onClick={() => window.print()}
+                    className="flex items-center gap-1.5 px-4 py-2 rounded-full bg-white text-emerald-600 text-sm font-semibold hover:bg-white/90 shadow"
+                  >
+                    <Printer className="w-4 h-4" />
+                    {t("timetable.print")}
+                  </button>
+                  <button
+                    onClick={handleCsv}
+                    className="flex items-center gap-1.5 px-4 py-2 rounded-full bg-white/15 text-white text-sm font-semibold border border-white/30 hover:bg-white/25"
+                  >
+                    <Download className="w-4 h-4" />
+                    {t("timetable.csv")}
+                  </button>
+                  <button
+                    onClick={handleIcs}
+                    className="flex items-center gap-1.5 px-4 py-2 rounded-full bg-white/15 text-white text-sm font-semibold border border-white/30 hover:bg-white/25"
+                  >
+                    <Download className="w-4 h-4" />
+                    {t("timetable.calendar")}
+                  </button>
+                </div>
+              </div>
+
+              {/* Month grid */}
+              <div className="timetable overflow-x-auto bg-white/10 backdrop-blur-md rounded-2xl border border-white/20 print:bg-white print:border-0 print:rounded-none">
+                <table className="w-full text-sm text-white print:text-black">
+                  <thead>
+                    <tr className="text-start text-white/70 print:text-black border-b border-white/20 print:border-gray-400">
+                      <th className="px-3 py-3 font-semibold">{t("timetable.date")}</th>
+                      <th className="px-3 py-3 font-semibold">{t("timetable.hijri")}</th>
+                      {COLUMNS.map((key) => (
+                        <th key={key} className="px-3 py-3 font-semibold text-end">
+                          {days[0].prayers[key].name}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {days.map((day) => (
+                      <tr
+                        key={day.date.toDateString()}
+                        className={`border-b border-white/10 print:border-gray-200 ${
+                          isToday(day.date) ? "bg-emerald-400/25 font-semibold print:bg-gray-100" : ""
+                        }`}
+                      >
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          {day.date.toLocaleDateString(toIntlLocale(locale), {
+                            weekday: "short",
+                            day: "numeric",
+                          })}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap text-white/70 print:text-gray-700">
+                          {day.hijriDate}
+                        </td>
+                        {COLUMNS.map((key) => (
+                          <td key={key} className="px-3 py-2 text-end tabular-nums whitespace-nowrap">
+                            {day.prayers[key].displayTime}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -4,6 +4,9 @@ import '../css/app.css';
 import { createRoot } from 'react-dom/client';
 import { createInertiaApp } from '@inertiajs/react';
 import { resolvePageComponent } from 'laravel-vite-plugin/inertia-helpers';
+import { registerServiceWorker } from './utils/serviceWorker';
+import { I18nProvider } from './Components/i18n/I18nProvider';
+import { PreferencesProvider } from './Components/preferences/PreferencesProvider';
 
 const appName = import.meta.env.VITE_APP_NAME || 'Qibla Finder';
 
@@ -13,9 +16,17 @@ createInertiaApp({
     setup({ el, App, props }) {
         const root = createRoot(el);
 
-        root.render(<App {...props} />);
+        root.render(
+            <I18nProvider>
+                <PreferencesProvider>
+                    <App {...props} />
+                </PreferencesProvider>
+            </I18nProvider>
+        );
     },
     progress: {
         color: '#059669',
     },
 });
+
+registerServiceWorker();
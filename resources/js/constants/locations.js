@@ -18,6 +18,16 @@ export const MECCA_COORDINATES = {
  */
 export const EARTH_RADIUS_KM = 6371;
 
+/**
+ * WGS-84 reference ellipsoid
+ * Used for ellipsoidal (geodesic) calculations
+ */
+export const WGS84 = {
+  a: 6378.137, // Semi-major axis in kilometers
+  f: 1 / 298.257223563, // Flattening
+  b: 6356.752314245, // Semi-minor axis in kilometers
+};
+
 /**
  * Earth's mean radius in miles
  */
@@ -0,0 +1,39 @@
+import '../css/app.css';
+
+import { createRoot } from 'react-dom/client';
+import { I18nProvider } from './Components/i18n/I18nProvider';
+import { QiblaWidget } from './Components/embed/QiblaWidget';
+import { PreferencesContext } from './hooks/usePreferences';
+import { normalizePreferences } from './utils/preferences';
+
+const el = document.getElementById('qibla-widget');
+
+if (el) {
+    const options = JSON.parse(el.dataset.options);
+
+    // Fixed by the embedding site; nothing is read from or saved to storage
+    const preferences = {
+        preferences: normalizePreferences({ timeFormat: options.timeFormat }),
+        theme: document.documentElement.dataset.theme,
+        updatePreferences: () => {},
+        resetPreferences: () => {},
+    };
+
+    createRoot(el).render(
+        <I18nProvider initialLocale={options.locale}>
+            <PreferencesContext.Provider value={preferences}>
+                <QiblaWidget {...options} />
+            </PreferencesContext.Provider>
+        </I18nProvider>
+    );
+}
+
+// Tell public/widget.js how tall the frame's content is
+if (window.parent !== window) {
+    new ResizeObserver(() => {
+        window.parent.postMessage(
+            { type: 'qibla-finder:resize', height: document.documentElement.scrollHeight },
+            '*'
+        );
+    }).observe(document.body);
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect, useRef } from "react";
+import {
+  VIBRATION_PATTERNS,
+  guidanceFor,
+  shouldAnnounce,
+  toneFor,
+} from "../utils/accessibleGuidance";
+import { playGuidanceTone, closeGuidanceTones } from "../utils/guidanceTones";
+import { formatRelativeDirection } from "../utils/formatting";
+import { useI18n } from "./useI18n";
+import { usePreferences } from "./usePreferences";
+
+/**
+ * Custom hook for the accessible (non-visual) guidance mode
+ * Announces turn instructions for a live region, plays tones whose pitch
+ * and stereo pan point to the Qibla, and vibrates a distinct pattern for
+ * left, right and aligned. Everything is off unless accessibleMode is set.
+ *
+ * @param qiblaAngle - Qibla relative to the heading (degrees, positive = right),
+ *   or null without a live heading
+ * @returns { enabled, announcement } - announcement is the text for the live region
+ *
+ * @example
+ * const { announcement } = useAccessibleGuidance(hasCompassData ? qiblaAngle : null);
+ */
+export function useAccessibleGuidance(qiblaAngle) {
+  const { locale } = useI18n();
+  const { preferences } = usePreferences();
+  const { accessibleMode, guidanceTones, haptics, alignmentTolerance } = preferences;
+  const [announcement, setAnnouncement] = useState("");
+
+  const lastAnnouncedRef = useRef(null);
+  const angleRef = useRef(qiblaAngle);
+  angleRef.current = qiblaAngle;
+
+  const active = accessibleMode && qiblaAngle !== null;
+
+  // Spoken instruction (and its vibration), throttled by shouldAnnounce
+  useEffect(() => {
+    if (!active) {
+      lastAnnouncedRef.current = null;
+      setAnnouncement("");
+      return;
+    }
+
+    const next = guidanceFor(qiblaAngle, alignmentTolerance);
+    const now = Date.now();
+    if (!shouldAnnounce(lastAnnouncedRef.current, next, now)) return;
+
+    lastAnnouncedRef.current = { ...next, at: now };
+    setAnnouncement(formatRelativeDirection(qiblaAngle, locale, alignmentTolerance));
+
+    if (haptics && navigator.vibrate) {
+      navigator.vibrate(VIBRATION_PATTERNS[next.side]);
+    }
+  }, [active, qiblaAngle, alignmentTolerance, locale, haptics]);
+
+  // Tone loop: the next tone is scheduled from the latest angle
+  useEffect(() => {
+    if (!active || !guidanceTones) return;
+
+    let timer = null;
+    const beep = () => {
+      if (angleRef.current === null) return;
+      const tone = toneFor(angleRef.current, alignmentTolerance);
+      playGuidanceTone(tone.frequency, tone.pan);
+      timer = setTimeout(beep, tone.interval);
+    };
+    beep();
+
+    return () => clearTimeout(timer);
+  }, [active, guidanceTones, alignmentTolerance]);
+
+  // Release the audio context when tones are switched off or on unmount
+  useEffect(() => {
+    if (!accessibleMode || !guidanceTones) return;
+    return closeGuidanceTones;
+  }, [accessibleMode, guidanceTones]);
+
+  return { enabled: accessibleMode, announcement };
+}
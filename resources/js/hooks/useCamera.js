@@ -0,0 +1,103 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { useI18n } from "./useI18n";
+
+/**
+ * Message keys for the failed statuses
+ */
+const ERROR_MESSAGE_KEYS = {
+  unsupported: "errors.cameraUnsupported",
+  denied: "errors.cameraDenied",
+  error: "errors.cameraFailed",
+};
+
+/**
+ * Custom hook for the rear camera stream (AR view)
+ *
+ * status: "idle" | "starting" | "active" | "denied" | "unsupported" | "error"
+ *
+ * @example
+ * const { stream, status, start, stop } = useCamera();
+ * useEffect(() => { start(); return stop; }, [start, stop]);
+ */
+export function useCamera() {
+  const { t } = useI18n();
+  const [state, setState] = useState({
+    stream: null,
+    status: "idle",
+  });
+  const streamRef = useRef(null);
+  const requestRef = useRef(0); // Bumped by start, stop and unmount to invalidate pending requests
+  const mountedRef = useRef(true);
+
+  const stop = useCallback(() => {
+    requestRef.current += 1;
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    if (mountedRef.current) setState({ stream: null, status: "idle" });
+  }, []);
+
+  /**
+   * Ask for the rear ("environment") camera
+   *
+   * @returns true when the stream started
+   */
+  const start = useCallback(async () => {
+    const request = ++requestRef.current;
+
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setState({
+        stream: null,
+        status: "unsupported",
+      });
+      return false;
+    }
+
+    setState((prev) => ({ ...prev, status: "starting" }));
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: { ideal: "environment" } },
+        audio: false,
+      });
+
+      // Stopped or unmounted while the permission prompt was open
+      if (request !== requestRef.current || !mountedRef.current) {
+        stream.getTracks().forEach((track) => track.stop());
+        return false;
+      }
+
+      streamRef.current?.getTracks().forEach((track) => track.stop());
+      streamRef.current = stream;
+      setState({ stream, status: "active" });
+      return true;
+    } catch (error) {
+      if (request !== requestRef.current || !mountedRef.current) return false;
+      const denied = error?.name === "NotAllowedError" || error?.name === "SecurityError";
+      setState({
+        stream: null,
+        status: denied ? "denied" : "error",
+      });
+      return false;
+    }
+  }, []);
+
+  // Release the camera when the component using it unmounts
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      requestRef.current += 1;
+      streamRef.current?.getTracks().forEach((track) => track.stop());
+      streamRef.current = null;
+    };
+  }, []);
+
+  const errorKey = ERROR_MESSAGE_KEYS[state.status];
+
+  return {
+    ...state,
+    error: errorKey ? t(errorKey) : null,
+    start,
+    stop,
+  };
+}
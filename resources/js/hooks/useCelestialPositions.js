@@ -0,0 +1,40 @@
+import { useState, useEffect, useMemo } from "react";
+import { getSunPosition, getMoonPosition } from "../utils/celestial";
+
+/**
+ * How often the sun and moon positions are refreshed (ms)
+ * Both move about a quarter of a degree per minute.
+ */
+const REFRESH_INTERVAL = 60 * 1000;
+
+/**
+ * Custom hook for the current sun and moon positions at the user's location
+ *
+ * @param position - Geolocation position object
+ * @returns { sun, moon } each { azimuth, altitude, isAboveHorizon }, or null without a position
+ *
+ * @example
+ * const { sun } = useCelestialPositions(position);
+ * if (sun?.isAboveHorizon) console.log(`Sun at ${sun.azimuth}°`);
+ */
+export function useCelestialPositions(position) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  const latitude = position?.coords.latitude;
+  const longitude = position?.coords.longitude;
+
+  return useMemo(() => {
+    if (latitude === undefined || longitude === undefined) {
+      return { sun: null, moon: null };
+    }
+    return {
+      sun: getSunPosition(latitude, longitude, now),
+      moon: getMoonPosition(latitude, longitude, now),
+    };
+  }, [latitude, longitude, now]);
+}
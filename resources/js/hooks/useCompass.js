@@ -1,58 +1,169 @@
 import { useMemo } from "react";
 import { useDeviceOrientation } from "./useDeviceOrientation";
 import { useQiblaCalculation } from "./useQiblaCalculation";
-import { angleDifference } from "../utils/qiblaCalculations";
+import {
+  angleDifference,
+  normalizeAngle,
+  calculateRhumbQiblaDirection,
+  calculateRhumbDistance,
+} from "../utils/qiblaCalculations";
+import { MECCA_COORDINATES } from "../constants/locations";
+import { calculateMagneticDeclination } from "../utils/magneticDeclination";
+
+/**
+ * Qibla interpretations the compass can display
+ * - greatCircle: shortest path over the Earth's surface (default)
+ * - rhumbLine: constant compass bearing (loxodrome)
+ * - both: show both needles to compare them
+ */
+export const QIBLA_INTERPRETATIONS = {
+  GREAT_CIRCLE: "greatCircle",
+  RHUMB_LINE: "rhumbLine",
+  BOTH: "both",
+};
 
 /**
  * Main compass hook that combines device orientation with Qibla calculation
  *
  * On mobile (with compass): provides real-time rotation data
  * On desktop (no compass): provides static bearing for a fixed compass display
+ *
+ * Device compasses report magnetic headings, so the heading is corrected by the
+ * local magnetic declination (World Magnetic Model) before comparing it with the
+ * true-north Qibla bearing.
+ *
+ * @param position - Geolocation position object
+ * @param options - Forwarded to useQiblaCalculation (e.g. { model: "ellipsoidal" });
+ *                  options.orientation is forwarded to useDeviceOrientation
+ *                  (heading filter tuning)
  */
-export function useCompass(position) {
+export function useCompass(position, options = {}) {
   // Get device orientation (compass heading)
   const {
     heading: deviceHeading,
     error: orientationError,
     isSupported,
     permissionState,
+    calibrationState,
+    headingAccuracy,
+    calibrationIssues,
+    headingSource,
+    isNorthReferenced,
+    tilt,
+    level,
     requestPermission: requestOrientationPermission,
-  } = useDeviceOrientation();
+  } = useDeviceOrientation(options.orientation);
 
   // Calculate Qibla direction and distance
-  const { qiblaDirection, distance, userLocation } =
-    useQiblaCalculation(position);
+  const { qiblaDirection, finalBearing, distance, userLocation, model } =
+    useQiblaCalculation(position, options);
 
   // Check if we have working compass sensor (heading data received)
   const hasCompassData = deviceHeading !== null;
 
+  // Rhumb line (constant bearing) interpretation of the Qibla
+  const { rhumbQiblaDirection, rhumbDistance } = useMemo(() => {
+    if (!userLocation) return { rhumbQiblaDirection: null, rhumbDistance: null };
+    return {
+      rhumbQiblaDirection: calculateRhumbQiblaDirection(userLocation.lat, userLocation.lng),
+      rhumbDistance: calculateRhumbDistance(
+        userLocation.lat,
+        userLocation.lng,
+        MECCA_COORDINATES.lat,
+        MECCA_COORDINATES.lng
+      ),
+    };
+  }, [userLocation]);
+
+  // Magnetic declination at the user's location (positive = East)
+  const declination = useMemo(() => {
+    if (!userLocation) return null;
+    return calculateMagneticDeclination(userLocation.lat, userLocation.lng);
+  }, [userLocation]);
+
+  // Device heading corrected to true north
+  const trueHeading = useMemo(() => {
+    if (deviceHeading === null) return null;
+    return normalizeAngle(deviceHeading + (declination ?? 0));
+  }, [deviceHeading, declination]);
+
+  // Qibla bearing measured from magnetic north (for use with a physical compass)
+  const magneticQiblaDirection = useMemo(() => {
+    if (qiblaDirection === null) return null;
+    return normalizeAngle(qiblaDirection - (declination ?? 0));
+  }, [qiblaDirection, declination]);
+
   /**
    * Calculate angle for display
-   * Mobile (with heading): relative angle from current heading
+   * Mobile (with heading): relative angle from current true heading
    * Desktop (no heading): absolute Qibla bearing (for static compass, North at top)
    */
   const qiblaAngle = useMemo(() => {
     if (qiblaDirection === null) return null;
 
-    if (deviceHeading !== null) {
+    if (trueHeading !== null) {
       // Mobile: relative angle from current device heading
-      return angleDifference(deviceHeading, qiblaDirection);
+      return angleDifference(trueHeading, qiblaDirection);
     }
 
     // Desktop: return absolute Qibla bearing (static compass)
     return qiblaDirection;
-  }, [qiblaDirection, deviceHeading]);
+  }, [qiblaDirection, trueHeading]);
+
+  /**
+   * Rhumb line equivalent of qiblaAngle
+   */
+  const rhumbQiblaAngle = useMemo(() => {
+    if (rhumbQiblaDirection === null) return null;
+
+    if (trueHeading !== null) {
+      return angleDifference(trueHeading, rhumbQiblaDirection);
+    }
+
+    return rhumbQiblaDirection;
+  }, [rhumbQiblaDirection, trueHeading]);
+
+  /**
+   * Same as qiblaAngle but without declination correction
+   * Mobile: relative angle from the raw magnetic heading
+   * Desktop: Qibla bearing from magnetic north
+   */
+  const magneticQiblaAngle = useMemo(() => {
+    if (qiblaDirection === null) return null;
+
+    if (deviceHeading !== null) {
+      return angleDifference(deviceHeading, qiblaDirection);
+    }
+
+    return magneticQiblaDirection;
+  }, [qiblaDirection, deviceHeading, magneticQiblaDirection]);
 
   return {
     qiblaAngle,
-    deviceHeading,
+    magneticQiblaAngle,
+    deviceHeading, // magnetic heading as reported by the sensor
+    trueHeading,
+    declination,
     qiblaDirection,
+    magneticQiblaDirection,
+    finalBearing,
     distance,
+    model,
+    rhumbQiblaAngle,
+    rhumbQiblaDirection,
+    rhumbDistance,
     userLocation,
     hasCompassData, // true if real-time compass available
     error: orientationError,
     isSupported,
     permissionState,
+    calibrationState,
+    headingAccuracy,
+    calibrationIssues,
+    headingSource, // which sensor API provides the heading
+    isNorthReferenced, // false when the heading is relative to an arbitrary start
+    tilt, // degrees from lying flat
+    level, // bubble level offsets { x, y }
     requestOrientationPermission,
   };
 }
@@ -1,95 +1,361 @@
 import { useState, useEffect, useCallback, useRef } from "react";
+import { assessHeadingQuality, CALIBRATION_STATES } from "../utils/headingQuality";
+import { createHeadingFilter } from "../utils/headingFilter";
+import { angleDifference } from "../utils/qiblaCalculations";
+import {
+  headingFromRotationMatrix,
+  quaternionToRotationMatrix,
+  rotationMatrixFromEuler,
+  tiltFromRotationMatrix,
+} from "../utils/orientationMath";
+
+/**
+ * Where the heading comes from
+ * - absoluteOrientationSensor: Generic Sensor API quaternion (Chromium on Android)
+ * - webkitCompassHeading: iOS Safari magnetic heading
+ * - deviceorientationabsolute: absolute alpha (Chromium)
+ * - deviceorientation: alpha that may or may not be north-referenced
+ */
+export const HEADING_SOURCES = {
+  ABSOLUTE_SENSOR: "absoluteOrientationSensor",
+  WEBKIT_COMPASS: "webkitCompassHeading",
+  ABSOLUTE_EVENT: "deviceorientationabsolute",
+  DEVICE_ORIENTATION: "deviceorientation",
+};
+
+/**
+ * Preference when several sources deliver readings; a source is ignored once
+ * a better one has produced a reading
+ */
+const SOURCE_RANK = {
+  [HEADING_SOURCES.ABSOLUTE_SENSOR]: 3,
+  [HEADING_SOURCES.WEBKIT_COMPASS]: 3,
+  [HEADING_SOURCES.ABSOLUTE_EVENT]: 2,
+  [HEADING_SOURCES.DEVICE_ORIENTATION]: 1,
+};
+
+/**
+ * Sampling rate requested from AbsoluteOrientationSensor (Hz)
+ */
+const SENSOR_FREQUENCY = 60;
+
+/**
+ * Smallest tilt change (degrees) worth a re-render
+ */
+const MIN_TILT_CHANGE = 1;
+
+/**
+ * Current screen rotation in degrees (0, 90, 180, 270)
+ */
+function getScreenAngle() {
+  if (typeof window === "undefined") return 0;
+  const angle = window.screen?.orientation?.angle ?? window.orientation ?? 0;
+  return ((angle % 360) + 360) % 360;
+}
+
+/**
+ * Raw readings kept for the heading quality estimate
+ */
+const QUALITY_SAMPLE_SIZE = 40;
+
+/**
+ * How often the heading quality is re-evaluated (ms)
+ */
+const QUALITY_INTERVAL = 500;
 
 /**
  * Custom hook for accessing device orientation (compass)
- * Provides smooth, real-time compass heading with jitter reduction
+ * Provides smooth, real-time compass heading with jitter reduction,
+ * plus a calibration state estimated from the raw readings
+ *
+ * The best available source is chosen at runtime (see HEADING_SOURCES);
+ * headingSource and isNorthReferenced report what is in use. A relative
+ * deviceorientation alpha is only used when nothing better is available.
+ *
+ * Headings are tilt-compensated from the full orientation and follow the top
+ * of the screen in landscape. tilt (degrees from flat) and level (bubble
+ * offsets, -1..1) let the UI ask the user to hold the phone flat.
+ *
+ * Readings go through an adaptive one-euro filter (see utils/headingFilter).
+ * React state only updates, at most once per animation frame, when the
+ * filtered heading moves by at least minChange degrees.
+ *
+ * @param options.minCutoff - Filter cutoff (Hz) when still
+ * @param options.beta - How quickly responsiveness rises with turning speed
+ * @param options.derivativeCutoff - Cutoff (Hz) for the angular velocity estimate
+ * @param options.minChange - Smallest heading change (degrees) worth a re-render
+ *
+ * @example
+ * const { heading } = useDeviceOrientation({ minCutoff: 0.3, beta: 0.02 });
  */
-export function useDeviceOrientation() {
+export function useDeviceOrientation({
+  minCutoff,
+  beta,
+  derivativeCutoff,
+  minChange = 0.1,
+} = {}) {
   const [state, setState] = useState({
     heading: null,
     error: null,
-    isAbsolute: false,
+    headingSource: null,
+    isNorthReferenced: false,
     isSupported: false,
     permissionState: "unknown",
+    calibrationState: CALIBRATION_STATES.UNKNOWN,
+    headingAccuracy: null, // Estimated ± error in degrees
+    calibrationIssues: [],
+    tilt: null,
+    level: null, // { x, y } bubble level offsets in screen coordinates
   });
 
-  const previousHeadingRef = useRef(null);
-  const bufferRef = useRef([]);
+  const headingFilterRef = useRef(null);
+  const filteredHeadingRef = useRef(null);
+  const emittedHeadingRef = useRef(null);
   const animFrameRef = useRef(null);
   const latestRawRef = useRef(null);
+  const minChangeRef = useRef(minChange);
+  const rawSamplesRef = useRef([]);
+  const compassAccuracyRef = useRef(null);
+  const isNorthReferencedRef = useRef(false);
+  const sourceRankRef = useRef(0);
+  const sensorRef = useRef(null);
+  const listeningRef = useRef(false);
+  const screenAngleRef = useRef(getScreenAngle());
+  const orientationRef = useRef(null); // Latest { tilt, level }
+  const emittedTiltRef = useRef(null);
 
   const checkSupport = useCallback(() => {
     return typeof window !== "undefined" && "DeviceOrientationEvent" in window;
   }, []);
 
+  // Rebuild the filter when its tuning changes
+  useEffect(() => {
+    headingFilterRef.current = createHeadingFilter({ minCutoff, beta, derivativeCutoff });
+  }, [minCutoff, beta, derivativeCutoff]);
+
+  useEffect(() => {
+    minChangeRef.current = minChange;
+  }, [minChange]);
+
   /**
-   * Smooth heading using weighted moving average + exponential smoothing
-   * Handles 0/360 wraparound correctly
+   * Push the latest filtered heading into React state (once per frame)
    */
-  const smoothHeading = useCallback((newHeading) => {
-    const buffer = bufferRef.current;
-    buffer.push(newHeading);
-    if (buffer.length > 5) buffer.shift();
-
-    // Weighted moving average (recent values weigh more)
-    let sinSum = 0, cosSum = 0;
-    const weights = [1, 2, 3, 4, 5];
-    buffer.forEach((h, i) => {
-      const w = weights[i] || 1;
-      sinSum += Math.sin((h * Math.PI) / 180) * w;
-      cosSum += Math.cos((h * Math.PI) / 180) * w;
-    });
-    const avgAngle = ((Math.atan2(sinSum, cosSum) * 180) / Math.PI + 360) % 360;
-
-    // Exponential smoothing on top
-    if (previousHeadingRef.current === null) {
-      previousHeadingRef.current = avgAngle;
-      return avgAngle;
-    }
+  const commitHeading = useCallback(() => {
+    animFrameRef.current = null;
+    emittedHeadingRef.current = filteredHeadingRef.current;
+    emittedTiltRef.current = orientationRef.current?.tilt ?? null;
+    setState((prev) => ({
+      ...prev,
+      heading: filteredHeadingRef.current,
+      tilt: orientationRef.current?.tilt ?? null,
+      level: orientationRef.current?.level ?? null,
+      error: null,
+    }));
+  }, []);
 
-    const alpha = 0.25;
-    let diff = avgAngle - previousHeadingRef.current;
-    if (diff > 180) diff -= 360;
-    if (diff < -180) diff += 360;
+  /**
+   * Filter a raw reading and schedule a state update if the heading moved
+   */
+  const updateHeading = useCallback(
+    (rawHeading, timestamp) => {
+      if (!headingFilterRef.current) {
+        headingFilterRef.current = createHeadingFilter();
+      }
+      const filtered = headingFilterRef.current.filter(rawHeading, timestamp);
+      filteredHeadingRef.current = filtered;
 
-    const smoothed = ((previousHeadingRef.current + alpha * diff) % 360 + 360) % 360;
-    previousHeadingRef.current = smoothed;
-    return smoothed;
-  }, []);
+      const emitted = emittedHeadingRef.current;
+      const emittedTilt = emittedTiltRef.current;
+      const tilt = orientationRef.current?.tilt ?? null;
+      const changed =
+        emitted === null ||
+        Math.abs(angleDifference(emitted, filtered)) >= minChangeRef.current ||
+        (tilt !== null && (emittedTilt === null || Math.abs(tilt - emittedTilt) >= MIN_TILT_CHANGE));
+      if (changed && animFrameRef.current === null) {
+        animFrameRef.current = requestAnimationFrame(commitHeading);
+      }
+    },
+    [commitHeading]
+  );
 
   /**
-   * Use requestAnimationFrame for smooth 60fps updates
+   * Accept a raw heading from a source unless a better source is active
+   *
+   * @param heading - Raw heading (degrees)
+   * @param reading.matrix - Device rotation matrix, used for tilt and the level
    */
-  const tick = useCallback(() => {
-    if (latestRawRef.current !== null) {
-      const smoothed = smoothHeading(latestRawRef.current);
-      setState((prev) => ({
-        ...prev,
-        heading: smoothed,
-        error: null,
-      }));
-    }
-    animFrameRef.current = requestAnimationFrame(tick);
-  }, [smoothHeading]);
-
-  const handleOrientation = useCallback((event) => {
-    let heading = null;
-
-    if (event.webkitCompassHeading !== undefined) {
-      heading = event.webkitCompassHeading;
-    } else if (event.absolute && event.alpha !== null) {
-      heading = 360 - event.alpha;
-    } else if (event.alpha !== null) {
-      heading = 360 - event.alpha;
-    }
+  const processHeading = useCallback(
+    (heading, { source, isNorthReferenced, timestamp, matrix }) => {
+      const rank = SOURCE_RANK[source] - (isNorthReferenced ? 0 : 0.5);
+      if (rank < sourceRankRef.current) return;
+
+      orientationRef.current = matrix
+        ? tiltFromRotationMatrix(matrix, screenAngleRef.current)
+        : null;
+
+      if (rank > sourceRankRef.current) {
+        // Switching source: readings are not comparable, start fresh
+        sourceRankRef.current = rank;
+        rawSamplesRef.current = [];
+        headingFilterRef.current?.reset();
+        isNorthReferencedRef.current = isNorthReferenced;
+        setState((prev) => ({ ...prev, headingSource: source, isNorthReferenced }));
+      }
 
-    if (heading !== null) {
       latestRawRef.current = ((heading % 360) + 360) % 360;
-      setState((prev) => ({
-        ...prev,
-        isAbsolute: event.absolute ?? false,
-      }));
+
+      const samples = rawSamplesRef.current;
+      samples.push(latestRawRef.current);
+      if (samples.length > QUALITY_SAMPLE_SIZE) samples.shift();
+
+      updateHeading(latestRawRef.current, timestamp || performance.now());
+    },
+    [updateHeading]
+  );
+
+  const handleOrientation = useCallback(
+    (event) => {
+      if (event.webkitCompassHeading !== undefined && event.webkitCompassHeading !== null) {
+        // iOS: already a tilt-compensated magnetic heading of the device top,
+        // with its own accuracy estimate; only the screen rotation is missing
+        compassAccuracyRef.current = event.webkitCompassAccuracy ?? null;
+        processHeading(event.webkitCompassHeading + screenAngleRef.current, {
+          source: HEADING_SOURCES.WEBKIT_COMPASS,
+          isNorthReferenced: true,
+          timestamp: event.timeStamp,
+          matrix: rotationMatrixFromEuler(0, event.beta, event.gamma),
+        });
+      } else if (event.alpha !== null) {
+        const matrix = rotationMatrixFromEuler(event.alpha, event.beta, event.gamma);
+        processHeading(headingFromRotationMatrix(matrix, screenAngleRef.current), {
+          source: HEADING_SOURCES.DEVICE_ORIENTATION,
+          isNorthReferenced: event.absolute === true,
+          timestamp: event.timeStamp,
+          matrix,
+        });
+      }
+    },
+    [processHeading]
+  );
+
+  const handleAbsoluteOrientation = useCallback(
+    (event) => {
+      if (event.alpha === null) return;
+      const matrix = rotationMatrixFromEuler(event.alpha, event.beta, event.gamma);
+      processHeading(headingFromRotationMatrix(matrix, screenAngleRef.current), {
+        source: HEADING_SOURCES.ABSOLUTE_EVENT,
+        isNorthReferenced: true,
+        timestamp: event.timeStamp,
+        matrix,
+      });
+    },
+    [processHeading]
+  );
+
+  /**
+   * Start the Generic Sensor API fusion sensor if the browser has it
+   * Errors (missing permissions or hardware) just leave the events in charge.
+   */
+  const startAbsoluteSensor = useCallback(() => {
+    if (typeof window === "undefined" || !("AbsoluteOrientationSensor" in window)) return;
+
+    try {
+      const sensor = new window.AbsoluteOrientationSensor({ frequency: SENSOR_FREQUENCY });
+      sensor.addEventListener("reading", () => {
+        if (!sensor.quaternion) return;
+        const matrix = quaternionToRotationMatrix(sensor.quaternion);
+        processHeading(headingFromRotationMatrix(matrix, screenAngleRef.current), {
+          source: HEADING_SOURCES.ABSOLUTE_SENSOR,
+          isNorthReferenced: true,
+          timestamp: sensor.timestamp,
+          matrix,
+        });
+      });
+      sensor.addEventListener("error", () => {
+        sensor.stop();
+        if (sensorRef.current === sensor) sensorRef.current = null;
+        // Let the orientation events take over
+        sourceRankRef.current = 0;
+      });
+      sensor.start();
+      sensorRef.current = sensor;
+    } catch {
+      // SecurityError (permissions policy) or ReferenceError - fall back to events
+      sensorRef.current = null;
+    }
+  }, [processHeading]);
+
+  /**
+   * Listen to every available source; processHeading keeps the best one
+   */
+  const startListening = useCallback(() => {
+    if (listeningRef.current) return;
+    listeningRef.current = true;
+
+    startAbsoluteSensor();
+    if ("ondeviceorientationabsolute" in window) {
+      window.addEventListener("deviceorientationabsolute", handleAbsoluteOrientation, true);
     }
+    window.addEventListener("deviceorientation", handleOrientation, true);
+  }, [startAbsoluteSensor, handleAbsoluteOrientation, handleOrientation]);
+
+  const stopListening = useCallback(() => {
+    listeningRef.current = false;
+    sensorRef.current?.stop();
+    sensorRef.current = null;
+    window.removeEventListener("deviceorientationabsolute", handleAbsoluteOrientation, true);
+    window.removeEventListener("deviceorientation", handleOrientation, true);
+  }, [handleAbsoluteOrientation, handleOrientation]);
+
+  /**
+   * Track screen rotation; the heading jumps by the rotation, so restart the filter
+   */
+  useEffect(() => {
+    const handleScreenChange = () => {
+      screenAngleRef.current = getScreenAngle();
+      headingFilterRef.current?.reset();
+      rawSamplesRef.current = [];
+    };
+
+    const screenOrientation = window.screen?.orientation;
+    screenOrientation?.addEventListener?.("change", handleScreenChange);
+    window.addEventListener("orientationchange", handleScreenChange);
+    return () => {
+      screenOrientation?.removeEventListener?.("change", handleScreenChange);
+      window.removeEventListener("orientationchange", handleScreenChange);
+    };
+  }, []);
+
+  /**
+   * Periodically estimate heading quality from the raw readings
+   */
+  useEffect(() => {
+    const timer = setInterval(() => {
+      if (latestRawRef.current === null) return;
+
+      const { state: calibrationState, accuracy, issues } = assessHeadingQuality(
+        rawSamplesRef.current,
+        {
+          compassAccuracy: compassAccuracyRef.current,
+          isAbsolute: isNorthReferencedRef.current,
+        }
+      );
+
+      setState((prev) =>
+        prev.calibrationState === calibrationState &&
+        prev.headingAccuracy === accuracy &&
+        prev.calibrationIssues.join() === issues.join()
+          ? prev
+          : {
+              ...prev,
+              calibrationState,
+              headingAccuracy: accuracy,
+              calibrationIssues: issues,
+            }
+      );
+    }, QUALITY_INTERVAL);
+
+    return () => clearInterval(timer);
   }, []);
 
   const requestPermission = useCallback(async () => {
@@ -108,7 +374,7 @@ export function useDeviceOrientation() {
         const permission = await DeviceOrientationEvent.requestPermission();
         if (permission === "granted") {
           setState((prev) => ({ ...prev, permissionState: "granted", error: null }));
-          window.addEventListener("deviceorientation", handleOrientation, true);
+          startListening();
         } else {
           setState((prev) => ({
             ...prev,
@@ -118,7 +384,7 @@ export function useDeviceOrientation() {
         }
       } else {
         setState((prev) => ({ ...prev, permissionState: "granted" }));
-        window.addEventListener("deviceorientation", handleOrientation, true);
+        startListening();
       }
     } catch (error) {
       setState((prev) => ({
@@ -127,7 +393,7 @@ export function useDeviceOrientation() {
         permissionState: "denied",
       }));
     }
-  }, [checkSupport, handleOrientation]);
+  }, [checkSupport, startListening]);
 
   useEffect(() => {
     const isSupported = checkSupport();
@@ -142,17 +408,17 @@ export function useDeviceOrientation() {
     }));
 
     if (isSupported && typeof DeviceOrientationEvent.requestPermission !== "function") {
-      window.addEventListener("deviceorientation", handleOrientation, true);
+      startListening();
     }
 
-    // Start animation frame loop for smooth updates
-    animFrameRef.current = requestAnimationFrame(tick);
-
     return () => {
-      window.removeEventListener("deviceorientation", handleOrientation, true);
-      if (animFrameRef.current) cancelAnimationFrame(animFrameRef.current);
+      stopListening();
+      if (animFrameRef.current !== null) {
+        cancelAnimationFrame(animFrameRef.current);
+        animFrameRef.current = null;
+      }
     };
-  }, [checkSupport, handleOrientation, tick]);
+  }, [checkSupport, startListening, stopListening]);
 
   return {
     ...state,
@@ -1,4 +1,5 @@
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import { useI18n } from "./useI18n";
 
 /**
  * Fetch approximate location from IP-based geolocation APIs
@@ -30,41 +31,111 @@ async function getLocationFromIP() {
   return null;
 }
 
+const LAST_POSITION_KEY = "qibla-finder:last-position";
+
+/**
+ * Message keys for the error codes (same codes as GeolocationPositionError,
+ * plus 0 when the browser has no geolocation at all)
+ */
+const ERROR_MESSAGE_KEYS = {
+  0: "errors.geolocationUnsupported",
+  1: "errors.locationDenied",
+  2: "errors.locationUnavailable",
+};
+
+/**
+ * Remember the most recent position so the app still works offline
+ * when neither the device nor the IP lookup can provide one
+ */
+function saveLastPosition(position, placeName) {
+  try {
+    window.localStorage.setItem(
+      LAST_POSITION_KEY,
+      JSON.stringify({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        timestamp: position.timestamp,
+        placeName,
+      })
+    );
+  } catch {
+    // Storage full or disabled (private mode)
+  }
+}
+
+/**
+ * Read the last known position, ignoring missing or corrupted storage
+ */
+function loadLastPosition() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(LAST_POSITION_KEY));
+    if (!Number.isFinite(saved?.latitude) || !Number.isFinite(saved?.longitude)) return null;
+    return saved;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Create a position-like object from lat/lng
  */
-function makePosition(lat, lng) {
+function makePosition(
+  lat,
+  lng,
+  { accuracy = 5000, isApproximate = true, timestamp = Date.now() } = {}
+) {
   return {
     coords: {
       latitude: lat,
       longitude: lng,
-      accuracy: 5000,
+      accuracy,
       altitude: null,
       altitudeAccuracy: null,
       heading: null,
       speed: null,
     },
-    timestamp: Date.now(),
-    isApproximate: true,
+    timestamp,
+    isApproximate,
   };
 }
 
 /**
  * Custom hook for accessing browser geolocation
- * Features: retry with backoff, low-accuracy fallback, IP-based fallback
+ * Features: retry with backoff, low-accuracy fallback, IP-based fallback,
+ * manual location entry, saved places, last known position when offline
+ *
+ * @param options.initialLocation - { lat, lng, name } to start at instead of
+ *   asking for the device position (e.g. from a shared link)
  */
-export function useGeolocation() {
-  const [state, setState] = useState({
-    position: null,
+export function useGeolocation({ initialLocation = null } = {}) {
+  const { t } = useI18n();
+  const [state, setState] = useState(() => ({
+    position: initialLocation
+      ? makePosition(initialLocation.lat, initialLocation.lng, {
+          accuracy: 0,
+          isApproximate: false,
+        })
+      : null,
     error: null,
     loading: false,
-    source: null, // "gps" | "ip" | null
-  });
+    source: initialLocation ? "shared" : null, // "gps" | "ip" | "manual" | "saved" | "shared" | "cached" | null
+    placeName: initialLocation?.name ?? null, // Name of a manually chosen, saved or shared place
+    placeId: null, // Id of the selected saved place
+  }));
 
   const watchIdRef = useRef(null);
   const retryCountRef = useRef(0);
   const retryTimerRef = useRef(null);
   const mountedRef = useRef(true);
+  const manualRef = useRef(initialLocation !== null); // Ignore device updates while a manual, saved or shared location is set
+
+  // Keep the last known position up to date
+  useEffect(() => {
+    if (state.position && state.source !== "cached") {
+      saveLastPosition(state.position, state.placeName);
+    }
+  }, [state.position, state.source, state.placeName]);
 
   useEffect(() => {
     mountedRef.current = true;
@@ -78,18 +149,20 @@ export function useGeolocation() {
   }, []);
 
   const onSuccess = useCallback((position) => {
-    if (!mountedRef.current) return;
+    if (!mountedRef.current || manualRef.current) return;
     retryCountRef.current = 0;
     setState({
       position,
       error: null,
       loading: false,
       source: "gps",
+      placeName: null,
+      placeId: null,
     });
   }, []);
 
   /**
-   * Try IP-based geolocation as last resort
+   * Try IP-based geolocation, then the last known position, as last resort
    */
   const tryIPFallback = useCallback(async () => {
     if (!mountedRef.current) return;
@@ -100,8 +173,11 @@ export function useGeolocation() {
       error: null,
     }));
 
-    const loc = await getLocationFromIP();
-    if (!mountedRef.current) return;
+    // No point asking an IP lookup service without a network
+    const loc = navigator.onLine === false ? null : await getLocationFromIP();
+    if (!mountedRef.current || manualRef.current) return;
+
+    const last = loc ? null : loadLastPosition();
 
     if (loc) {
       setState({
@@ -109,16 +185,26 @@ export function useGeolocation() {
         error: null,
         loading: false,
         source: "ip",
+        placeName: null,
+        placeId: null,
+      });
+    } else if (last) {
+      setState({
+        position: makePosition(last.latitude, last.longitude, {
+          accuracy: last.accuracy ?? 5000,
+          timestamp: last.timestamp ?? Date.now(),
+        }),
+        error: null,
+        loading: false,
+        source: "cached",
+        placeName: last.placeName ?? null,
+        placeId: null,
       });
     } else {
       setState((prev) => ({
         ...prev,
         loading: false,
-        error: {
-          code: 2,
-          message:
-            "Unable to determine your location. Please check your location settings and try again.",
-        },
+        error: { code: 2 },
       }));
     }
   }, []);
@@ -131,7 +217,7 @@ export function useGeolocation() {
    */
   const onError = useCallback(
     (error) => {
-      if (!mountedRef.current) return;
+      if (!mountedRef.current || manualRef.current) return;
       const attempt = retryCountRef.current;
 
       // Permission denied — don't retry, show error immediately
@@ -139,11 +225,7 @@ export function useGeolocation() {
         setState((prev) => ({
           ...prev,
           loading: false,
-          error: {
-            code: 1,
-            message:
-              "Location permission denied. Please allow location access in your browser settings.",
-          },
+          error: { code: 1 },
         }));
         return;
       }
@@ -187,16 +269,16 @@ export function useGeolocation() {
     if (!navigator.geolocation) {
       setState({
         position: null,
-        error: {
-          code: 0,
-          message: "Geolocation is not supported by your browser",
-        },
+        error: { code: 0 },
         loading: false,
         source: null,
+        placeName: null,
+        placeId: null,
       });
       return;
     }
 
+    manualRef.current = false;
     retryCountRef.current = 0;
     setState((prev) => ({ ...prev, loading: true, error: null }));
 
@@ -228,9 +310,65 @@ export function useGeolocation() {
     requestPermission();
   }, [requestPermission]);
 
+  /**
+   * Replace the live position with a fixed one
+   * Stops GPS tracking until requestPermission/refresh is called again
+   */
+  const overridePosition = useCallback((lat, lng, { source, placeName = null, placeId = null }) => {
+    manualRef.current = true;
+    if (watchIdRef.current !== null) {
+      navigator.geolocation?.clearWatch(watchIdRef.current);
+      watchIdRef.current = null;
+    }
+    if (retryTimerRef.current) clearTimeout(retryTimerRef.current);
+
+    setState({
+      position: makePosition(lat, lng, { accuracy: 0, isApproximate: false }),
+      error: null,
+      loading: false,
+      source,
+      placeName,
+      placeId,
+    });
+  }, []);
+
+  /**
+   * Use a typed or searched location instead of device geolocation
+   */
+  const setManualLocation = useCallback(
+    (lat, lng, placeName = null) => {
+      overridePosition(lat, lng, { source: "manual", placeName });
+    },
+    [overridePosition]
+  );
+
+  /**
+   * Use a saved place (from useSavedPlaces) instead of device geolocation
+   * Call requestPermission to go back to the current location.
+   */
+  const selectPlace = useCallback(
+    (place) => {
+      overridePosition(place.latitude, place.longitude, {
+        source: "saved",
+        placeName: place.name,
+        placeId: place.id,
+      });
+    },
+    [overridePosition]
+  );
+
+  // Messages are looked up on render so they follow language changes
+  const error = useMemo(
+    () => state.error && { ...state.error, message: t(ERROR_MESSAGE_KEYS[state.error.code]) },
+    [state.error, t]
+  );
+
   return {
     ...state,
+    error,
     requestPermission,
     refresh,
+    setManualLocation,
+    selectPlace,
   };
 }
@@ -0,0 +1,38 @@
+import { createContext, useContext } from "react";
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  formatNumber,
+  formatTime,
+  translate,
+} from "../utils/i18n";
+
+/**
+ * Translation helpers bound to a locale
+ */
+export function createI18nValue(locale, setLocale = () => {}) {
+  return {
+    locale,
+    dir: LOCALES[locale].dir,
+    setLocale,
+    t: (key, params) => translate(locale, key, params),
+    formatNumber: (value, options) => formatNumber(value, locale, options),
+    formatTime: (date, options) => formatTime(date, locale, options),
+  };
+}
+
+export const I18nContext = createContext(createI18nValue(DEFAULT_LOCALE));
+
+/**
+ * Custom hook for the current locale and translation helpers
+ * Outside an I18nProvider everything is in English.
+ *
+ * @returns { locale, dir, setLocale, t, formatNumber, formatTime }
+ *
+ * @example
+ * const { t } = useI18n();
+ * toast.success(t("home.locationSet", { place: "Cairo" }));
+ */
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,47 @@
+import { useState, useEffect, useCallback } from "react";
+
+/**
+ * Custom hook for the "Add to Home Screen" install prompt
+ * Captures the beforeinstallprompt event (Chromium) so it can be shown from a button.
+ *
+ * @example
+ * const { canInstall, promptInstall } = useInstallPrompt();
+ * {canInstall && <button onClick={promptInstall}>Install</button>}
+ */
+export function useInstallPrompt() {
+  const [deferredPrompt, setDeferredPrompt] = useState(null);
+
+  useEffect(() => {
+    const handleBeforeInstall = (event) => {
+      event.preventDefault();
+      setDeferredPrompt(event);
+    };
+    const handleInstalled = () => setDeferredPrompt(null);
+
+    window.addEventListener("beforeinstallprompt", handleBeforeInstall);
+    window.addEventListener("appinstalled", handleInstalled);
+    return () => {
+      window.removeEventListener("beforeinstallprompt", handleBeforeInstall);
+      window.removeEventListener("appinstalled", handleInstalled);
+    };
+  }, []);
+
+  /**
+   * Show the browser's install dialog
+   *
+   * @returns true if the user accepted
+   */
+  const promptInstall = useCallback(async () => {
+    if (!deferredPrompt) return false;
+    deferredPrompt.prompt();
+    const { outcome } = await deferredPrompt.userChoice;
+    // The event can only be used once
+    setDeferredPrompt(null);
+    return outcome === "accepted";
+  }, [deferredPrompt]);
+
+  return {
+    canInstall: deferredPrompt !== null,
+    promptInstall,
+  };
+}
@@ -0,0 +1,251 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { calculatePrayerTimes } from "../utils/prayerTimes";
+import {
+  NOTIFICATION_SETTINGS_STORAGE_KEY,
+  buildNotificationSchedule,
+  normalizeNotificationSettings,
+} from "../utils/prayerNotifications";
+import { playAdhan, unlockAdhanAudio } from "../utils/adhanAudio";
+import { timeFormatOptions } from "../utils/preferences";
+import { useI18n } from "./useI18n";
+import { usePreferences } from "./usePreferences";
+
+/**
+ * Read saved settings, ignoring missing or corrupted storage
+ */
+function loadSettings() {
+  try {
+    const saved = window.localStorage.getItem(NOTIFICATION_SETTINGS_STORAGE_KEY);
+    return normalizeNotificationSettings(saved ? JSON.parse(saved) : {});
+  } catch {
+    return normalizeNotificationSettings();
+  }
+}
+
+function isSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+/**
+ * Notification Triggers let the service worker deliver notifications
+ * while the app is closed. Only experimental Chromium builds have them, so
+ * elsewhere the page timers are the only delivery.
+ */
+function supportsTriggers() {
+  return isSupported() && "TimestampTrigger" in window && "showTrigger" in Notification.prototype;
+}
+
+async function getRegistration() {
+  if (!("serviceWorker" in navigator)) return null;
+  try {
+    return (await navigator.serviceWorker.getRegistration()) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Show through the service worker when there is one (required on Android),
+ * otherwise with the page-level Notification constructor
+ */
+async function showNotification(title, options) {
+  const registration = await getRegistration();
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    new Notification(title, options);
+  }
+}
+
+/**
+ * Custom hook that schedules adhan notifications and pre-prayer reminders
+ *
+ * Today's and tomorrow's times are recalculated - and every pending
+ * notification replaced - whenever the location, calculation settings,
+ * notification settings, language or clock format change, and again at
+ * midnight. Timers run while the page is open; where Notification Triggers
+ * are available the schedule is also handed to the service worker so
+ * notifications arrive with the app closed.
+ *
+ * @param position - Geolocation position object
+ * @param prayerSettings - Prayer calculation settings (see usePrayerSettings)
+ * @returns { settings, permission, isSupported, isActive, backgroundDelivery,
+ *            nextNotification, updateSettings, enable, disable, previewAdhan }
+ *          backgroundDelivery is false when alerts need the page to stay open
+ *
+ * @example
+ * const notifications = usePrayerNotifications(position, settings);
+ * await notifications.enable(); // asks for permission first
+ * notifications.updateSettings({ reminderMinutes: 10 });
+ */
+export function usePrayerNotifications(position, prayerSettings) {
+  const { t, locale, formatTime } = useI18n();
+  const { timeFormat } = usePreferences().preferences;
+  const [settings, setSettings] = useState(loadSettings);
+  const [permission, setPermission] = useState(() =>
+    isSupported() ? Notification.permission : "unsupported"
+  );
+  const [dayKey, setDayKey] = useState(() => new Date().toDateString());
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(NOTIFICATION_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch {
+      // Storage full or disabled (private mode) - keep settings in memory
+    }
+  }, [settings]);
+
+  // Follow permission changes made in the browser's site settings
+  useEffect(() => {
+    if (!isSupported() || !navigator.permissions?.query) return undefined;
+
+    let status = null;
+    const handleChange = () => setPermission(Notification.permission);
+    navigator.permissions
+      .query({ name: "notifications" })
+      .then((result) => {
+        status = result;
+        status.addEventListener("change", handleChange);
+      })
+      .catch(() => {});
+    return () => status?.removeEventListener("change", handleChange);
+  }, []);
+
+  // Roll over at midnight so tomorrow's prayers get scheduled
+  useEffect(() => {
+    const now = new Date();
+    const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const timer = setTimeout(
+      () => setDayKey(new Date().toDateString()),
+      midnight.getTime() - now.getTime() + 1000
+    );
+    return () => clearTimeout(timer);
+  }, [dayKey]);
+
+  const latitude = position?.coords.latitude;
+  const longitude = position?.coords.longitude;
+  const isActive = settings.enabled && permission === "granted";
+
+  const schedule = useMemo(() => {
+    if (!isActive || latitude === undefined || longitude === undefined) return [];
+
+    const today = new Date();
+    const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+    const days = [today, tomorrow].map((date) =>
+      calculatePrayerTimes(latitude, longitude, date, prayerSettings, locale, timeFormat)
+    );
+    return buildNotificationSchedule(days, settings);
+  }, [isActive, latitude, longitude, prayerSettings, settings, locale, timeFormat, dayKey]);
+
+  const notifications = useMemo(
+    () =>
+      schedule.map((event) => ({
+        ...event,
+        title:
+          event.kind === "reminder"
+            ? t("notifications.reminderTitle", {
+                prayer: event.name,
+                count: settings.reminderMinutes,
+              })
+            : t("notifications.adhanTitle", { prayer: event.name }),
+        body: t("notifications.body", { prayer: event.name, time: event.displayTime }),
+        displayAt: formatTime(event.at, timeFormatOptions(timeFormat)),
+      })),
+    [schedule, settings.reminderMinutes, t, formatTime, timeFormat]
+  );
+
+  // Page timers: show the notification and play the adhan while the app is open
+  useEffect(() => {
+    const timers = notifications
+      .filter((event) => event.at.getTime() > Date.now())
+      .map((event) =>
+        setTimeout(() => {
+          showNotification(event.title, {
+            body: event.body,
+            tag: event.tag,
+            icon: "/icons/icon.svg",
+            badge: "/icons/icon.svg",
+            lang: locale,
+            data: { url: "/" },
+          }).catch(() => {});
+
+          if (event.kind === "adhan" && settings.adhanAudio) playAdhan();
+        }, event.at.getTime() - Date.now())
+      );
+
+    return () => timers.forEach(clearTimeout);
+  }, [notifications, settings.adhanAudio, locale]);
+
+  // Browsers only let the page timers play sound after a user gesture in this
+  // page's lifetime, so unlock on the first click or key press after a reload
+  useEffect(() => {
+    if (!isActive || !settings.adhanAudio) return;
+
+    const events = ["pointerdown", "keydown"];
+    const unlock = () => {
+      unlockAdhanAudio();
+      events.forEach((type) => window.removeEventListener(type, unlock));
+    };
+    events.forEach((type) => window.addEventListener(type, unlock));
+    return () => events.forEach((type) => window.removeEventListener(type, unlock));
+  }, [isActive, settings.adhanAudio]);
+
+  // Service worker: replace the background schedule (an empty list cancels it)
+  useEffect(() => {
+    if (!supportsTriggers()) return;
+
+    getRegistration().then((registration) => {
+      registration?.active?.postMessage({
+        type: "schedule-prayer-notifications",
+        notifications: notifications.map((event) => ({
+          title: event.title,
+          body: event.body,
+          tag: event.tag,
+          lang: locale,
+          timestamp: event.at.getTime(),
+        })),
+      });
+    });
+  }, [notifications, locale]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings((prev) =>
+      normalizeNotificationSettings({
+        ...prev,
+        ...changes,
+        prayers: { ...prev.prayers, ...changes.prayers },
+      })
+    );
+  }, []);
+
+  // Ask for permission (only possible from a user gesture) and switch on
+  const enable = useCallback(async () => {
+    if (!isSupported()) return "unsupported";
+
+    // Still inside the gesture: allow the adhan to play from the page timers
+    unlockAdhanAudio();
+
+    let result = Notification.permission;
+    if (result === "default") result = await Notification.requestPermission();
+    setPermission(result);
+    if (result === "granted") updateSettings({ enabled: true });
+    return result;
+  }, [updateSettings]);
+
+  const disable = useCallback(() => updateSettings({ enabled: false }), [updateSettings]);
+
+  const nextNotification = notifications[0] ?? null;
+
+  return {
+    settings,
+    permission,
+    isSupported: isSupported(),
+    isActive,
+    backgroundDelivery: supportsTriggers(),
+    nextNotification,
+    updateSettings,
+    enable,
+    disable,
+    previewAdhan: playAdhan,
+  };
+}
@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import {
+  normalizePrayerSettings,
+  recommendPrayerSettings,
+  DEFAULT_PRAYER_SETTINGS,
+} from "../utils/prayerSettings";
+
+const STORAGE_KEY = "qibla-finder:prayer-settings";
+
+/**
+ * Read saved settings, ignoring missing or corrupted storage
+ */
+function loadSettings() {
+  if (typeof window === "undefined") return DEFAULT_PRAYER_SETTINGS;
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved ? normalizePrayerSettings(JSON.parse(saved)) : DEFAULT_PRAYER_SETTINGS;
+  } catch {
+    return DEFAULT_PRAYER_SETTINGS;
+  }
+}
+
+/**
+ * Custom hook for the user's prayer time calculation settings
+ * Settings are persisted in localStorage
+ *
+ * @param position - Optional geolocation position, used to report which
+ *                   method/madhab "auto" resolves to
+ *
+ * @example
+ * const { settings, updateSettings } = usePrayerSettings(position);
+ * updateSettings({ madhab: "hanafi" });
+ * const times = calculatePrayerTimes(lat, lng, new Date(), settings);
+ */
+export function usePrayerSettings(position = null) {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch {
+      // Storage full or disabled (private mode) - keep settings in memory
+    }
+  }, [settings]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings((prev) =>
+      normalizePrayerSettings({
+        ...prev,
+        ...changes,
+        adjustments: { ...prev.adjustments, ...changes.adjustments },
+      })
+    );
+  }, []);
+
+  const resetSettings = useCallback(() => {
+    setSettings(DEFAULT_PRAYER_SETTINGS);
+  }, []);
+
+  // What "auto" picks for the current location
+  const recommended = useMemo(() => {
+    if (!position) return null;
+    return recommendPrayerSettings(
+      position.coords.latitude,
+      position.coords.longitude
+    );
+  }, [position?.coords.latitude, position?.coords.longitude]);
+
+  return {
+    settings,
+    recommended,
+    updateSettings,
+    resetSettings,
+  };
+}
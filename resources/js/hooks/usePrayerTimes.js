@@ -0,0 +1,79 @@
+import { useState, useEffect, useMemo } from "react";
+import { calculatePrayerTimes, calendarDateIn } from "../utils/prayerTimes";
+import { useI18n } from "./useI18n";
+import { usePreferences } from "./usePreferences";
+
+/**
+ * Prayers in daily order, used to find the next one
+ */
+const PRAYER_ORDER = ["fajr", "sunrise", "dhuhr", "asr", "maghrib", "isha"];
+
+/**
+ * Custom hook for today's prayer times with a live countdown
+ *
+ * Ticks every second so the countdown to the next prayer stays current,
+ * recalculates when the day changes, and rolls over to tomorrow's Fajr
+ * once Isha has passed.
+ *
+ * @param position - Geolocation position object
+ * @param settings - Prayer settings (see usePrayerSettings)
+ * @param options.timeZone - IANA time zone the day and times are shown in
+ *   (the device's when null), e.g. a saved place's or, in the embedded widget, a mosque's
+ * @returns { prayerTimes, nextPrayer, now }
+ *
+ * @example
+ * const { prayerTimes, nextPrayer } = usePrayerTimes(position, settings);
+ * console.log(`${nextPrayer.name} in ${nextPrayer.timeRemainingMs} ms`);
+ */
+export function usePrayerTimes(position, settings, { timeZone = null } = {}) {
+  const { locale } = useI18n();
+  const { timeFormat } = usePreferences().preferences;
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const latitude = position?.coords.latitude;
+  const longitude = position?.coords.longitude;
+  const dayKey = calendarDateIn(timeZone, now).toDateString();
+
+  // Today's and tomorrow's times only change with location, settings or date
+  const { today, tomorrow } = useMemo(() => {
+    if (latitude === undefined || longitude === undefined) {
+      return { today: null, tomorrow: null };
+    }
+
+    const date = calendarDateIn(timeZone);
+    const nextDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+
+    const calculate = (day) =>
+      calculatePrayerTimes(latitude, longitude, day, settings, locale, timeFormat, timeZone);
+
+    return { today: calculate(date), tomorrow: calculate(nextDay) };
+  }, [latitude, longitude, settings, locale, timeFormat, timeZone, dayKey]);
+
+  const nextPrayer = useMemo(() => {
+    if (!today) return null;
+
+    const upcoming = PRAYER_ORDER.find((key) => today.prayers[key].time > now);
+    const key = upcoming ?? "fajr";
+    const prayer = upcoming ? today.prayers[key] : tomorrow.prayers.fajr;
+
+    return {
+      key,
+      name: prayer.name,
+      time: prayer.time,
+      displayTime: prayer.displayTime,
+      timeRemainingMs: prayer.time.getTime() - now.getTime(),
+      isTomorrow: !upcoming,
+    };
+  }, [today, tomorrow, now]);
+
+  return {
+    prayerTimes: today,
+    nextPrayer,
+    now,
+  };
+}
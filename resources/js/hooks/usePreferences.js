@@ -0,0 +1,23 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_PREFERENCES } from "../utils/preferences";
+
+export const PreferencesContext = createContext({
+  preferences: DEFAULT_PREFERENCES,
+  theme: "light",
+  updatePreferences: () => {},
+  resetPreferences: () => {},
+});
+
+/**
+ * Custom hook for the user's display preferences
+ * Outside a PreferencesProvider the defaults are used and updates are ignored.
+ *
+ * @returns { preferences, theme, updatePreferences, resetPreferences }
+ *
+ * @example
+ * const { preferences, updatePreferences } = usePreferences();
+ * updatePreferences({ distanceUnit: "mi" });
+ */
+export function usePreferences() {
+  return useContext(PreferencesContext);
+}
@@ -1,28 +1,43 @@
 import { useMemo } from "react";
 import {
   calculateQiblaDirection,
+  calculateFinalBearing,
   calculateDistance,
 } from "../utils/qiblaCalculations";
+import { calculateGeodesicQibla } from "../utils/geodesic";
 import { MECCA_COORDINATES } from "../constants/locations";
 
+/**
+ * Earth models available for the Qibla calculation
+ * - spherical: great circle on a sphere of mean radius (fast, classic formula)
+ * - ellipsoidal: geodesic on the WGS-84 ellipsoid (matches surveyed bearings)
+ */
+export const EARTH_MODELS = {
+  SPHERICAL: "spherical",
+  ELLIPSOIDAL: "ellipsoidal",
+};
+
 /**
  * Custom hook for calculating Qibla direction and distance
  *
  * Takes a geolocation position and returns calculated Qibla data
  *
  * @param position - Geolocation position object
- * @returns Qibla direction, distance, and user location
+ * @param options.model - Earth model, "spherical" (default) or "ellipsoidal"
+ * @returns Qibla direction, final bearing, distance, and user location
  *
  * @example
  * const { position } = useGeolocation();
- * const { qiblaDirection, distance } = useQiblaCalculation(position);
+ * const { qiblaDirection, distance } = useQiblaCalculation(position, {
+ *   model: "ellipsoidal",
+ * });
  *
  * if (qiblaDirection !== null) {
  *   console.log(`Qibla is at ${qiblaDirection}°`);
  *   console.log(`Mecca is ${distance} km away`);
  * }
  */
-export function useQiblaCalculation(position) {
+export function useQiblaCalculation(position, { model = EARTH_MODELS.SPHERICAL } = {}) {
   /**
    * Memoize calculations to avoid unnecessary recalculations
    * Only recalculate when position coordinates change significantly
@@ -31,12 +46,33 @@ export function useQiblaCalculation(position) {
     if (!position) {
       return {
         qiblaDirection: null,
+        finalBearing: null,
         distance: null,
         userLocation: null,
+        model,
+        converged: true,
       };
     }
 
     const { latitude, longitude } = position.coords;
+    const userLocation = {
+      lat: latitude,
+      lng: longitude,
+    };
+
+    if (model === EARTH_MODELS.ELLIPSOIDAL) {
+      // Vincenty inverse on WGS-84 (Karney's method near the antipode)
+      const geodesic = calculateGeodesicQibla(latitude, longitude);
+
+      return {
+        qiblaDirection: geodesic.initialBearing,
+        finalBearing: geodesic.finalBearing,
+        distance: geodesic.distance,
+        userLocation,
+        model,
+        converged: geodesic.converged,
+      };
+    }
 
     // Calculate Qibla direction
     const qiblaDirection = calculateQiblaDirection(latitude, longitude);
@@ -51,13 +87,18 @@ export function useQiblaCalculation(position) {
 
     return {
       qiblaDirection,
+      finalBearing: calculateFinalBearing(
+        latitude,
+        longitude,
+        MECCA_COORDINATES.lat,
+        MECCA_COORDINATES.lng
+      ),
       distance,
-      userLocation: {
-        lat: latitude,
-        lng: longitude,
-      },
+      userLocation,
+      model,
+      converged: true,
     };
-  }, [position?.coords.latitude, position?.coords.longitude]);
+  }, [position?.coords.latitude, position?.coords.longitude, model]);
 
   return result;
 }
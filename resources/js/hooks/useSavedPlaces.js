@@ -0,0 +1,122 @@
+import { useState, useEffect, useCallback } from "react";
+import { isValidCoordinate } from "../utils/locationSearch";
+import { normalizePrayerSettings } from "../utils/prayerSettings";
+import { isValidTimeZone } from "../utils/prayerTimes";
+
+const STORAGE_KEY = "qibla-finder:saved-places";
+
+/**
+ * Drop malformed entries, normalize per-place prayer settings and
+ * forget time zones this browser does not know
+ */
+function sanitizePlaces(places) {
+  if (!Array.isArray(places)) return [];
+  return places
+    .filter(
+      (place) =>
+        place &&
+        typeof place.id === "string" &&
+        typeof place.name === "string" &&
+        isValidCoordinate(place.latitude, place.longitude)
+    )
+    .map((place) => ({
+      id: place.id,
+      name: place.name,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      prayerSettings: place.prayerSettings
+        ? normalizePrayerSettings(place.prayerSettings)
+        : null,
+      timeZone: isValidTimeZone(place.timeZone) ? place.timeZone : null,
+    }));
+}
+
+/**
+ * Read saved places, ignoring missing or corrupted storage
+ */
+function loadPlaces() {
+  if (typeof window === "undefined") return [];
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved ? sanitizePlaces(JSON.parse(saved)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Short unique id for a new place
+ */
+function createPlaceId() {
+  return (
+    window.crypto?.randomUUID?.() ??
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+  );
+}
+
+/**
+ * Custom hook for the user's pinned locations (home, work, mosque, ...)
+ * Places are persisted in localStorage
+ *
+ * Each place: { id, name, latitude, longitude, prayerSettings, timeZone }
+ * prayerSettings is null when the place follows the global settings.
+ * timeZone is the place's IANA zone, null to show times in the device's.
+ *
+ * @example
+ * const { places, addPlace } = useSavedPlaces();
+ * const home = addPlace("Home", 51.5072, -0.1276, null, "Europe/London");
+ * selectPlace(home); // from useGeolocation
+ */
+export function useSavedPlaces() {
+  const [places, setPlaces] = useState(loadPlaces);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(places));
+    } catch {
+      // Storage full or disabled (private mode) - keep places in memory
+    }
+  }, [places]);
+
+  /**
+   * Save a new place
+   *
+   * @returns The created place
+   */
+  const addPlace = useCallback(
+    (name, latitude, longitude, prayerSettings = null, timeZone = null) => {
+      const place = {
+        id: createPlaceId(),
+        name: name.trim() || "Saved place",
+        latitude,
+        longitude,
+        prayerSettings: prayerSettings ? normalizePrayerSettings(prayerSettings) : null,
+        timeZone: isValidTimeZone(timeZone) ? timeZone : null,
+      };
+      setPlaces((prev) => [...prev, place]);
+      return place;
+    },
+    []
+  );
+
+  /**
+   * Rename a place or change its prayer settings
+   * Pass prayerSettings: null to make the place follow the global settings again.
+   */
+  const updatePlace = useCallback((id, changes) => {
+    setPlaces((prev) => sanitizePlaces(
+      prev.map((place) => (place.id === id ? { ...place, ...changes } : place))
+    ));
+  }, []);
+
+  const removePlace = useCallback((id) => {
+    setPlaces((prev) => prev.filter((place) => place.id !== id));
+  }, []);
+
+  return {
+    places,
+    addPlace,
+    updatePlace,
+    removePlace,
+  };
+}
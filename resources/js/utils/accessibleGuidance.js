@@ -0,0 +1,113 @@
+/**
+ * Non-visual Qibla guidance
+ *
+ * Pure helpers for the accessible mode: when to announce a turn
+ * instruction, which tone to play and which vibration pattern to use.
+ * Playing and announcing is left to useAccessibleGuidance.
+ */
+
+export const GUIDANCE_SIDES = {
+  LEFT: "left",
+  RIGHT: "right",
+  ALIGNED: "aligned",
+};
+
+/**
+ * Minimum time between spoken instructions, so screen readers are not flooded
+ */
+export const ANNOUNCEMENT_INTERVAL_MS = 2500;
+
+/**
+ * Change in the turn angle worth a new instruction on the same side
+ */
+export const ANNOUNCEMENT_STEP_DEGREES = 10;
+
+/**
+ * Vibration patterns (ms on/off): two short pulses for left, one long
+ * pulse for right, three pulses when aligned
+ */
+export const VIBRATION_PATTERNS = {
+  [GUIDANCE_SIDES.LEFT]: [80, 120, 80],
+  [GUIDANCE_SIDES.RIGHT]: [400],
+  [GUIDANCE_SIDES.ALIGNED]: [150, 80, 150, 80, 150],
+};
+
+/**
+ * Tone range: low when facing away from the Qibla, high when close
+ */
+const TONE_RANGE = { min: 220, max: 880 };
+
+/**
+ * Tone played while aligned (C6)
+ */
+const ALIGNED_FREQUENCY = 1046.5;
+
+/**
+ * Time between tones: slow when far off, fast when close
+ */
+const TONE_INTERVAL_RANGE = { min: 250, max: 900 };
+
+const ALIGNED_TONE_INTERVAL = 1200;
+
+/**
+ * Which way to turn
+ *
+ * @param angle - Qibla relative to the heading (degrees, positive = right)
+ * @param tolerance - Degrees either side that count as aligned
+ * @returns { side, degrees } with degrees rounded (0 when aligned)
+ */
+export function guidanceFor(angle, tolerance = 5) {
+  const degrees = Math.round(Math.abs(angle));
+
+  if (Math.abs(angle) < tolerance) return { side: GUIDANCE_SIDES.ALIGNED, degrees: 0 };
+  return { side: angle > 0 ? GUIDANCE_SIDES.RIGHT : GUIDANCE_SIDES.LEFT, degrees };
+}
+
+/**
+ * Whether a new instruction should be announced
+ *
+ * Reaching the Qibla is announced at once; otherwise at most every
+ * ANNOUNCEMENT_INTERVAL_MS, and only when the side changed or the angle
+ * moved by ANNOUNCEMENT_STEP_DEGREES.
+ *
+ * @param last - Last announced { side, degrees, at } (null if none yet)
+ * @param next - Current { side, degrees } from guidanceFor
+ * @param now - Current time in ms
+ */
+export function shouldAnnounce(last, next, now = Date.now()) {
+  if (!last) return true;
+  if (next.side === last.side && next.side === GUIDANCE_SIDES.ALIGNED) return false;
+  if (next.side === GUIDANCE_SIDES.ALIGNED) return true;
+  if (now - last.at < ANNOUNCEMENT_INTERVAL_MS) return false;
+
+  return (
+    next.side !== last.side || Math.abs(next.degrees - last.degrees) >= ANNOUNCEMENT_STEP_DEGREES
+  );
+}
+
+/**
+ * Tone for a turn angle: pitch rises as the Qibla gets closer and the
+ * sound is panned towards the side to turn to
+ *
+ * @param angle - Qibla relative to the heading (degrees, positive = right)
+ * @param tolerance - Degrees either side that count as aligned
+ * @returns { frequency (Hz), pan (-1 left to 1 right), interval (ms until the next tone) }
+ *
+ * @example
+ * toneFor(90); // { frequency: 440, pan: 1, interval: 575 }
+ */
+export function toneFor(angle, tolerance = 5) {
+  if (Math.abs(angle) < tolerance) {
+    return { frequency: ALIGNED_FREQUENCY, pan: 0, interval: ALIGNED_TONE_INTERVAL };
+  }
+
+  const closeness = 1 - Math.min(Math.abs(angle), 180) / 180;
+  const octaves = Math.log2(TONE_RANGE.max / TONE_RANGE.min);
+
+  return {
+    frequency: TONE_RANGE.min * 2 ** (octaves * closeness),
+    pan: Math.max(-1, Math.min(1, angle / 90)),
+    interval:
+      TONE_INTERVAL_RANGE.max - (TONE_INTERVAL_RANGE.max - TONE_INTERVAL_RANGE.min) * closeness,
+  };
+}
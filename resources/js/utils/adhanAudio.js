@@ -0,0 +1,84 @@
+/**
+ * Alert sound for prayer notifications
+ *
+ * No adhan recording ships with the app, so the alert is a short
+ * synthesized chime played with the Web Audio API.
+ */
+
+/**
+ * Notes of the chime: [frequency (Hz), start (s), duration (s)]
+ */
+const CHIME_NOTES = [
+  [587.33, 0, 0.9],
+  [783.99, 0.45, 0.9],
+  [987.77, 0.9, 1.6],
+];
+
+let audioContext = null;
+let playingNotes = [];
+
+/**
+ * Shared audio context, created on first use
+ */
+function getAudioContext() {
+  const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+
+  audioContext ??= new AudioContextClass();
+  return audioContext;
+}
+
+/**
+ * Allow the chime to play later from a timer
+ *
+ * Autoplay policies block sound that is not started by the user, so this
+ * must be called from a click or key press: it resumes the audio context,
+ * which stays usable for the rest of the page's life.
+ */
+export function unlockAdhanAudio() {
+  getAudioContext()?.resume().catch(() => {});
+}
+
+/**
+ * Play the chime, stopping any chime already playing
+ *
+ * @returns Promise that resolves once playback has been scheduled
+ */
+export async function playAdhan() {
+  stopAdhan();
+
+  const context = getAudioContext();
+  if (!context) return;
+  if (context.state === "suspended") await context.resume().catch(() => {});
+
+  playingNotes = CHIME_NOTES.map(([frequency, start, duration]) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const startAt = context.currentTime + start;
+
+    oscillator.type = "sine";
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, startAt);
+    gain.gain.exponentialRampToValueAtTime(0.3, startAt + 0.05);
+    gain.gain.exponentialRampToValueAtTime(0.0001, startAt + duration);
+
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(startAt);
+    oscillator.stop(startAt + duration);
+    return oscillator;
+  });
+}
+
+/**
+ * Stop the chime if it is playing
+ */
+export function stopAdhan() {
+  playingNotes.forEach((oscillator) => {
+    try {
+      oscillator.stop();
+    } catch {
+      // Already stopped
+    }
+  });
+  playingNotes = [];
+}
@@ -0,0 +1,212 @@
+/**
+ * Sun and moon positions for a sensor-free Qibla reference
+ *
+ * Low-precision formulas from Jean Meeus, "Astronomical Algorithms" (the moon
+ * as simplified by SunCalc). Azimuths are good to well under a degree, which
+ * is plenty for lining yourself up with the sun or moon.
+ */
+
+import { normalizeAngle, toDegrees, toRadians } from "./qiblaCalculations";
+import { DEFAULT_LOCALE, translate } from "./i18n";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const J1970 = 2440588;
+const J2000 = 2451545;
+
+/**
+ * Obliquity of the Earth's axis
+ */
+const OBLIQUITY = toRadians(23.4397);
+
+/**
+ * Altitude (degrees) of the top of the disc at sunrise/sunset,
+ * including refraction
+ */
+export const HORIZON_ALTITUDE = -0.833;
+
+/**
+ * Days since J2000.0
+ */
+function toDays(date) {
+  return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function rightAscension(longitude, latitude) {
+  return Math.atan2(
+    Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY),
+    Math.cos(longitude)
+  );
+}
+
+function declination(longitude, latitude) {
+  return Math.asin(
+    Math.sin(latitude) * Math.cos(OBLIQUITY) +
+      Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude)
+  );
+}
+
+/**
+ * Local sidereal time (radians) from Greenwich mean sidereal time
+ */
+function siderealTime(days, westLongitude) {
+  return toRadians(280.46061837 + 360.98564736629 * days) - westLongitude;
+}
+
+/**
+ * Atmospheric refraction (radians) for an apparent altitude (radians)
+ */
+function refraction(altitude) {
+  const h = Math.max(altitude, 0);
+  return 0.0002967 / Math.tan(h + 0.00312536 / (h + 0.08901179));
+}
+
+/**
+ * Apparent right ascension and declination of the sun
+ * Meeus chapter 25 (low accuracy), including nutation and aberration.
+ * Good to about 0.01°, enough to pick the right day for an overhead sun.
+ */
+function sunCoordinates(days) {
+  const centuries = days / 36525;
+  const meanLongitude = 280.46646 + 36000.76983 * centuries;
+  const meanAnomaly = toRadians(357.52911 + 35999.05029 * centuries);
+  const center =
+    (1.914602 - 0.004817 * centuries) * Math.sin(meanAnomaly) +
+    0.019993 * Math.sin(2 * meanAnomaly) +
+    0.000289 * Math.sin(3 * meanAnomaly);
+  const node = toRadians(125.04 - 1934.136 * centuries);
+  const longitude = toRadians(meanLongitude + center - 0.00569 - 0.00478 * Math.sin(node));
+  const obliquity = toRadians(23.439291 - 0.0130042 * centuries + 0.00256 * Math.cos(node));
+
+  return {
+    ra: Math.atan2(Math.cos(obliquity) * Math.sin(longitude), Math.cos(longitude)),
+    dec: Math.asin(Math.sin(obliquity) * Math.sin(longitude)),
+  };
+}
+
+function moonCoordinates(days) {
+  const meanLongitude = toRadians(218.316 + 13.176396 * days);
+  const meanAnomaly = toRadians(134.963 + 13.064993 * days);
+  const argumentOfLatitude = toRadians(93.272 + 13.22935 * days);
+
+  const longitude = meanLongitude + toRadians(6.289) * Math.sin(meanAnomaly);
+  const latitude = toRadians(5.128) * Math.sin(argumentOfLatitude);
+
+  return {
+    ra: rightAscension(longitude, latitude),
+    dec: declination(longitude, latitude),
+  };
+}
+
+/**
+ * Horizontal coordinates from equatorial ones
+ *
+ * @returns { azimuth, altitude } in degrees, azimuth clockwise from north
+ */
+function toHorizontal({ ra, dec }, days, lat, lng) {
+  const phi = toRadians(lat);
+  const hourAngle = siderealTime(days, toRadians(-lng)) - ra;
+
+  // Azimuth measured from south, westwards
+  const azimuthFromSouth = Math.atan2(
+    Math.sin(hourAngle),
+    Math.cos(hourAngle) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi)
+  );
+  const altitude = Math.asin(
+    Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle)
+  );
+
+  return {
+    azimuth: normalizeAngle(toDegrees(azimuthFromSouth) + 180),
+    altitude,
+  };
+}
+
+/**
+ * Position of the sun in the sky
+ *
+ * @param lat - Observer latitude
+ * @param lng - Observer longitude
+ * @param date - Moment to calculate for
+ * @returns { azimuth, altitude, isAboveHorizon } in degrees
+ *
+ * @example
+ * getSunPosition(51.5074, -0.1278, new Date("2026-06-21T12:00:00Z"));
+ * // { azimuth: 178.8, altitude: 61.9, isAboveHorizon: true }
+ */
+export function getSunPosition(lat, lng, date = new Date()) {
+  const days = toDays(date);
+  const { azimuth, altitude } = toHorizontal(sunCoordinates(days), days, lat, lng);
+  const altitudeDegrees = toDegrees(altitude);
+
+  return {
+    azimuth,
+    altitude: altitudeDegrees,
+    isAboveHorizon: altitudeDegrees > HORIZON_ALTITUDE,
+  };
+}
+
+/**
+ * Position of the moon in the sky (altitude corrected for refraction)
+ *
+ * @returns { azimuth, altitude, isAboveHorizon } in degrees
+ */
+export function getMoonPosition(lat, lng, date = new Date()) {
+  const days = toDays(date);
+  const { azimuth, altitude } = toHorizontal(moonCoordinates(days), days, lat, lng);
+  const altitudeDegrees = toDegrees(altitude + refraction(altitude));
+
+  return {
+    azimuth,
+    altitude: altitudeDegrees,
+    isAboveHorizon: altitudeDegrees > 0,
+  };
+}
+
+/**
+ * Point on the Earth where the sun is directly overhead
+ *
+ * @param date - Moment to calculate for
+ * @returns { lat, lng } in degrees, lng in -180..180
+ *
+ * @example
+ * getSubsolarPoint(new Date("2026-06-21T12:00:00Z"));
+ * // { lat: 23.4, lng: 0.5 }
+ */
+export function getSubsolarPoint(date = new Date()) {
+  const days = toDays(date);
+  const { ra, dec } = sunCoordinates(days);
+
+  // The sun is overhead where its local hour angle is zero, i.e. as far
+  // west of Greenwich as its Greenwich hour angle
+  const greenwichHourAngle = toDegrees(siderealTime(days, 0) - ra);
+  const lng = normalizeAngle(-greenwichHourAngle);
+
+  return {
+    lat: toDegrees(dec),
+    lng: lng > 180 ? lng - 360 : lng,
+  };
+}
+
+/**
+ * Describe the Qibla relative to a body in the sky
+ *
+ * @param bodyAzimuth - Azimuth of the sun or moon (degrees)
+ * @param qiblaDirection - Qibla bearing from true north (degrees)
+ * @param bodyName - "sun" or "moon"
+ * @param locale - Locale for the description
+ * @returns e.g. "The Qibla is 35° to the right of the sun"
+ */
+export function describeQiblaFromBody(
+  bodyAzimuth,
+  qiblaDirection,
+  bodyName,
+  locale = DEFAULT_LOCALE
+) {
+  let offset = normalizeAngle(qiblaDirection - bodyAzimuth);
+  if (offset > 180) offset -= 360;
+  const degrees = Math.abs(Math.round(offset));
+
+  if (degrees < 3) return translate(locale, `sky.${bodyName}.towards`);
+  if (degrees > 177) return translate(locale, `sky.${bodyName}.away`);
+  return translate(locale, `sky.${bodyName}.${offset > 0 ? "right" : "left"}`, { degrees });
+}
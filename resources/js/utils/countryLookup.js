@@ -0,0 +1,47 @@
+/**
+ * Offline country lookup from coordinates
+ *
+ * Uses approximate bounding boxes, so results near borders can be wrong.
+ * Good enough to suggest sensible defaults (e.g. prayer calculation method),
+ * not for anything that needs an exact answer.
+ */
+
+import countryBounds from "../data/countryBounds.json";
+
+/**
+ * Bounding boxes sorted by area so that small countries inside a larger
+ * neighbour's box (e.g. Qatar inside Saudi Arabia) are matched first
+ */
+const BOUNDS_BY_AREA = countryBounds.countries
+  .map(([code, name, minLat, minLng, maxLat, maxLng]) => ({
+    code,
+    name,
+    minLat,
+    minLng,
+    maxLat,
+    maxLng,
+    area: (maxLat - minLat) * (maxLng - minLng),
+  }))
+  .sort((a, b) => a.area - b.area);
+
+/**
+ * Find the country containing a point
+ *
+ * @param lat - Latitude in degrees
+ * @param lng - Longitude in degrees
+ * @returns { code, name } or null when the point is not in a known country
+ *
+ * @example
+ * detectCountry(24.7136, 46.6753); // { code: "SA", name: "Saudi Arabia" }
+ */
+export function detectCountry(lat, lng) {
+  const match = BOUNDS_BY_AREA.find(
+    (box) =>
+      lat >= box.minLat &&
+      lat <= box.maxLat &&
+      lng >= box.minLng &&
+      lng <= box.maxLng
+  );
+
+  return match ? { code: match.code, name: match.name } : null;
+}
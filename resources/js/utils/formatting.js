@@ -3,6 +3,7 @@
  */
 
 import { KM_TO_MILES } from "../constants/locations";
+import { DEFAULT_LOCALE, formatNumber, translate } from "./i18n";
 
 /**
  * Format a degree value for display
@@ -14,97 +15,114 @@ export function formatDegrees(degrees, decimals = 1) {
 /**
  * Format distance for display with appropriate unit
  */
-export function formatDistance(distanceKm, unit = "km", decimals = 0) {
+export function formatDistance(distanceKm, unit = "km", decimals = 0, locale = DEFAULT_LOCALE) {
   const distance = unit === "mi" ? distanceKm * KM_TO_MILES : distanceKm;
-  const formatted = distance.toFixed(decimals);
+  const value = formatNumber(distance, locale, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  });
 
-  // Add thousands separator
-  const withSeparator = formatted.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  return translate(locale, `units.${unit}`, { value });
+}
 
-  return `${withSeparator} ${unit}`;
+/**
+ * Format a single coordinate magnitude as degrees, minutes and seconds
+ */
+function formatDms(value, locale) {
+  const totalSeconds = Math.round(Math.abs(value) * 3600);
+  const pad = (part) => formatNumber(part, locale, { minimumIntegerDigits: 2 });
+
+  return translate(locale, "coordinates.dms", {
+    degrees: formatNumber(Math.floor(totalSeconds / 3600), locale),
+    minutes: pad(Math.floor((totalSeconds % 3600) / 60)),
+    seconds: pad(totalSeconds % 60),
+  });
 }
 
 /**
  * Format coordinates for display
+ *
+ * @param decimals - Decimal places, for the decimal format
+ * @param format - "decimal" (21.4225°N) or "dms" (21°25′21″N)
  */
-export function formatCoordinates(lat, lng, decimals = 4) {
-  const latDir = lat >= 0 ? "N" : "S";
-  const lngDir = lng >= 0 ? "E" : "W";
+export function formatCoordinates(
+  lat,
+  lng,
+  decimals = 4,
+  locale = DEFAULT_LOCALE,
+  format = "decimal"
+) {
+  const directions = {
+    latDir: translate(locale, lat >= 0 ? "coordinates.north" : "coordinates.south"),
+    lngDir: translate(locale, lng >= 0 ? "coordinates.east" : "coordinates.west"),
+  };
+
+  if (format === "dms") {
+    return translate(locale, "coordinates.dmsFormat", {
+      lat: formatDms(lat, locale),
+      lng: formatDms(lng, locale),
+      ...directions,
+    });
+  }
 
-  const latAbs = Math.abs(lat).toFixed(decimals);
-  const lngAbs = Math.abs(lng).toFixed(decimals);
+  const digits = { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
 
-  return `${latAbs}°${latDir}, ${lngAbs}°${lngDir}`;
+  return translate(locale, "coordinates.format", {
+    lat: formatNumber(Math.abs(lat), locale, digits),
+    lng: formatNumber(Math.abs(lng), locale, digits),
+    ...directions,
+  });
 }
 
 /**
- * Get cardinal direction from degrees
+ * Format magnetic declination with its East/West direction
  */
-export function getCardinalDirection(degrees) {
+export function formatDeclination(declination, decimals = 1, locale = DEFAULT_LOCALE) {
+  return translate(locale, "direction.declination", {
+    degrees: formatNumber(Math.abs(declination), locale, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }),
+    direction: translate(locale, declination >= 0 ? "coordinates.east" : "coordinates.west"),
+  });
+}
+
+/**
+ * Index of the nearest of the 16 compass points (0 = N, 4 = E, ...)
+ */
+function cardinalIndex(degrees) {
   const normalized = ((degrees % 360) + 360) % 360;
+  return Math.round(normalized / 22.5) % 16;
+}
 
-  const directions = [
-    "N",
-    "NNE",
-    "NE",
-    "ENE",
-    "E",
-    "ESE",
-    "SE",
-    "SSE",
-    "S",
-    "SSW",
-    "SW",
-    "WSW",
-    "W",
-    "WNW",
-    "NW",
-    "NNW",
-  ];
-
-  const index = Math.round(normalized / 22.5) % 16;
-  return directions[index];
+/**
+ * Get cardinal direction from degrees
+ */
+export function getCardinalDirection(degrees, locale = DEFAULT_LOCALE) {
+  return translate(locale, "cardinal.short")[cardinalIndex(degrees)];
 }
 
 /**
  * Get full cardinal direction name from degrees
  */
-export function getCardinalDirectionFull(degrees) {
-  const normalized = ((degrees % 360) + 360) % 360;
-
-  const directions = [
-    "North",
-    "North-Northeast",
-    "Northeast",
-    "East-Northeast",
-    "East",
-    "East-Southeast",
-    "Southeast",
-    "South-Southeast",
-    "South",
-    "South-Southwest",
-    "Southwest",
-    "West-Southwest",
-    "West",
-    "West-Northwest",
-    "Northwest",
-    "North-Northwest",
-  ];
-
-  const index = Math.round(normalized / 22.5) % 16;
-  return directions[index];
+export function getCardinalDirectionFull(degrees, locale = DEFAULT_LOCALE) {
+  return translate(locale, "cardinal.full")[cardinalIndex(degrees)];
 }
 
 /**
  * Format relative direction instruction
+ *
+ * @param angle - Qibla relative to the heading (degrees, positive = right)
+ * @param locale - Locale for the message and digits
+ * @param tolerance - Degrees either side that count as facing the Qibla
  */
-export function formatRelativeDirection(angle) {
+export function formatRelativeDirection(angle, locale = DEFAULT_LOCALE, tolerance = 5) {
   const absAngle = Math.abs(angle);
 
-  if (absAngle < 5) {
-    return "You are facing the Qibla";
+  if (absAngle < tolerance) {
+    return translate(locale, "direction.facing");
   }
 
-  const direction = angle > 0 ? "right" : "left";
-  return `Turn ${absAngle.toFixed(0)}° to your ${direction}`;
+  const key = angle > 0 ? "direction.turnRight" : "direction.turnLeft";
+  return translate(locale, key, { degrees: Math.round(absAngle) });
 }
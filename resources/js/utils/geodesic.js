@@ -0,0 +1,180 @@
+/**
+ * Ellipsoidal geodesic calculations on the WGS-84 ellipsoid
+ *
+ * The spherical formulas in qiblaCalculations.js treat the Earth as a perfect
+ * sphere. Surveyed bearings (e.g. mosque mihrabs) are based on the ellipsoid,
+ * which can differ by a noticeable margin over long distances.
+ */
+
+import geographiclib from "geographiclib-geodesic";
+import { MECCA_COORDINATES, WGS84 } from "../constants/locations";
+import { toRadians, toDegrees, normalizeAngle } from "./qiblaCalculations";
+
+/**
+ * Iteration limits for Vincenty's inverse formula
+ */
+const CONVERGENCE_THRESHOLD = 1e-12;
+const MAX_ITERATIONS = 1000;
+
+/**
+ * Solve the inverse geodesic problem between two points on the WGS-84 ellipsoid
+ *
+ * Uses Vincenty's inverse formula. At and near the antipode, where Vincenty's
+ * iteration converges slowly or not at all (and the exact antipode has no
+ * single azimuth in its terms), Karney's algorithm (GeographicLib) solves
+ * the same problem instead; `method` tells which one answered.
+ *
+ * @param lat1 - First point latitude in degrees
+ * @param lng1 - First point longitude in degrees
+ * @param lat2 - Second point latitude in degrees
+ * @param lng2 - Second point longitude in degrees
+ * @returns { distance, initialBearing, finalBearing, iterations, converged, method }
+ *          distance in kilometers, bearings in degrees (0-360), method
+ *          "vincenty" or "karney"
+ *
+ * @example
+ * // New York to Mecca
+ * const { initialBearing, distance } = solveInverseGeodesic(40.7128, -74.006, 21.4225, 39.8262);
+ */
+export function solveInverseGeodesic(lat1, lng1, lat2, lng2) {
+  const { a, b, f } = WGS84;
+
+  const φ1 = toRadians(lat1);
+  const φ2 = toRadians(lat2);
+  const L = toRadians(lng2 - lng1);
+
+  // Reduced latitudes
+  const tanU1 = (1 - f) * Math.tan(φ1);
+  const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+  const sinU1 = tanU1 * cosU1;
+  const tanU2 = (1 - f) * Math.tan(φ2);
+  const cosU2 = 1 / Math.sqrt(1 + tanU2 * tanU2);
+  const sinU2 = tanU2 * cosU2;
+
+  const antipodal = Math.abs(L) > Math.PI / 2 || Math.abs(φ2 - φ1) > Math.PI / 2;
+
+  let λ = L;
+  let sinλ = 0;
+  let cosλ = 0;
+  let σ = antipodal ? Math.PI : 0;
+  let sinσ = 0;
+  let cosσ = antipodal ? -1 : 1;
+  let cos2σm = 1;
+  let cosSqα = 1;
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < MAX_ITERATIONS) {
+    iterations++;
+    sinλ = Math.sin(λ);
+    cosλ = Math.cos(λ);
+
+    const sinSqσ =
+      (cosU2 * sinλ) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosλ) ** 2;
+
+    // Coincident points (at the exact antipode sinσ is 0 too, but cosσ is -1)
+    if (Math.abs(sinSqσ) < 1e-24) {
+      if (sinU1 * sinU2 + cosU1 * cosU2 * cosλ <= 0) break;
+      σ = 0;
+      cosσ = 1;
+      converged = true;
+      break;
+    }
+
+    sinσ = Math.sqrt(sinSqσ);
+    cosσ = sinU1 * sinU2 + cosU1 * cosU2 * cosλ;
+    σ = Math.atan2(sinσ, cosσ);
+
+    const sinα = (cosU1 * cosU2 * sinλ) / sinσ;
+    cosSqα = 1 - sinα * sinα;
+    // Equatorial line: cosSqα = 0
+    cos2σm = cosSqα !== 0 ? cosσ - (2 * sinU1 * sinU2) / cosSqα : 0;
+
+    const C = (f / 16) * cosSqα * (4 + f * (4 - 3 * cosSqα));
+    const λPrevious = λ;
+    λ =
+      L +
+      (1 - C) *
+        f *
+        sinα *
+        (σ + C * sinσ * (cos2σm + C * cosσ * (-1 + 2 * cos2σm * cos2σm)));
+
+    // λ running past π means the iteration is diverging
+    const iterationCheck = antipodal ? Math.abs(λ) - Math.PI : Math.abs(λ);
+    if (iterationCheck > Math.PI) break;
+
+    if (Math.abs(λ - λPrevious) <= CONVERGENCE_THRESHOLD) {
+      converged = true;
+      break;
+    }
+  }
+
+  if (!converged) {
+    return { ...solveWithKarney(lat1, lng1, lat2, lng2), iterations };
+  }
+
+  const uSq = (cosSqα * (a * a - b * b)) / (b * b);
+  const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const Δσ =
+    B *
+    sinσ *
+    (cos2σm +
+      (B / 4) *
+        (cosσ * (-1 + 2 * cos2σm * cos2σm) -
+          (B / 6) *
+            cos2σm *
+            (-3 + 4 * sinσ * sinσ) *
+            (-3 + 4 * cos2σm * cos2σm)));
+
+  const distance = b * A * (σ - Δσ);
+
+  // Bearings are undefined for coincident points
+  const α1 = distance === 0 ? 0 : Math.atan2(cosU2 * sinλ, cosU1 * sinU2 - sinU1 * cosU2 * cosλ);
+  const α2 = distance === 0 ? 0 : Math.atan2(cosU1 * sinλ, -sinU1 * cosU2 + cosU1 * sinU2 * cosλ);
+
+  return {
+    distance,
+    initialBearing: normalizeAngle(toDegrees(α1)),
+    finalBearing: normalizeAngle(toDegrees(α2)),
+    iterations,
+    converged: true,
+    method: "vincenty",
+  };
+}
+
+/**
+ * Karney's inverse solution, for the nearly antipodal cases Vincenty cannot solve
+ */
+function solveWithKarney(lat1, lng1, lat2, lng2) {
+  const { s12, azi1, azi2 } = geographiclib.Geodesic.WGS84.Inverse(lat1, lng1, lat2, lng2);
+
+  return {
+    distance: s12 / 1000,
+    initialBearing: normalizeAngle(azi1),
+    finalBearing: normalizeAngle(azi2),
+    converged: true,
+    method: "karney",
+  };
+}
+
+/**
+ * Calculate the Qibla on the WGS-84 ellipsoid
+ *
+ * @param userLat - User's latitude in degrees (-90 to 90)
+ * @param userLng - User's longitude in degrees (-180 to 180)
+ * @returns { distance, initialBearing, finalBearing, iterations, converged }
+ *
+ * @example
+ * // New York City
+ * const { initialBearing } = calculateGeodesicQibla(40.7128, -74.0060);
+ * console.log(initialBearing); // ~58.5°
+ */
+export function calculateGeodesicQibla(userLat, userLng) {
+  return solveInverseGeodesic(
+    userLat,
+    userLng,
+    MECCA_COORDINATES.lat,
+    MECCA_COORDINATES.lng
+  );
+}
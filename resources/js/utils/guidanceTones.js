@@ -0,0 +1,61 @@
+/**
+ * Short stereo tones for the accessible guidance mode (Web Audio API)
+ */
+
+const TONE_DURATION = 0.12;
+
+let context = null;
+
+/**
+ * Shared audio context, created on first use
+ * Browsers only let it start after the user has interacted with the page.
+ */
+function getContext() {
+  const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+
+  context ??= new AudioContextClass();
+  if (context.state === "suspended") context.resume().catch(() => {});
+  return context;
+}
+
+/**
+ * Play one short tone
+ *
+ * @param frequency - Pitch in Hz
+ * @param pan - Stereo position from -1 (left) to 1 (right)
+ */
+export function playGuidanceTone(frequency, pan = 0) {
+  const audio = getContext();
+  if (!audio) return;
+
+  const oscillator = audio.createOscillator();
+  const gain = audio.createGain();
+  const startAt = audio.currentTime;
+
+  oscillator.type = "sine";
+  oscillator.frequency.value = frequency;
+  gain.gain.setValueAtTime(0.0001, startAt);
+  gain.gain.exponentialRampToValueAtTime(0.25, startAt + 0.01);
+  gain.gain.exponentialRampToValueAtTime(0.0001, startAt + TONE_DURATION);
+
+  // StereoPannerNode is missing in older Safari; the tone is then centred
+  let output = oscillator.connect(gain);
+  if (audio.createStereoPanner) {
+    const panner = audio.createStereoPanner();
+    panner.pan.value = pan;
+    output = output.connect(panner);
+  }
+  output.connect(audio.destination);
+
+  oscillator.start(startAt);
+  oscillator.stop(startAt + TONE_DURATION);
+}
+
+/**
+ * Release the audio context (e.g. when guidance is switched off)
+ */
+export function closeGuidanceTones() {
+  context?.close().catch(() => {});
+  context = null;
+}
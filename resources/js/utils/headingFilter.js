@@ -0,0 +1,99 @@
+/**
+ * Adaptive compass heading filter
+ *
+ * A one-euro filter (Casiez et al., 2012) applied to the heading as a unit
+ * vector, so the 0/360 wraparound needs no special casing. The cutoff
+ * frequency rises with angular velocity: heavy smoothing while the phone is
+ * held still, little lag while turning.
+ */
+
+import { angleDifference, normalizeAngle, toDegrees, toRadians } from "./qiblaCalculations";
+
+/**
+ * Default tuning
+ * - minCutoff: cutoff (Hz) when still; lower = less jitter, more lag
+ * - beta: how quickly the cutoff rises with angular velocity (per °/s)
+ * - derivativeCutoff: cutoff (Hz) used to smooth the angular velocity itself
+ */
+export const DEFAULT_HEADING_FILTER_OPTIONS = {
+  minCutoff: 0.5,
+  beta: 0.01,
+  derivativeCutoff: 1,
+};
+
+/**
+ * Longest gap (s) treated as continuous; after that the filter restarts
+ */
+const MAX_SAMPLE_GAP = 1;
+
+/**
+ * Smoothing factor of a first-order low-pass filter
+ */
+function lowPassAlpha(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+/**
+ * Create a stateful heading filter
+ *
+ * @param options - Overrides for DEFAULT_HEADING_FILTER_OPTIONS
+ * @returns { filter(heading, timestampMs), reset() }
+ *
+ * @example
+ * const headingFilter = createHeadingFilter({ minCutoff: 0.3 });
+ * const smoothed = headingFilter.filter(rawHeading, event.timeStamp);
+ */
+export function createHeadingFilter(options = {}) {
+  const minCutoff = options.minCutoff ?? DEFAULT_HEADING_FILTER_OPTIONS.minCutoff;
+  const beta = options.beta ?? DEFAULT_HEADING_FILTER_OPTIONS.beta;
+  const derivativeCutoff =
+    options.derivativeCutoff ?? DEFAULT_HEADING_FILTER_OPTIONS.derivativeCutoff;
+
+  let previous = null; // { x, y, heading, velocity, time }
+
+  /**
+   * Feed a raw heading and get the filtered heading back
+   *
+   * @param heading - Raw heading in degrees
+   * @param timestampMs - Sample time in milliseconds
+   * @returns Filtered heading in degrees (0-360)
+   */
+  const filter = (heading, timestampMs) => {
+    const x = Math.cos(toRadians(heading));
+    const y = Math.sin(toRadians(heading));
+    const dt = previous ? (timestampMs - previous.time) / 1000 : 0;
+
+    if (!previous || dt <= 0 || dt > MAX_SAMPLE_GAP) {
+      previous = { x, y, heading: normalizeAngle(heading), velocity: 0, time: timestampMs };
+      return previous.heading;
+    }
+
+    // Angular velocity (°/s), itself low-pass filtered
+    const rawVelocity = angleDifference(previous.heading, heading) / dt;
+    const velocityAlpha = lowPassAlpha(derivativeCutoff, dt);
+    const velocity = previous.velocity + velocityAlpha * (rawVelocity - previous.velocity);
+
+    // Faster turning -> higher cutoff -> less smoothing
+    const cutoff = minCutoff + beta * Math.abs(velocity);
+    const alpha = lowPassAlpha(cutoff, dt);
+
+    const fx = previous.x + alpha * (x - previous.x);
+    const fy = previous.y + alpha * (y - previous.y);
+
+    previous = {
+      x: fx,
+      y: fy,
+      heading: normalizeAngle(toDegrees(Math.atan2(fy, fx))),
+      velocity,
+      time: timestampMs,
+    };
+    return previous.heading;
+  };
+
+  const reset = () => {
+    previous = null;
+  };
+
+  return { filter, reset };
+}
@@ -0,0 +1,125 @@
+/**
+ * Compass heading quality estimation
+ *
+ * Magnetometers drift out of calibration and are easily disturbed by nearby
+ * metal or electronics. These helpers look at the raw heading stream and
+ * estimate how far the heading can be trusted.
+ */
+
+import { angleDifference } from "./qiblaCalculations";
+
+/**
+ * Overall heading quality
+ */
+export const CALIBRATION_STATES = {
+  UNKNOWN: "unknown",
+  GOOD: "good",
+  FAIR: "fair",
+  POOR: "poor",
+};
+
+/**
+ * Reasons a heading is considered unreliable
+ * - noisy: readings jitter more than smooth hand movement explains
+ * - jumps: heading leapt in a single reading (magnetic interference)
+ * - uncalibrated: iOS reports a poor or invalid compass accuracy
+ * - notAbsolute: the browser gives orientation relative to an arbitrary start,
+ *   not to north, so no calibration can fix it
+ */
+export const CALIBRATION_ISSUES = {
+  NOISY: "noisy",
+  JUMPS: "jumps",
+  UNCALIBRATED: "uncalibrated",
+  NOT_ABSOLUTE: "notAbsolute",
+};
+
+/**
+ * Accuracy thresholds in degrees
+ */
+const GOOD_ACCURACY = 10;
+const FAIR_ACCURACY = 25;
+
+/**
+ * A change this large between two consecutive readings is a jump, not a turn
+ */
+const JUMP_THRESHOLD = 30;
+
+/**
+ * Fewer samples than this are not enough to judge
+ */
+const MIN_SAMPLES = 8;
+
+/**
+ * Sample standard deviation
+ */
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Estimate heading quality from recent raw readings
+ *
+ * Turning the phone changes the heading steadily, so noise is measured as the
+ * spread of the reading-to-reading changes rather than of the headings
+ * themselves.
+ *
+ * @param headings - Recent raw headings in degrees, oldest first
+ * @param options.compassAccuracy - iOS webkitCompassAccuracy (degrees, negative = invalid)
+ * @param options.isAbsolute - Whether the readings are referenced to north
+ * @returns { state, accuracy, issues } where accuracy is the estimated
+ *          ± error in degrees (null when unknown)
+ *
+ * @example
+ * assessHeadingQuality([90.1, 90.3, 89.8, ...], { isAbsolute: true });
+ * // { state: "good", accuracy: 2, issues: [] }
+ */
+export function assessHeadingQuality(
+  headings,
+  { compassAccuracy = null, isAbsolute = true } = {}
+) {
+  const issues = [];
+  if (!isAbsolute) issues.push(CALIBRATION_ISSUES.NOT_ABSOLUTE);
+
+  const hasReportedAccuracy = compassAccuracy !== null && compassAccuracy !== undefined;
+  if (hasReportedAccuracy && (compassAccuracy < 0 || compassAccuracy > GOOD_ACCURACY)) {
+    issues.push(CALIBRATION_ISSUES.UNCALIBRATED);
+  }
+
+  if (headings.length < MIN_SAMPLES && !hasReportedAccuracy) {
+    return {
+      state: issues.length > 0 ? CALIBRATION_STATES.POOR : CALIBRATION_STATES.UNKNOWN,
+      accuracy: null,
+      issues,
+    };
+  }
+
+  const steps = [];
+  for (let i = 1; i < headings.length; i++) {
+    steps.push(angleDifference(headings[i - 1], headings[i]));
+  }
+  const jumps = steps.filter((step) => Math.abs(step) > JUMP_THRESHOLD).length;
+  const jitter = standardDeviation(steps.filter((step) => Math.abs(step) <= JUMP_THRESHOLD));
+
+  if (jumps > 0) issues.push(CALIBRATION_ISSUES.JUMPS);
+  if (2 * jitter > GOOD_ACCURACY) issues.push(CALIBRATION_ISSUES.NOISY);
+
+  // Rough ± error: twice the per-reading jitter, plus a penalty for jumps
+  let accuracy = 2 * jitter + (jumps > 0 ? FAIR_ACCURACY : 0);
+  if (hasReportedAccuracy) {
+    accuracy = compassAccuracy < 0 ? Infinity : Math.max(accuracy, compassAccuracy);
+  }
+
+  let state = CALIBRATION_STATES.GOOD;
+  if (accuracy > FAIR_ACCURACY || !isAbsolute) state = CALIBRATION_STATES.POOR;
+  else if (accuracy > GOOD_ACCURACY) state = CALIBRATION_STATES.FAIR;
+
+  return {
+    state,
+    accuracy: Number.isFinite(accuracy) ? Math.round(accuracy) : null,
+    issues,
+  };
+}
@@ -0,0 +1,235 @@
+/**
+ * Gregorian ↔ Hijri calendar conversion
+ *
+ * Supports two calendars:
+ * - umalqura: the official Saudi Umm al-Qura calendar. The month tables come
+ *   from the browser's ICU data (Intl "islamic-umalqura"), which covers
+ *   1300-1600 AH; if the browser lacks it the tabular calendar is used.
+ * - tabular: the arithmetical (civil) Islamic calendar with a 30-year cycle
+ *   of 11 leap years (2, 5, 7, 10, 13, 16, 18, 21, 24, 26, 29).
+ *
+ * Dates are handled as local calendar days, so the time of day is ignored.
+ */
+
+import { DEFAULT_LOCALE, formatNumber, translate } from "./i18n";
+
+export const HIJRI_CALENDARS = {
+  UMM_AL_QURA: "umalqura",
+  TABULAR: "tabular",
+};
+
+/**
+ * Allowed range for the local moon sighting adjustment (days)
+ */
+export const MAX_HIJRI_ADJUSTMENT = 2;
+
+export const HIJRI_MONTH_NAMES = [
+  "Muharram",
+  "Safar",
+  "Rabi al-Awwal",
+  "Rabi al-Thani",
+  "Jumada al-Awwal",
+  "Jumada al-Thani",
+  "Rajab",
+  "Shaban",
+  "Ramadan",
+  "Shawwal",
+  "Dhul Qadah",
+  "Dhul Hijjah",
+];
+
+/**
+ * Julian day number of 1 Muharram 1 AH (civil epoch, 16 July 622 Julian)
+ */
+const ISLAMIC_EPOCH = 1948440;
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Julian day number (integer, noon-based) for a Gregorian calendar day
+ */
+function gregorianToJulianDay(year, month, day) {
+  const a = Math.floor((14 - month) / 12);
+  const y = year + 4800 - a;
+  const m = month + 12 * a - 3;
+  return (
+    day +
+    Math.floor((153 * m + 2) / 5) +
+    365 * y +
+    Math.floor(y / 4) -
+    Math.floor(y / 100) +
+    Math.floor(y / 400) -
+    32045
+  );
+}
+
+/**
+ * Local Date at midnight for a Julian day number
+ */
+function julianDayToDate(jd) {
+  const utc = new Date((jd - 2440588) * MS_PER_DAY);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+}
+
+/**
+ * Julian day number of a tabular Hijri date
+ */
+function tabularToJulianDay(year, month, day) {
+  return (
+    day +
+    Math.ceil(29.5 * (month - 1)) +
+    (year - 1) * 354 +
+    Math.floor((3 + 11 * year) / 30) +
+    ISLAMIC_EPOCH -
+    1
+  );
+}
+
+/**
+ * Tabular Hijri date for a Julian day number
+ */
+function julianDayToTabular(jd) {
+  const year = Math.floor((30 * (jd - ISLAMIC_EPOCH) + 10646) / 10631);
+  const month = Math.min(
+    12,
+    Math.ceil((jd - 29 - tabularToJulianDay(year, 1, 1)) / 29.5) + 1
+  );
+  const day = jd - tabularToJulianDay(year, month, 1) + 1;
+  return { year, month, day };
+}
+
+/**
+ * Intl formatter for the Umm al-Qura calendar, or null if unsupported
+ */
+const ummAlQuraFormatter = (() => {
+  try {
+    const formatter = new Intl.DateTimeFormat("en-u-ca-islamic-umalqura", {
+      day: "numeric",
+      month: "numeric",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+    return formatter.resolvedOptions().calendar === "islamic-umalqura"
+      ? formatter
+      : null;
+  } catch {
+    return null;
+  }
+})();
+
+/**
+ * Umm al-Qura Hijri date for a Julian day number
+ */
+function julianDayToUmmAlQura(jd) {
+  // Noon UTC keeps the formatter on the intended day
+  const parts = ummAlQuraFormatter.formatToParts(
+    new Date((jd - 2440588) * MS_PER_DAY + MS_PER_DAY / 2)
+  );
+  const value = (type) =>
+    parseInt(parts.find((part) => part.type === type).value, 10);
+
+  return { year: value("year"), month: value("month"), day: value("day") };
+}
+
+/**
+ * Whether the Umm al-Qura tables are available in this environment
+ */
+export function isUmmAlQuraSupported() {
+  return ummAlQuraFormatter !== null;
+}
+
+/**
+ * Clamp the moon sighting adjustment to ±MAX_HIJRI_ADJUSTMENT whole days
+ */
+function clampAdjustment(adjustment) {
+  return Math.max(
+    -MAX_HIJRI_ADJUSTMENT,
+    Math.min(MAX_HIJRI_ADJUSTMENT, Math.round(adjustment || 0))
+  );
+}
+
+/**
+ * Convert a Gregorian date to a Hijri date
+ *
+ * @param date - Date to convert (local calendar day is used)
+ * @param options.calendar - "umalqura" (default) or "tabular"
+ * @param options.adjustment - Days to shift for local moon sighting (-2 to 2)
+ * @returns { year, month, day, monthName, calendar } with month 1-12
+ *
+ * @example
+ * gregorianToHijri(new Date(2026, 1, 18));
+ * // { year: 1447, month: 9, day: 1, monthName: "Ramadan", calendar: "umalqura" }
+ */
+export function gregorianToHijri(
+  date = new Date(),
+  { calendar = HIJRI_CALENDARS.UMM_AL_QURA, adjustment = 0 } = {}
+) {
+  const jd =
+    gregorianToJulianDay(date.getFullYear(), date.getMonth() + 1, date.getDate()) +
+    clampAdjustment(adjustment);
+
+  const useUmmAlQura =
+    calendar === HIJRI_CALENDARS.UMM_AL_QURA && isUmmAlQuraSupported();
+  const hijri = useUmmAlQura ? julianDayToUmmAlQura(jd) : julianDayToTabular(jd);
+
+  return {
+    ...hijri,
+    monthName: HIJRI_MONTH_NAMES[hijri.month - 1],
+    calendar: useUmmAlQura ? HIJRI_CALENDARS.UMM_AL_QURA : HIJRI_CALENDARS.TABULAR,
+  };
+}
+
+/**
+ * Convert a Hijri date to a Gregorian date
+ *
+ * @param year - Hijri year
+ * @param month - Hijri month (1-12)
+ * @param day - Hijri day (1-30)
+ * @param options.calendar - "umalqura" (default) or "tabular"
+ * @param options.adjustment - Same moon sighting adjustment used for gregorianToHijri
+ * @returns Local Date at midnight
+ *
+ * @example
+ * hijriToGregorian(1447, 10, 1); // Eid al-Fitr 1447 → 20 March 2026
+ */
+export function hijriToGregorian(
+  year,
+  month,
+  day,
+  { calendar = HIJRI_CALENDARS.UMM_AL_QURA, adjustment = 0 } = {}
+) {
+  let jd = tabularToJulianDay(year, month, day);
+
+  if (calendar === HIJRI_CALENDARS.UMM_AL_QURA && isUmmAlQuraSupported()) {
+    // Start from the tabular estimate of the 1st of the month and walk to the
+    // Umm al-Qura month start (the two calendars differ by a few days at most)
+    let monthStart = tabularToJulianDay(year, month, 1);
+    for (let i = 0; i < 10; i++) {
+      const current = julianDayToUmmAlQura(monthStart);
+      const offset = (current.year - year) * 12 + (current.month - month);
+      if (offset === 0) {
+        monthStart -= current.day - 1;
+        break;
+      }
+      // Too late: jump to the end of the previous month; too early: step forward
+      monthStart += offset > 0 ? -current.day : 1;
+    }
+    jd = monthStart + day - 1;
+  }
+
+  return julianDayToDate(jd - clampAdjustment(adjustment));
+}
+
+/**
+ * Format a Hijri date for display, e.g. "1 Ramadan, 1447"
+ *
+ * @param hijri - { day, month, year } as returned by gregorianToHijri
+ * @param locale - Locale for the month name and digits
+ */
+export function formatHijriDate({ day, month, year }, locale = DEFAULT_LOCALE) {
+  return translate(locale, "hijri.date", {
+    day,
+    month: translate(locale, "hijri.months")[month - 1],
+    year: formatNumber(year, locale, { useGrouping: false }),
+  });
+}
@@ -0,0 +1,167 @@
+/**
+ * Internationalization: message catalogs, locale detection and
+ * locale-aware number and time formatting
+ *
+ * Catalogs live in resources/js/locales/<locale>.json with nested keys
+ * ("home.findTitle"). Messages interpolate {name} placeholders; plural
+ * messages are objects keyed by Intl.PluralRules category and picked with
+ * the `count` parameter. Missing keys fall back to English.
+ */
+
+import en from "../locales/en.json";
+import ar from "../locales/ar.json";
+import ur from "../locales/ur.json";
+import fr from "../locales/fr.json";
+import tr from "../locales/tr.json";
+import id from "../locales/id.json";
+
+export const DEFAULT_LOCALE = "en";
+
+export const LOCALE_STORAGE_KEY = "qibla-finder:locale";
+
+/**
+ * Supported locales with their native name, text direction and the
+ * numbering system used for digits
+ */
+export const LOCALES = {
+  en: { name: "English", dir: "ltr", numberingSystem: "latn", messages: en },
+  ar: { name: "العربية", dir: "rtl", numberingSystem: "arab", messages: ar },
+  ur: { name: "اردو", dir: "rtl", numberingSystem: "arabext", messages: ur },
+  fr: { name: "Français", dir: "ltr", numberingSystem: "latn", messages: fr },
+  tr: { name: "Türkçe", dir: "ltr", numberingSystem: "latn", messages: tr },
+  id: { name: "Bahasa Indonesia", dir: "ltr", numberingSystem: "latn", messages: id },
+};
+
+/**
+ * Legacy language subtags that map to a supported locale
+ */
+const LOCALE_ALIASES = {
+  in: "id",
+};
+
+/**
+ * Resolve a BCP 47 tag ("ar-SA", "fr", "in-ID") to a supported locale
+ *
+ * @returns Supported locale code, or null
+ */
+export function resolveLocale(tag) {
+  if (!tag) return null;
+  const base = String(tag).toLowerCase().split(/[-_]/)[0];
+  const locale = LOCALE_ALIASES[base] ?? base;
+  return LOCALES[locale] ? locale : null;
+}
+
+/**
+ * Pick the first supported locale from the browser's preferred languages
+ *
+ * @param languages - Preferred languages, most preferred first
+ * @returns Supported locale code (DEFAULT_LOCALE if none match)
+ *
+ * @example
+ * detectLocale(["ur-PK", "en-GB"]); // "ur"
+ */
+export function detectLocale(
+  languages = typeof navigator === "undefined"
+    ? []
+    : navigator.languages ?? [navigator.language]
+) {
+  for (const language of languages) {
+    const locale = resolveLocale(language);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Whether a locale is written right-to-left
+ */
+export function isRtl(locale) {
+  return LOCALES[locale]?.dir === "rtl";
+}
+
+/**
+ * Locale tag for Intl APIs, including the locale's numbering system
+ *
+ * @example
+ * toIntlLocale("ar"); // "ar-u-nu-arab"
+ */
+export function toIntlLocale(locale) {
+  const { numberingSystem } = LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE];
+  return `${LOCALES[locale] ? locale : DEFAULT_LOCALE}-u-nu-${numberingSystem}`;
+}
+
+const numberFormatters = new Map();
+
+/**
+ * Format a number with the locale's digits and separators
+ *
+ * @param value - Number to format
+ * @param locale - Supported locale code
+ * @param options - Intl.NumberFormat options
+ *
+ * @example
+ * formatNumber(1234.5, "ar", { maximumFractionDigits: 0 }); // "١٬٢٣٥"
+ */
+export function formatNumber(value, locale = DEFAULT_LOCALE, options = {}) {
+  const cacheKey = `${locale}|${JSON.stringify(options)}`;
+  if (!numberFormatters.has(cacheKey)) {
+    numberFormatters.set(cacheKey, new Intl.NumberFormat(toIntlLocale(locale), options));
+  }
+  return numberFormatters.get(cacheKey).format(value);
+}
+
+/**
+ * Format a time of day in the locale's clock convention
+ *
+ * @example
+ * formatTime(new Date(2026, 0, 1, 17, 5), "fr"); // "17:05"
+ */
+export function formatTime(date, locale = DEFAULT_LOCALE, options = {}) {
+  return date.toLocaleTimeString(toIntlLocale(locale), {
+    hour: "numeric",
+    minute: "2-digit",
+    ...options,
+  });
+}
+
+/**
+ * Look up a message by its dotted key
+ */
+function lookup(messages, key) {
+  return key.split(".").reduce((node, part) => node?.[part], messages);
+}
+
+/**
+ * Translate a message key
+ *
+ * Numeric parameters are formatted with the locale's digits; pass strings
+ * for values that are already formatted.
+ *
+ * @param locale - Supported locale code
+ * @param key - Dotted message key, e.g. "direction.turnRight"
+ * @param params - Placeholder values; `count` selects the plural form
+ * @returns Translated message, or the key itself if it is missing everywhere
+ *
+ * @example
+ * translate("en", "sunOverKaaba.inDays", { count: 3 }); // "in 3 days"
+ */
+export function translate(locale, key, params = {}) {
+  let message =
+    lookup(LOCALES[locale]?.messages, key) ??
+    lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+
+  if (message === undefined) return key;
+
+  if (typeof message === "object" && !Array.isArray(message)) {
+    const category = new Intl.PluralRules(locale).select(params.count ?? 0);
+    message = message[category] ?? message.other;
+  }
+
+  if (typeof message !== "string") return message;
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined) return placeholder;
+    return typeof value === "number" ? formatNumber(value, locale) : String(value);
+  });
+}
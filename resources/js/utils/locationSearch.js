@@ -0,0 +1,154 @@
+/**
+ * Manual location entry: coordinate parsing and offline city search
+ */
+
+import gazetteer from "../data/cities.json";
+
+/**
+ * Cities with a pre-normalized search key
+ */
+const CITIES = gazetteer.cities.map(([name, country, lat, lng]) => ({
+  name,
+  country,
+  lat,
+  lng,
+  searchKey: normalizeSearchText(name),
+  countryKey: normalizeSearchText(country),
+}));
+
+/**
+ * Lowercase and strip accents so "Sao Paulo" matches "São Paulo"
+ */
+function normalizeSearchText(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Check latitude/longitude are within valid ranges
+ */
+export function isValidCoordinate(lat, lng) {
+  return (
+    Number.isFinite(lat) &&
+    Number.isFinite(lng) &&
+    lat >= -90 &&
+    lat <= 90 &&
+    lng >= -180 &&
+    lng <= 180
+  );
+}
+
+/**
+ * Parse one coordinate component in decimal or DMS notation
+ *
+ * Accepts: "21.4225", "-74.006", "21.4225N", "21° 25' 21\" N", "21 25 21 N", "21°25.35'N",
+ * and the hemisphere first as GPS units show it: "N21.4225", "N 21° 25.35'"
+ *
+ * @returns { value, hemisphere } or null when not parseable
+ */
+function parseComponent(text) {
+  const match = text
+    .trim()
+    .match(
+      /^([NSEWnsew])?\s*([+-])?\s*(\d+(?:\.\d+)?)\s*(?:°|º|d|\s)?\s*(?:(\d+(?:\.\d+)?)\s*(?:'|′|m|\s)?\s*)?(?:(\d+(?:\.\d+)?)\s*(?:"|″|''|s)?\s*)?([NSEWnsew])?$/
+    );
+  if (!match) return null;
+
+  const [, leading, sign, degrees, minutes = "0", seconds = "0", trailing] = match;
+  if (leading && trailing) return null;
+  if (parseFloat(minutes) >= 60 || parseFloat(seconds) >= 60) return null;
+
+  const hemisphere = leading ?? trailing;
+
+  let value = parseFloat(degrees) + parseFloat(minutes) / 60 + parseFloat(seconds) / 3600;
+  if (sign === "-") value = -value;
+
+  return { value, hemisphere: hemisphere?.toUpperCase() ?? null };
+}
+
+/**
+ * Ways to split a typed pair into latitude and longitude, tried in order
+ */
+const COMPONENT_SEPARATORS = [
+  /\s*[,;]\s*/, // "21.4, 39.8"
+  /(?<=[NSns])\s+(?=[-+\d])/, // After a trailing hemisphere: "40.7 N 74.0 W"
+  /\s+(?=[NSEWnsew]\s*[-+\d])/, // Before a leading hemisphere: "N 40.7 W 74.0"
+  /\s+/, // Plain decimals: "21.4 39.8"
+];
+
+/**
+ * Parse a typed coordinate pair in decimal or degrees-minutes-seconds form
+ *
+ * @param input - e.g. "21.4225, 39.8262", "40.7128 N 74.0060 W",
+ *                "21°25'21\"N 39°49'34\"E", "N51.5 W0.12", "N 51° 30.5', W 0° 7.6'"
+ * @returns { lat, lng } or null when the text is not a valid coordinate pair
+ *
+ * @example
+ * parseCoordinates("51°30'26\"N 0°7'39\"W"); // { lat: 51.5072, lng: -0.1275 }
+ */
+export function parseCoordinates(input) {
+  if (!input) return null;
+  const text = input.trim();
+
+  // The first split that yields two valid components wins
+  let first = null;
+  let second = null;
+  for (const separator of COMPONENT_SEPARATORS) {
+    const parts = text.split(separator);
+    if (parts.length !== 2) continue;
+    first = parseComponent(parts[0]);
+    second = parseComponent(parts[1]);
+    if (first && second) break;
+  }
+  if (!first || !second) return null;
+
+  // Allow longitude-first input when hemispheres say so ("74 W, 40 N")
+  if ("EW".includes(first.hemisphere ?? "-") && "NS".includes(second.hemisphere ?? "-")) {
+    [first, second] = [second, first];
+  }
+  if (first.hemisphere && !"NS".includes(first.hemisphere)) return null;
+  if (second.hemisphere && !"EW".includes(second.hemisphere)) return null;
+
+  const lat = first.hemisphere === "S" ? -Math.abs(first.value) : first.value;
+  const lng = second.hemisphere === "W" ? -Math.abs(second.value) : second.value;
+
+  return isValidCoordinate(lat, lng) ? { lat, lng } : null;
+}
+
+/**
+ * Search the bundled city list
+ *
+ * Names starting with the query rank first, then names containing it,
+ * then matches on the country name.
+ *
+ * @param query - Free text, e.g. "kuala" or "london, united kingdom"
+ * @param limit - Maximum number of results
+ * @returns Array of { name, country, lat, lng }
+ */
+export function searchCities(query, limit = 8) {
+  const [cityPart, countryPart] = normalizeSearchText(query ?? "")
+    .split(",")
+    .map((part) => part.trim());
+  if (!cityPart) return [];
+
+  const scored = [];
+  CITIES.forEach((city) => {
+    if (countryPart && !city.countryKey.startsWith(countryPart)) return;
+
+    let score = null;
+    if (city.searchKey === cityPart) score = 0;
+    else if (city.searchKey.startsWith(cityPart)) score = 1;
+    else if (city.searchKey.includes(cityPart)) score = 2;
+    else if (!countryPart && city.countryKey.startsWith(cityPart)) score = 3;
+
+    if (score !== null) scored.push({ city, score });
+  });
+
+  return scored
+    .sort((a, b) => a.score - b.score || a.city.name.localeCompare(b.city.name))
+    .slice(0, limit)
+    .map(({ city: { name, country, lat, lng } }) => ({ name, country, lat, lng }));
+}
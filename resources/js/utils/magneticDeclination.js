@@ -0,0 +1,172 @@
+/**
+ * Magnetic declination using the World Magnetic Model (WMM)
+ *
+ * Compass sensors report headings relative to magnetic north, while the
+ * Qibla bearing is relative to true north. The declination is the angle
+ * between the two and must be added to a magnetic heading to get a true one.
+ */
+
+import wmm from "../data/wmm2025.json";
+import { toRadians, toDegrees } from "./qiblaCalculations";
+import { WGS84 } from "../constants/locations";
+
+/**
+ * First eccentricity squared of the WGS-84 ellipsoid and WMM reference radius (km)
+ */
+const WGS84_E2 = WGS84.f * (2 - WGS84.f);
+const WMM_REFERENCE_RADIUS = 6371.2;
+
+/**
+ * Highest spherical harmonic degree in the coefficient file
+ */
+const MAX_DEGREE = wmm.coefficients.reduce((max, [n]) => Math.max(max, n), 0);
+
+/**
+ * Coefficients indexed as [n][m] for the synthesis loop
+ */
+const COEFFICIENTS = (() => {
+  const table = Array.from({ length: MAX_DEGREE + 1 }, () => []);
+  wmm.coefficients.forEach(([n, m, g, h, gDot, hDot]) => {
+    table[n][m] = { g, h, gDot, hDot };
+  });
+  return table;
+})();
+
+/**
+ * Convert a Date to a decimal year (e.g. 2025.5 for early July 2025)
+ */
+export function toDecimalYear(date) {
+  const year = date.getUTCFullYear();
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  return year + (date.getTime() - start) / (end - start);
+}
+
+/**
+ * Schmidt semi-normalized associated Legendre functions and their
+ * derivatives with respect to colatitude
+ *
+ * @param cosTheta - Cosine of the geocentric colatitude
+ * @param sinTheta - Sine of the geocentric colatitude
+ * @returns { p, dp } tables indexed as [n][m]
+ */
+function legendre(cosTheta, sinTheta) {
+  const p = Array.from({ length: MAX_DEGREE + 1 }, () => []);
+  const dp = Array.from({ length: MAX_DEGREE + 1 }, () => []);
+
+  p[0][0] = 1;
+  dp[0][0] = 0;
+
+  for (let n = 1; n <= MAX_DEGREE; n++) {
+    for (let m = 0; m <= n; m++) {
+      if (n === m) {
+        const k = n === 1 ? 1 : Math.sqrt(1 - 1 / (2 * n));
+        p[n][m] = k * sinTheta * p[n - 1][m - 1];
+        dp[n][m] = k * (sinTheta * dp[n - 1][m - 1] + cosTheta * p[n - 1][m - 1]);
+      } else {
+        const prev2 = n >= 2 && m <= n - 2 ? p[n - 2][m] : 0;
+        const dprev2 = n >= 2 && m <= n - 2 ? dp[n - 2][m] : 0;
+        const k1 = (2 * n - 1) / Math.sqrt(n * n - m * m);
+        const k2 = Math.sqrt(((n - 1) * (n - 1) - m * m) / (n * n - m * m));
+        p[n][m] = k1 * cosTheta * p[n - 1][m] - k2 * prev2;
+        dp[n][m] =
+          k1 * (cosTheta * dp[n - 1][m] - sinTheta * p[n - 1][m]) - k2 * dprev2;
+      }
+    }
+  }
+
+  return { p, dp };
+}
+
+/**
+ * Calculate the magnetic field components at a location using the WMM
+ *
+ * @param lat - Geodetic latitude in degrees
+ * @param lng - Longitude in degrees
+ * @param date - Date of the observation (defaults to now)
+ * @param altitudeKm - Height above the WGS-84 ellipsoid in kilometers
+ * @returns North (X), East (Y) and Down (Z) components in nanotesla
+ */
+export function calculateMagneticField(lat, lng, date = new Date(), altitudeKm = 0) {
+  // Keep away from the poles where the east component is undefined
+  const φ = toRadians(Math.max(-89.999, Math.min(89.999, lat)));
+  const λ = toRadians(lng);
+  const dt = toDecimalYear(date) - wmm.epoch;
+
+  // Geodetic to geocentric spherical coordinates
+  const sinφ = Math.sin(φ);
+  const cosφ = Math.cos(φ);
+  const radiusOfCurvature = WGS84.a / Math.sqrt(1 - WGS84_E2 * sinφ * sinφ);
+  const p = (radiusOfCurvature + altitudeKm) * cosφ;
+  const z = (radiusOfCurvature * (1 - WGS84_E2) + altitudeKm) * sinφ;
+  const r = Math.sqrt(p * p + z * z);
+  const φc = Math.asin(z / r);
+
+  // Colatitude terms for the Legendre functions
+  const cosTheta = Math.sin(φc);
+  const sinTheta = Math.cos(φc);
+  const { p: P, dp: dP } = legendre(cosTheta, sinTheta);
+
+  let xPrime = 0;
+  let yPrime = 0;
+  let zPrime = 0;
+
+  for (let n = 1; n <= MAX_DEGREE; n++) {
+    const ratio = Math.pow(WMM_REFERENCE_RADIUS / r, n + 2);
+
+    for (let m = 0; m <= n; m++) {
+      const { g, h, gDot, hDot } = COEFFICIENTS[n][m];
+      const gt = g + dt * gDot;
+      const ht = h + dt * hDot;
+      const cosMλ = Math.cos(m * λ);
+      const sinMλ = Math.sin(m * λ);
+
+      xPrime += ratio * (gt * cosMλ + ht * sinMλ) * dP[n][m];
+      yPrime += (ratio * m * (gt * sinMλ - ht * cosMλ) * P[n][m]) / sinTheta;
+      zPrime -= ratio * (n + 1) * (gt * cosMλ + ht * sinMλ) * P[n][m];
+    }
+  }
+
+  // Rotate from geocentric back to geodetic reference frame
+  const ψ = φc - φ;
+  return {
+    x: xPrime * Math.cos(ψ) - zPrime * Math.sin(ψ),
+    y: yPrime,
+    z: xPrime * Math.sin(ψ) + zPrime * Math.cos(ψ),
+  };
+}
+
+/**
+ * Calculate the magnetic declination (variation) at a location
+ *
+ * Positive values mean magnetic north lies east of true north, so:
+ * trueHeading = magneticHeading + declination
+ *
+ * @param lat - Latitude in degrees
+ * @param lng - Longitude in degrees
+ * @param date - Date of the observation (defaults to now)
+ * @param altitudeKm - Height above the WGS-84 ellipsoid in kilometers
+ * @returns Declination in degrees (-180 to 180)
+ *
+ * @example
+ * // Anchorage, Alaska
+ * const declination = calculateMagneticDeclination(61.2181, -149.9003);
+ * console.log(declination); // ~14° (East)
+ */
+export function calculateMagneticDeclination(lat, lng, date = new Date(), altitudeKm = 0) {
+  const { x, y } = calculateMagneticField(lat, lng, date, altitudeKm);
+  return toDegrees(Math.atan2(y, x));
+}
+
+/**
+ * Whether a date falls inside the published validity window of the model
+ */
+export function isWithinModelValidity(date = new Date()) {
+  const year = toDecimalYear(date);
+  return year >= wmm.epoch && year < wmm.validUntil;
+}
+
+/**
+ * Name of the bundled model, e.g. "WMM-2025"
+ */
+export const MAGNETIC_MODEL_NAME = wmm.model;
@@ -0,0 +1,99 @@
+/**
+ * Device orientation math: rotation matrices and compass headings
+ *
+ * World frame is East-North-Up (x east, y north, z up), the frame used by
+ * both DeviceOrientationEvent and the Generic Sensor AbsoluteOrientationSensor.
+ * Matrices are row-major 3x3 arrays mapping device coordinates to world
+ * coordinates.
+ */
+
+import { normalizeAngle, toDegrees, toRadians } from "./qiblaCalculations";
+
+/**
+ * Tilt from flat (degrees) beyond which the compass dial is hard to use
+ */
+export const MAX_COMPASS_TILT = 35;
+
+/**
+ * Rotation matrix from DeviceOrientationEvent angles
+ * Z-X'-Y'' intrinsic rotation as defined by the W3C Device Orientation spec.
+ *
+ * @param alpha - Rotation about z (degrees), null treated as 0
+ * @param beta - Rotation about x (degrees, front-back tilt)
+ * @param gamma - Rotation about y (degrees, left-right tilt)
+ */
+export function rotationMatrixFromEuler(alpha, beta, gamma) {
+  const a = toRadians(alpha ?? 0);
+  const b = toRadians(beta ?? 0);
+  const g = toRadians(gamma ?? 0);
+  const cA = Math.cos(a), sA = Math.sin(a);
+  const cB = Math.cos(b), sB = Math.sin(b);
+  const cG = Math.cos(g), sG = Math.sin(g);
+
+  return [
+    [cA * cG - sA * sB * sG, -cB * sA, cG * sA * sB + cA * sG],
+    [cG * sA + cA * sB * sG, cA * cB, sA * sG - cA * cG * sB],
+    [-cB * sG, sB, cB * cG],
+  ];
+}
+
+/**
+ * Rotation matrix from a unit quaternion [x, y, z, w]
+ * (AbsoluteOrientationSensor.quaternion)
+ */
+export function quaternionToRotationMatrix([x, y, z, w]) {
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w)],
+    [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+    [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)],
+  ];
+}
+
+/**
+ * Tilt-compensated compass heading of the direction the user is facing
+ *
+ * "Forward" is the horizontal direction perpendicular to the screen's right
+ * edge. It does not depend on how far the device is pitched, so the heading
+ * stays valid from lying flat to held upright, and rolling the device
+ * sideways does not swing it either.
+ *
+ * @param matrix - Device-to-world rotation matrix
+ * @param screenAngle - screen.orientation.angle, so "forward" follows the
+ *                      top of the screen in landscape
+ * @returns Heading in degrees clockwise from north (0-360)
+ */
+export function headingFromRotationMatrix(matrix, screenAngle = 0) {
+  const theta = toRadians(screenAngle);
+
+  // Screen "right" in device coordinates, then in world coordinates
+  const rightX = Math.cos(theta);
+  const rightY = -Math.sin(theta);
+  const worldRightEast = matrix[0][0] * rightX + matrix[0][1] * rightY;
+  const worldRightNorth = matrix[1][0] * rightX + matrix[1][1] * rightY;
+
+  // Forward = up x right, which is horizontal by construction
+  return normalizeAngle(toDegrees(Math.atan2(-worldRightNorth, worldRightEast)));
+}
+
+/**
+ * How far the device is tilted from lying flat, plus bubble level offsets
+ *
+ * @param matrix - Device-to-world rotation matrix
+ * @param screenAngle - screen.orientation.angle
+ * @returns { tilt, level: { x, y } } with tilt in degrees and x/y in -1..1,
+ *          screen coordinates (x right, y down) of a bubble that floats to
+ *          the raised side
+ */
+export function tiltFromRotationMatrix(matrix, screenAngle = 0) {
+  // World "up" expressed in device coordinates
+  const [upX, upY, upZ] = matrix[2];
+  const theta = toRadians(screenAngle);
+
+  return {
+    tilt: toDegrees(Math.acos(Math.max(-1, Math.min(1, upZ)))),
+    level: {
+      x: upX * Math.cos(theta) - upY * Math.sin(theta),
+      y: -(upX * Math.sin(theta) + upY * Math.cos(theta)),
+    },
+  };
+}
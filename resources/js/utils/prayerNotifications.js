@@ -0,0 +1,109 @@
+/**
+ * Adhan notification and pre-prayer reminder scheduling
+ *
+ * Pure helpers: which notifications are due and when. Showing them is left
+ * to usePrayerNotifications and the service worker.
+ */
+
+export const NOTIFICATION_SETTINGS_STORAGE_KEY = "qibla-finder:notifications";
+
+/**
+ * Prayers that can notify; sunrise is not a prayer, so it is off by default
+ */
+export const NOTIFIABLE_PRAYERS = ["fajr", "sunrise", "dhuhr", "asr", "maghrib", "isha"];
+
+/**
+ * Choices for the "minutes before" reminder (0 = no reminder)
+ */
+export const REMINDER_MINUTES_OPTIONS = [0, 5, 10, 15, 20, 30, 45, 60];
+
+/**
+ * Tag prefix shared by every prayer notification, so they can be replaced or cancelled together
+ */
+export const NOTIFICATION_TAG_PREFIX = "prayer-";
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  prayers: {
+    fajr: true,
+    sunrise: false,
+    dhuhr: true,
+    asr: true,
+    maghrib: true,
+    isha: true,
+  },
+  reminderMinutes: 0,
+  adhanAudio: true,
+};
+
+/**
+ * Fill in defaults and drop invalid values (e.g. from old or edited storage)
+ */
+export function normalizeNotificationSettings(settings = {}) {
+  const prayers = Object.fromEntries(
+    NOTIFIABLE_PRAYERS.map((key) => [
+      key,
+      typeof settings.prayers?.[key] === "boolean"
+        ? settings.prayers[key]
+        : DEFAULT_NOTIFICATION_SETTINGS.prayers[key],
+    ])
+  );
+  const reminderMinutes = Number(settings.reminderMinutes);
+
+  return {
+    enabled: settings.enabled === true,
+    prayers,
+    reminderMinutes: REMINDER_MINUTES_OPTIONS.includes(reminderMinutes)
+      ? reminderMinutes
+      : DEFAULT_NOTIFICATION_SETTINGS.reminderMinutes,
+    adhanAudio:
+      typeof settings.adhanAudio === "boolean"
+        ? settings.adhanAudio
+        : DEFAULT_NOTIFICATION_SETTINGS.adhanAudio,
+  };
+}
+
+/**
+ * Upcoming notifications for the given days, soonest first
+ *
+ * @param days - Results of calculatePrayerTimes (e.g. today and tomorrow)
+ * @param settings - Notification settings
+ * @param now - Only events after this moment are returned
+ * @returns [{ tag, prayer, kind: "adhan" | "reminder", at, prayerTime, name, displayTime }]
+ *
+ * @example
+ * const [next] = buildNotificationSchedule([today, tomorrow], settings);
+ * setTimeout(show, next.at - Date.now());
+ */
+export function buildNotificationSchedule(days, settings, now = new Date()) {
+  if (!settings.enabled) return [];
+
+  const events = [];
+  days.forEach((day) => {
+    NOTIFIABLE_PRAYERS.forEach((key) => {
+      if (!settings.prayers[key]) return;
+
+      const { name, time, displayTime } = day.prayers[key];
+      const base = { prayer: key, prayerTime: time, name, displayTime };
+      const stamp = time.getTime();
+
+      events.push({
+        ...base,
+        tag: `${NOTIFICATION_TAG_PREFIX}${key}-${stamp}`,
+        kind: "adhan",
+        at: time,
+      });
+
+      if (settings.reminderMinutes > 0) {
+        events.push({
+          ...base,
+          tag: `${NOTIFICATION_TAG_PREFIX}${key}-${stamp}-reminder`,
+          kind: "reminder",
+          at: new Date(stamp - settings.reminderMinutes * 60 * 1000),
+        });
+      }
+    });
+  });
+
+  return events.filter((event) => event.at > now).sort((a, b) => a.at - b.at);
+}
@@ -0,0 +1,184 @@
+/**
+ * Prayer time calculation settings
+ *
+ * A plain, serializable settings object is converted into adhan
+ * CalculationParameters right before calculating. "auto" values are
+ * resolved from the user's coordinates.
+ */
+
+import {
+  Coordinates,
+  CalculationMethod,
+  HighLatitudeRule,
+  Madhab,
+} from "adhan";
+import { detectCountry } from "./countryLookup";
+import { HIJRI_CALENDARS } from "./hijriCalendar";
+import countryPrayerDefaults from "../data/countryPrayerDefaults.json";
+
+/**
+ * Every calculation method supported by adhan
+ */
+export const CALCULATION_METHODS = {
+  MuslimWorldLeague: { name: "Muslim World League", fajrAngle: 18, ishaAngle: 17 },
+  NorthAmerica: { name: "Islamic Society of North America (ISNA)", fajrAngle: 15, ishaAngle: 15 },
+  UmmAlQura: { name: "Umm al-Qura University, Makkah", fajrAngle: 18.5, ishaInterval: 90 },
+  Egyptian: { name: "Egyptian General Authority of Survey", fajrAngle: 19.5, ishaAngle: 17.5 },
+  Karachi: { name: "University of Islamic Sciences, Karachi", fajrAngle: 18, ishaAngle: 18 },
+  Dubai: { name: "Dubai", fajrAngle: 18.2, ishaAngle: 18.2 },
+  Kuwait: { name: "Kuwait", fajrAngle: 18, ishaAngle: 17.5 },
+  Qatar: { name: "Qatar", fajrAngle: 18, ishaInterval: 90 },
+  MoonsightingCommittee: { name: "Moonsighting Committee Worldwide", fajrAngle: 18, ishaAngle: 18 },
+  Singapore: { name: "Singapore, Malaysia & Indonesia", fajrAngle: 20, ishaAngle: 18 },
+  Turkey: { name: "Diyanet, Turkey", fajrAngle: 18, ishaAngle: 17 },
+  Tehran: { name: "Institute of Geophysics, University of Tehran", fajrAngle: 17.7, ishaAngle: 14 },
+  Other: { name: "Custom angles", fajrAngle: 18, ishaAngle: 17 }, // Starting angles, edited in the settings
+};
+
+/**
+ * High latitude rules, "recommended" picks one based on latitude
+ */
+export const HIGH_LATITUDE_RULES = {
+  recommended: "Recommended for location",
+  [HighLatitudeRule.MiddleOfTheNight]: "Middle of the night",
+  [HighLatitudeRule.SeventhOfTheNight]: "Seventh of the night",
+  [HighLatitudeRule.TwilightAngle]: "Twilight angle",
+};
+
+/**
+ * Asr juristic methods
+ */
+export const MADHABS = {
+  [Madhab.Shafi]: "Shafi, Maliki, Hanbali (standard)",
+  [Madhab.Hanafi]: "Hanafi (later Asr)",
+};
+
+/**
+ * Prayers that accept minute adjustments
+ */
+export const ADJUSTABLE_PRAYERS = ["fajr", "sunrise", "dhuhr", "asr", "maghrib", "isha"];
+
+/**
+ * Accepted custom twilight angles (degrees) and minute adjustments,
+ * the same ranges the API validates
+ */
+export const TWILIGHT_ANGLE_RANGE = { min: 0, max: 30 };
+export const ADJUSTMENT_RANGE = { min: -60, max: 60 };
+
+/**
+ * Default settings: method and madhab are picked from the user's location
+ */
+export const DEFAULT_PRAYER_SETTINGS = {
+  method: "auto",
+  madhab: "auto",
+  highLatitudeRule: "recommended",
+  fajrAngle: null, // Custom angle overrides the method's angle when set
+  ishaAngle: null,
+  adjustments: {
+    fajr: 0,
+    sunrise: 0,
+    dhuhr: 0,
+    asr: 0,
+    maghrib: 0,
+    isha: 0,
+  },
+  hijriCalendar: HIJRI_CALENDARS.UMM_AL_QURA,
+  hijriAdjustment: 0, // Days (-2 to 2) to follow local moon sighting
+};
+
+/**
+ * Suggest a calculation method and madhab for a location
+ *
+ * @param latitude - Latitude in degrees
+ * @param longitude - Longitude in degrees
+ * @returns { method, madhab, country } where country may be null
+ *
+ * @example
+ * recommendPrayerSettings(33.6844, 73.0479);
+ * // { method: "Karachi", madhab: "hanafi", country: { code: "PK", ... } }
+ */
+export function recommendPrayerSettings(latitude, longitude) {
+  const country = detectCountry(latitude, longitude);
+  // Shared with the API (app/Services/PrayerTimes/PrayerSettings.php)
+  const { fallback, countries } = countryPrayerDefaults;
+  const defaults = (country && countries[country.code]) || {};
+
+  return {
+    method: defaults.method ?? fallback.method,
+    madhab: defaults.madhab ?? fallback.madhab,
+    country,
+  };
+}
+
+/**
+ * Merge partial settings over the defaults (including nested adjustments)
+ */
+export function normalizePrayerSettings(settings = {}) {
+  return {
+    ...DEFAULT_PRAYER_SETTINGS,
+    ...settings,
+    adjustments: {
+      ...DEFAULT_PRAYER_SETTINGS.adjustments,
+      ...settings.adjustments,
+    },
+  };
+}
+
+/**
+ * Resolve "auto" and "recommended" values for a location
+ *
+ * @returns Settings with concrete method, madhab and highLatitudeRule
+ */
+export function resolvePrayerSettings(settings, latitude, longitude) {
+  const normalized = normalizePrayerSettings(settings);
+  const recommended = recommendPrayerSettings(latitude, longitude);
+
+  return {
+    ...normalized,
+    method:
+      normalized.method === "auto" || !CALCULATION_METHODS[normalized.method]
+        ? recommended.method
+        : normalized.method,
+    madhab: normalized.madhab === "auto" ? recommended.madhab : normalized.madhab,
+    highLatitudeRule:
+      normalized.highLatitudeRule === "recommended"
+        ? HighLatitudeRule.recommended(new Coordinates(latitude, longitude))
+        : normalized.highLatitudeRule,
+  };
+}
+
+/**
+ * Build adhan CalculationParameters from a settings object
+ *
+ * @param settings - Prayer settings (partial settings are merged with defaults)
+ * @param latitude - Latitude in degrees, used to resolve "auto" values
+ * @param longitude - Longitude in degrees
+ * @returns adhan CalculationParameters
+ */
+export function buildCalculationParameters(settings, latitude, longitude) {
+  const resolved = resolvePrayerSettings(settings, latitude, longitude);
+  const params = CalculationMethod[resolved.method]();
+
+  params.madhab = resolved.madhab;
+  params.highLatitudeRule = resolved.highLatitudeRule;
+
+  // adhan's Other method has no angles of its own
+  if (resolved.method === "Other") {
+    params.fajrAngle = CALCULATION_METHODS.Other.fajrAngle;
+    params.ishaAngle = CALCULATION_METHODS.Other.ishaAngle;
+  }
+
+  if (typeof resolved.fajrAngle === "number") {
+    params.fajrAngle = resolved.fajrAngle;
+  }
+
+  if (typeof resolved.ishaAngle === "number") {
+    // An explicit angle replaces interval-based Isha (Umm al-Qura, Qatar)
+    params.ishaAngle = resolved.ishaAngle;
+    params.ishaInterval = 0;
+  }
+
+  params.adjustments = { ...params.adjustments, ...resolved.adjustments };
+
+  return params;
+}
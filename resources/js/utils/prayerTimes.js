@@ -1,122 +1,169 @@
+import { Coordinates, PrayerTimes, Prayer } from "adhan";
 import {
-  Coordinates,
-  CalculationMethod,
-  PrayerTimes,
-  Madhab,
-} from "adhan";
+  buildCalculationParameters,
+  resolvePrayerSettings,
+} from "./prayerSettings";
+import { gregorianToHijri, formatHijriDate } from "./hijriCalendar";
+import { DEFAULT_LOCALE, formatNumber, formatTime, translate } from "./i18n";
+import { TIME_FORMATS, timeFormatOptions } from "./preferences";
+
+const PRAYER_KEYS = ["fajr", "sunrise", "dhuhr", "asr", "maghrib", "isha"];
+
+/**
+ * Format a duration until the next prayer
+ *
+ * @param ms - Duration in milliseconds
+ * @param showSeconds - Include seconds, for live countdowns
+ * @param locale - Locale for units and digits
+ * @returns e.g. "2h 5m", "5m" or "2h 05m 09s"
+ */
+export function formatTimeRemaining(ms, showSeconds = false, locale = DEFAULT_LOCALE) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (!showSeconds) {
+    return hours > 0
+      ? translate(locale, "duration.hoursMinutes", { hours, minutes })
+      : translate(locale, "duration.minutes", { minutes });
+  }
+
+  const pad = (value) => formatNumber(value, locale, { minimumIntegerDigits: 2 });
+  return hours > 0
+    ? translate(locale, "duration.hoursMinutesSeconds", {
+        hours,
+        minutes: pad(minutes),
+        seconds: pad(seconds),
+      })
+    : translate(locale, "duration.minutesSeconds", { minutes, seconds: pad(seconds) });
+}
+
+/**
+ * Whether a string is an IANA time zone this browser knows
+ *
+ * @example
+ * isValidTimeZone("Europe/London"); // true
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * IANA time zone of this device, e.g. "Europe/London"
+ */
+export function deviceTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Time zones to choose from, always including the device's
+ */
+export function listTimeZones() {
+  const zones = Intl.supportedValuesOf?.("timeZone") ?? [];
+  const device = deviceTimeZone();
+  return zones.includes(device) ? zones : [device, ...zones];
+}
+
+/**
+ * Today's calendar date in a time zone, as a local midnight Date
+ * (the form adhan and the Hijri conversion read the date from)
+ *
+ * @param timeZone - IANA time zone, or null for the device's
+ * @param date - Instant to take the date of (defaults to now)
+ *
+ * @example
+ * calendarDateIn("Asia/Tokyo", new Date("2025-06-15T20:00:00Z")); // June 16, 00:00 local
+ */
+export function calendarDateIn(timeZone, date = new Date()) {
+  if (!timeZone) return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, year: "numeric", month: "numeric", day: "numeric" })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return new Date(parts.year, parts.month - 1, parts.day);
+}
 
 /**
  * Calculate prayer times for a given location and date
  * @param latitude - User's latitude
  * @param longitude - User's longitude
  * @param date - Date to calculate prayer times for (defaults to today)
- * @param calculationMethod - Calculation method (defaults to Muslim World League)
+ * @param settings - Prayer settings (method, madhab, high latitude rule,
+ *                   custom angles, per-prayer minute adjustments). Missing
+ *                   values use defaults, "auto" picks from the location.
+ * @param locale - Locale for prayer names, times and the Hijri date
+ * @param timeFormat - "auto", "12h" or "24h" clock for display times
+ * @param timeZone - IANA time zone for display times (the device's when null)
  * @returns Daily prayer times
  */
 export function calculatePrayerTimes(
   latitude,
   longitude,
   date = new Date(),
-  calculationMethod = CalculationMethod.MuslimWorldLeague()
+  settings = {},
+  locale = DEFAULT_LOCALE,
+  timeFormat = TIME_FORMATS.AUTO,
+  timeZone = null
 ) {
   const coordinates = new Coordinates(latitude, longitude);
-  const params = calculationMethod;
-  params.madhab = Madhab.Shafi; // You can make this configurable
+  const params = buildCalculationParameters(settings, latitude, longitude);
 
   const prayerTimes = new PrayerTimes(coordinates, date, params);
 
-  // Format time as HH:MM AM/PM
-  const formatTime = (date) => {
-    return date.toLocaleTimeString("en-US", {
-      hour: "numeric",
-      minute: "2-digit",
-      hour12: true,
-    });
-  };
-
-  // Get Hijri date (simplified - you might want a proper Hijri calendar library)
-  const getHijriDate = (date) => {
-    // This is a simplified version - consider using a proper Hijri calendar library
-    const hijriYear = 1447; // You'd calculate this properly
-    const hijriMonth = Math.floor((date.getMonth() + 9) % 12) + 1;
-    const hijriDay = date.getDate();
-
-    const monthNames = [
-      "Muharram",
-      "Safar",
-      "Rabi al-Awwal",
-      "Rabi al-Thani",
-      "Jumada al-Awwal",
-      "Jumada al-Thani",
-      "Rajab",
-      "Shaban",
-      "Ramadan",
-      "Shawwal",
-      "Dhul Qadah",
-      "Dhul Hijjah",
-    ];
-
-    return `${hijriDay} ${monthNames[hijriMonth - 1]}, ${hijriYear}`;
-  };
-
-  const prayers = {
-    fajr: {
-      name: "Fajr",
-      time: prayerTimes.fajr,
-      displayTime: formatTime(prayerTimes.fajr),
-    },
-    sunrise: {
-      name: "Sunrise",
-      time: prayerTimes.sunrise,
-      displayTime: formatTime(prayerTimes.sunrise),
-    },
-    dhuhr: {
-      name: "Dhuhr",
-      time: prayerTimes.dhuhr,
-      displayTime: formatTime(prayerTimes.dhuhr),
-    },
-    asr: {
-      name: "Asr",
-      time: prayerTimes.asr,
-      displayTime: formatTime(prayerTimes.asr),
-    },
-    maghrib: {
-      name: "Maghrib",
-      time: prayerTimes.maghrib,
-      displayTime: formatTime(prayerTimes.maghrib),
-    },
-    isha: {
-      name: "Isha",
-      time: prayerTimes.isha,
-      displayTime: formatTime(prayerTimes.isha),
-    },
-  };
+  const prayers = Object.fromEntries(
+    PRAYER_KEYS.map((key) => [
+      key,
+      {
+        name: translate(locale, `prayers.${key}`),
+        time: prayerTimes[key],
+        displayTime: formatTime(prayerTimes[key], locale, {
+          ...timeFormatOptions(timeFormat),
+          ...(timeZone && { timeZone }),
+        }),
+      },
+    ])
+  );
 
-  // Find next prayer
+  // Find next prayer (after Isha this is tomorrow's Fajr)
   const now = new Date();
-  const nextPrayer = prayerTimes.nextPrayer(now);
+  let nextPrayer = prayerTimes.nextPrayer(now);
+  let nextPrayerTime = prayerTimes.timeForPrayer(nextPrayer);
+
+  if (nextPrayer === Prayer.None) {
+    const tomorrow = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    nextPrayer = Prayer.Fajr;
+    nextPrayerTime = new PrayerTimes(coordinates, tomorrow, params).fajr;
+  }
 
   let nextPrayerInfo = null;
-  if (nextPrayer) {
-    const nextPrayerTime = prayerTimes.timeForPrayer(nextPrayer);
-    if (nextPrayerTime) {
-      const timeDiff = nextPrayerTime.getTime() - now.getTime();
-      const hours = Math.floor(timeDiff / (1000 * 60 * 60));
-      const minutes = Math.floor(
-        (timeDiff % (1000 * 60 * 60)) / (1000 * 60)
-      );
-
-      nextPrayerInfo = {
-        name: nextPrayer,
-        time: nextPrayerTime,
-        timeRemaining: hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`,
-      };
-    }
+  if (nextPrayerTime && nextPrayerTime > now) {
+    nextPrayerInfo = {
+      name: nextPrayer,
+      time: nextPrayerTime,
+      timeRemaining: formatTimeRemaining(nextPrayerTime.getTime() - now.getTime(), false, locale),
+    };
   }
 
+  const resolvedSettings = resolvePrayerSettings(settings, latitude, longitude);
+  const hijri = gregorianToHijri(date, {
+    calendar: resolvedSettings.hijriCalendar,
+    adjustment: resolvedSettings.hijriAdjustment,
+  });
+
   return {
     date,
-    hijriDate: getHijriDate(date),
+    settings: resolvedSettings,
+    hijri,
+    hijriDate: formatHijriDate(hijri, locale),
     prayers,
     nextPrayer: nextPrayerInfo,
   };
@@ -124,14 +171,29 @@ export function calculatePrayerTimes(
 
 /**
  * Get month prayer times for calendar view
+ *
+ * @param month - Month index (0 = January)
+ * @param timeZone - IANA time zone of the place; the days are its calendar
+ *                   days and display times are shown in it (the device's when null)
  */
-export function getMonthPrayerTimes(latitude, longitude, year, month) {
+export function getMonthPrayerTimes(
+  latitude,
+  longitude,
+  year,
+  month,
+  settings = {},
+  locale = DEFAULT_LOCALE,
+  timeFormat = TIME_FORMATS.AUTO,
+  timeZone = null
+) {
   const daysInMonth = new Date(year, month + 1, 0).getDate();
   const times = [];
 
   for (let day = 1; day <= daysInMonth; day++) {
     const date = new Date(year, month, day);
-    times.push(calculatePrayerTimes(latitude, longitude, date));
+    times.push(
+      calculatePrayerTimes(latitude, longitude, date, settings, locale, timeFormat, timeZone)
+    );
   }
 
   return times;
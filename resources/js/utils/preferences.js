@@ -0,0 +1,110 @@
+/**
+ * User display and behaviour preferences: distance units, clock, coordinate
+ * notation, alignment tolerance, haptics and colour theme
+ */
+
+export const PREFERENCES_STORAGE_KEY = "qibla-finder:preferences";
+
+export const DISTANCE_UNITS = {
+  KM: "km",
+  MI: "mi",
+};
+
+/**
+ * Clock used for prayer times; "auto" follows the language
+ */
+export const TIME_FORMATS = {
+  AUTO: "auto",
+  H12: "12h",
+  H24: "24h",
+};
+
+export const COORDINATE_FORMATS = {
+  DECIMAL: "decimal",
+  DMS: "dms",
+};
+
+/**
+ * Colour themes; "auto" follows the system light/dark setting
+ */
+export const THEMES = {
+  AUTO: "auto",
+  LIGHT: "light",
+  DARK: "dark",
+};
+
+/**
+ * Allowed range for the alignment tolerance (degrees either side of the Qibla)
+ */
+export const ALIGNMENT_TOLERANCE_RANGE = { min: 1, max: 15 };
+
+export const DEFAULT_PREFERENCES = {
+  distanceUnit: DISTANCE_UNITS.KM,
+  timeFormat: TIME_FORMATS.AUTO,
+  coordinateFormat: COORDINATE_FORMATS.DECIMAL,
+  alignmentTolerance: 5,
+  haptics: true,
+  theme: THEMES.AUTO,
+  accessibleMode: false, // Spoken, audio and vibration guidance towards the Qibla
+  guidanceTones: true, // Audio tones in accessible mode
+};
+
+/**
+ * Fill in defaults and drop invalid values (e.g. from old or edited storage)
+ */
+export function normalizePreferences(preferences = {}) {
+  const pick = (value, allowed, fallback) =>
+    Object.values(allowed).includes(value) ? value : fallback;
+  const tolerance = Number(preferences.alignmentTolerance);
+
+  return {
+    distanceUnit: pick(preferences.distanceUnit, DISTANCE_UNITS, DEFAULT_PREFERENCES.distanceUnit),
+    timeFormat: pick(preferences.timeFormat, TIME_FORMATS, DEFAULT_PREFERENCES.timeFormat),
+    coordinateFormat: pick(
+      preferences.coordinateFormat,
+      COORDINATE_FORMATS,
+      DEFAULT_PREFERENCES.coordinateFormat
+    ),
+    alignmentTolerance: Number.isFinite(tolerance)
+      ? Math.min(
+          ALIGNMENT_TOLERANCE_RANGE.max,
+          Math.max(ALIGNMENT_TOLERANCE_RANGE.min, Math.round(tolerance))
+        )
+      : DEFAULT_PREFERENCES.alignmentTolerance,
+    haptics:
+      typeof preferences.haptics === "boolean" ? preferences.haptics : DEFAULT_PREFERENCES.haptics,
+    theme: pick(preferences.theme, THEMES, DEFAULT_PREFERENCES.theme),
+    accessibleMode:
+      typeof preferences.accessibleMode === "boolean"
+        ? preferences.accessibleMode
+        : DEFAULT_PREFERENCES.accessibleMode,
+    guidanceTones:
+      typeof preferences.guidanceTones === "boolean"
+        ? preferences.guidanceTones
+        : DEFAULT_PREFERENCES.guidanceTones,
+  };
+}
+
+/**
+ * Intl.DateTimeFormat options for a time format preference
+ *
+ * @example
+ * formatTime(date, "en", timeFormatOptions("24h")); // "17:05"
+ */
+export function timeFormatOptions(timeFormat = TIME_FORMATS.AUTO) {
+  if (timeFormat === TIME_FORMATS.H12) return { hour12: true };
+  if (timeFormat === TIME_FORMATS.H24) return { hourCycle: "h23" };
+  return {};
+}
+
+/**
+ * Theme to apply, resolving "auto" against the system setting
+ *
+ * @param theme - Theme preference
+ * @param prefersDark - Whether the system asks for a dark theme
+ * @returns "light" or "dark"
+ */
+export function resolveTheme(theme, prefersDark = false) {
+  if (theme === THEMES.AUTO) return prefersDark ? THEMES.DARK : THEMES.LIGHT;
+  return theme;
+}
@@ -1,5 +1,6 @@
 /**
  * Core Qibla calculation utilities using spherical trigonometry
+ * (great circle and rhumb line interpretations)
  */
 
 import { MECCA_COORDINATES } from "../constants/locations";
@@ -39,10 +40,28 @@ export function toDegrees(radians) {
  * console.log(qibla); // ~58° (Northeast)
  */
 export function calculateQiblaDirection(userLat, userLng) {
+  return calculateInitialBearing(
+    userLat,
+    userLng,
+    MECCA_COORDINATES.lat,
+    MECCA_COORDINATES.lng
+  );
+}
+
+/**
+ * Calculate the initial great-circle bearing from one point to another
+ *
+ * @param lat1 - Start point latitude in degrees
+ * @param lng1 - Start point longitude in degrees
+ * @param lat2 - End point latitude in degrees
+ * @param lng2 - End point longitude in degrees
+ * @returns Bearing in degrees (0-360), where 0° is North, 90° is East
+ */
+export function calculateInitialBearing(lat1, lng1, lat2, lng2) {
   // Convert to radians
-  const φ1 = toRadians(userLat);
-  const φ2 = toRadians(MECCA_COORDINATES.lat);
-  const Δλ = toRadians(MECCA_COORDINATES.lng - userLng);
+  const φ1 = toRadians(lat1);
+  const φ2 = toRadians(lat2);
+  const Δλ = toRadians(lng2 - lng1);
 
   // Calculate bearing using spherical trigonometry
   const y = Math.sin(Δλ) * Math.cos(φ2);
@@ -59,6 +78,16 @@ export function calculateQiblaDirection(userLat, userLng) {
   return (bearing + 360) % 360;
 }
 
+/**
+ * Calculate the final great-circle bearing on arrival at the end point
+ * The final bearing differs from the initial one for all non-meridian paths
+ *
+ * @returns Bearing in degrees (0-360)
+ */
+export function calculateFinalBearing(lat1, lng1, lat2, lng2) {
+  return (calculateInitialBearing(lat2, lng2, lat1, lng1) + 180) % 360;
+}
+
 /**
  * Calculate the great-circle distance between two points on Earth
  * Uses the Haversine formula for accuracy
@@ -101,6 +130,131 @@ export function calculateDistance(lat1, lng1, lat2, lng2, radiusKm = 6371) {
   return radiusKm * c;
 }
 
+/**
+ * Points along the great circle between two points, for drawing the route
+ * Spherical linear interpolation between the two positions as unit vectors.
+ *
+ * @param lat1 - Start point latitude in degrees
+ * @param lng1 - Start point longitude in degrees
+ * @param lat2 - End point latitude in degrees
+ * @param lng2 - End point longitude in degrees
+ * @param segments - Number of segments (returns segments + 1 points)
+ * @returns Array of { lat, lng } from start to end, lng in -180..180
+ */
+export function interpolateGreatCircle(lat1, lng1, lat2, lng2, segments = 64) {
+  const φ1 = toRadians(lat1);
+  const λ1 = toRadians(lng1);
+  const φ2 = toRadians(lat2);
+  const λ2 = toRadians(lng2);
+  const δ = calculateDistance(lat1, lng1, lat2, lng2, 1);
+
+  // Same point, or antipodal (no unique great circle)
+  if (Math.sin(δ) < 1e-9) {
+    return [
+      { lat: lat1, lng: lng1 },
+      { lat: lat2, lng: lng2 },
+    ];
+  }
+
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const f = i / segments;
+    const a = Math.sin((1 - f) * δ) / Math.sin(δ);
+    const b = Math.sin(f * δ) / Math.sin(δ);
+
+    const x = a * Math.cos(φ1) * Math.cos(λ1) + b * Math.cos(φ2) * Math.cos(λ2);
+    const y = a * Math.cos(φ1) * Math.sin(λ1) + b * Math.cos(φ2) * Math.sin(λ2);
+    const z = a * Math.sin(φ1) + b * Math.sin(φ2);
+
+    points.push({
+      lat: toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+      lng: toDegrees(Math.atan2(y, x)),
+    });
+  }
+
+  return points;
+}
+
+/**
+ * Calculate the constant bearing (rhumb line / loxodrome) between two points
+ *
+ * A rhumb line crosses every meridian at the same angle, so it can be followed
+ * with a fixed compass bearing. It is longer than the great circle but is the
+ * interpretation of Qibla followed by some communities.
+ *
+ * Formula:
+ * Δψ = ln(tan(π/4 + φ2/2) / tan(π/4 + φ1/2))
+ * θ = atan2(Δλ, Δψ)
+ *
+ * @param lat1 - Start point latitude in degrees
+ * @param lng1 - Start point longitude in degrees
+ * @param lat2 - End point latitude in degrees
+ * @param lng2 - End point longitude in degrees
+ * @returns Bearing in degrees (0-360)
+ */
+export function calculateRhumbBearing(lat1, lng1, lat2, lng2) {
+  const φ1 = toRadians(lat1);
+  const φ2 = toRadians(lat2);
+  let Δλ = toRadians(lng2 - lng1);
+
+  // Take the shorter way around the antimeridian
+  if (Math.abs(Δλ) > Math.PI) {
+    Δλ = Δλ > 0 ? -(2 * Math.PI - Δλ) : 2 * Math.PI + Δλ;
+  }
+
+  // Difference in Mercator-projected latitude
+  const Δψ = Math.log(
+    Math.tan(Math.PI / 4 + φ2 / 2) / Math.tan(Math.PI / 4 + φ1 / 2)
+  );
+
+  return normalizeAngle(toDegrees(Math.atan2(Δλ, Δψ)));
+}
+
+/**
+ * Calculate the rhumb line distance between two points
+ *
+ * @param radiusKm - Earth's radius in kilometers (default: 6371)
+ * @returns Distance in kilometers
+ */
+export function calculateRhumbDistance(lat1, lng1, lat2, lng2, radiusKm = 6371) {
+  const φ1 = toRadians(lat1);
+  const φ2 = toRadians(lat2);
+  const Δφ = φ2 - φ1;
+  let Δλ = toRadians(Math.abs(lng2 - lng1));
+
+  if (Δλ > Math.PI) Δλ = 2 * Math.PI - Δλ;
+
+  const Δψ = Math.log(
+    Math.tan(Math.PI / 4 + φ2 / 2) / Math.tan(Math.PI / 4 + φ1 / 2)
+  );
+
+  // East-west lines have Δψ → 0, use cos(φ) instead of Δφ/Δψ
+  const q = Math.abs(Δψ) > 10e-12 ? Δφ / Δψ : Math.cos(φ1);
+
+  return Math.sqrt(Δφ * Δφ + q * q * Δλ * Δλ) * radiusKm;
+}
+
+/**
+ * Calculate the rhumb line Qibla direction from a given location to Mecca
+ *
+ * @param userLat - User's latitude in degrees (-90 to 90)
+ * @param userLng - User's longitude in degrees (-180 to 180)
+ * @returns Constant bearing to Mecca in degrees (0-360)
+ *
+ * @example
+ * // New York City
+ * const rhumb = calculateRhumbQiblaDirection(40.7128, -74.0060);
+ * console.log(rhumb); // ~101° (East), versus ~58° along the great circle
+ */
+export function calculateRhumbQiblaDirection(userLat, userLng) {
+  return calculateRhumbBearing(
+    userLat,
+    userLng,
+    MECCA_COORDINATES.lat,
+    MECCA_COORDINATES.lng
+  );
+}
+
 /**
  * Normalize an angle to the range 0-360 degrees
  */
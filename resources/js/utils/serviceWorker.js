@@ -0,0 +1,31 @@
+/**
+ * Service worker registration for offline use (see public/sw.js)
+ */
+
+/**
+ * Register the service worker once the page has loaded
+ * Skipped in development, where the Vite dev server serves unbundled modules.
+ *
+ * @returns Promise resolving to the registration, or null when unsupported
+ */
+export function registerServiceWorker() {
+  if (typeof window === "undefined" || !("serviceWorker" in navigator)) {
+    return Promise.resolve(null);
+  }
+  if (!import.meta.env.PROD) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const register = () => {
+      navigator.serviceWorker
+        .register("/sw.js", { scope: "/" })
+        .then(resolve)
+        .catch(() => resolve(null));
+    };
+
+    if (document.readyState === "complete") {
+      register();
+    } else {
+      window.addEventListener("load", register, { once: true });
+    }
+  });
+}
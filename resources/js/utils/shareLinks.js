@@ -0,0 +1,99 @@
+/**
+ * Shareable location links
+ *
+ * A link opens the app at a fixed location instead of asking for the device
+ * position: /at/21.4225,39.8262?name=Mecca (or /?lat=..&lng=..&name=..).
+ * The server reads the same URLs to render link previews.
+ */
+
+/**
+ * Decimals kept in links (~1 m), enough for a Qibla bearing
+ */
+export const SHARE_COORDINATE_DECIMALS = 5;
+
+const AT_PATH_PATTERN = /^\/at\/(-?\d{1,2}(?:\.\d+)?),(-?\d{1,3}(?:\.\d+)?)\/?$/;
+
+/**
+ * Longest place name kept from a link
+ */
+const MAX_NAME_LENGTH = 100;
+
+function round(value) {
+  return Number(value.toFixed(SHARE_COORDINATE_DECIMALS));
+}
+
+function toNumber(value) {
+  return value === null || value.trim() === "" ? NaN : Number(value);
+}
+
+function isValidLocation(lat, lng) {
+  return (
+    Number.isFinite(lat) &&
+    Number.isFinite(lng) &&
+    Math.abs(lat) <= 90 &&
+    Math.abs(lng) <= 180
+  );
+}
+
+/**
+ * Build a link that opens the app at a location
+ *
+ * @param lat - Latitude in degrees
+ * @param lng - Longitude in degrees
+ * @param name - Optional place name shown instead of the coordinates
+ * @param origin - Site origin (defaults to the current one)
+ * @returns Absolute URL
+ *
+ * @example
+ * buildLocationLink(51.50735, -0.12776, "London");
+ * // "https://example.com/at/51.50735,-0.12776?name=London"
+ */
+export function buildLocationLink(lat, lng, name = null, origin = window.location.origin) {
+  const url = new URL(`/at/${round(lat)},${round(lng)}`, origin);
+  if (name) url.searchParams.set("name", name);
+  return url.toString();
+}
+
+/**
+ * Read a shared location from a URL
+ *
+ * @param location - URL, string or window.location (default)
+ * @returns { lat, lng, name } or null when the URL carries no valid location
+ */
+export function parseLocationLink(location = window.location) {
+  const url = new URL(location.toString(), window.location.origin);
+  const match = url.pathname.match(AT_PATH_PATTERN);
+  const params = url.searchParams;
+
+  const lat = toNumber(match ? match[1] : params.get("lat"));
+  const lng = toNumber(match ? match[2] : params.get("lng"));
+  if (!isValidLocation(lat, lng)) return null;
+
+  const name = params.get("name")?.trim().slice(0, MAX_NAME_LENGTH) || null;
+  return { lat, lng, name };
+}
+
+/**
+ * Share a link with the Web Share API, or copy it to the clipboard
+ *
+ * @param share - { title, text, url }
+ * @returns "shared", "copied", "cancelled" or "failed"
+ */
+export async function shareLink({ title, text, url }) {
+  if (navigator.share) {
+    try {
+      await navigator.share({ title, text, url });
+      return "shared";
+    } catch (error) {
+      // Closing the share sheet is not an error
+      if (error?.name === "AbortError") return "cancelled";
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    return "copied";
+  } catch {
+    return "failed";
+  }
+}
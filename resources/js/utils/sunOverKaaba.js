@@ -0,0 +1,160 @@
+/**
+ * "Sun over the Kaaba" (Istiwa al-A'zam) dates
+ *
+ * Twice a year the sun's declination matches Mecca's latitude and, at local
+ * noon in Mecca, the sun stands directly overhead the Kaaba. Anyone who can
+ * see the sun at that moment faces the Qibla by facing it, and every
+ * vertical shadow points directly away from the Qibla.
+ *
+ * Twice more the sun passes over the Kaaba's antipode. Then the sun is
+ * exactly opposite the Qibla for the other hemisphere, and shadows point
+ * straight towards it.
+ */
+
+import { MECCA_COORDINATES } from "../constants/locations";
+import { getSubsolarPoint, getSunPosition } from "./celestial";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Kind of alignment event
+ */
+export const SUN_OVER_KAABA_EVENTS = {
+  OVERHEAD: "overhead",
+  ANTIPODAL: "antipodal",
+};
+
+/**
+ * The point on the opposite side of the Earth from the Kaaba
+ */
+export const KAABA_ANTIPODE = {
+  lat: -MECCA_COORDINATES.lat,
+  lng: MECCA_COORDINATES.lng - 180,
+};
+
+/**
+ * Windows containing each crossing, as [month (0-11), first day, days].
+ * Each stops short of a solstice so the declination is monotonic inside it.
+ */
+const SEARCH_WINDOWS = {
+  [SUN_OVER_KAABA_EVENTS.OVERHEAD]: [
+    [4, 10, 40], // late May
+    [6, 1, 40], // mid July
+  ],
+  [SUN_OVER_KAABA_EVENTS.ANTIPODAL]: [
+    [0, 1, 40], // mid January
+    [10, 10, 40], // late November
+  ],
+};
+
+const TARGETS = {
+  [SUN_OVER_KAABA_EVENTS.OVERHEAD]: MECCA_COORDINATES,
+  [SUN_OVER_KAABA_EVENTS.ANTIPODAL]: KAABA_ANTIPODE,
+};
+
+/**
+ * Signed longitude difference a - b in -180..180
+ */
+function longitudeDifference(a, b) {
+  return ((((a - b) % 360) + 540) % 360) - 180;
+}
+
+/**
+ * Moment the sun crosses a meridian, closest to a starting guess
+ * The subsolar point moves west at about 15° an hour.
+ */
+function meridianTransit(lng, guess) {
+  let time = guess.getTime();
+  for (let i = 0; i < 4; i++) {
+    const { lng: subsolarLng } = getSubsolarPoint(new Date(time));
+    time += (longitudeDifference(subsolarLng, lng) / 15) * HOUR_MS;
+  }
+  return new Date(time);
+}
+
+/**
+ * The day in a window when the sun passes closest to overhead a target
+ *
+ * @returns { date, zenithOffset } with the transit moment and how far from
+ *          the zenith the sun is then (degrees)
+ */
+function closestTransit(target, year, [month, firstDay, days]) {
+  let best = null;
+
+  for (let i = 0; i < days; i++) {
+    // Start from mean solar noon at the target's longitude
+    const guess = new Date(Date.UTC(year, month, firstDay + i, 12) - (target.lng / 15) * HOUR_MS);
+    const date = meridianTransit(target.lng, guess);
+    const zenithOffset = Math.abs(getSubsolarPoint(date).lat - target.lat);
+
+    if (!best || zenithOffset < best.zenithOffset) {
+      best = { date, zenithOffset };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * All sun-over-Kaaba events in a calendar year
+ *
+ * @param year - Gregorian year
+ * @returns Events sorted by date, each { type, date, zenithOffset }
+ *
+ * @example
+ * getSunOverKaabaEvents(2026);
+ * // [{ type: "antipodal", date: 2026-01-13T21:30Z, ... },
+ * //  { type: "overhead", date: 2026-05-28T09:18Z, ... }, ...]
+ */
+export function getSunOverKaabaEvents(year) {
+  return Object.entries(SEARCH_WINDOWS)
+    .flatMap(([type, windows]) =>
+      windows.map((window) => ({ type, ...closestTransit(TARGETS[type], year, window) }))
+    )
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * The next events from a given moment
+ * An event stays "upcoming" for an hour after it, while shadows still line up.
+ *
+ * @param from - Moment to search from
+ * @param count - How many events to return
+ * @returns Events sorted by date, each { type, date, zenithOffset }
+ */
+export function getUpcomingSunOverKaabaEvents(from = new Date(), count = 2) {
+  const year = from.getUTCFullYear();
+  const cutoff = from.getTime() - HOUR_MS;
+
+  return [...getSunOverKaabaEvents(year), ...getSunOverKaabaEvents(year + 1)]
+    .filter((event) => event.date.getTime() >= cutoff)
+    .slice(0, count);
+}
+
+/**
+ * What a vertical shadow does at the user's location during an event
+ *
+ * @param event - Event from getSunOverKaabaEvents
+ * @param lat - User latitude
+ * @param lng - User longitude
+ * @returns { isSunVisible, sunAltitude, sunAzimuth, shadowDirection } with
+ *          directions in degrees clockwise from true north
+ */
+export function getShadowAtEvent(event, lat, lng) {
+  const sun = getSunPosition(lat, lng, event.date);
+
+  return {
+    isSunVisible: sun.altitude > 0,
+    sunAltitude: sun.altitude,
+    sunAzimuth: sun.azimuth,
+    shadowDirection: (sun.azimuth + 180) % 360,
+  };
+}
+
+/**
+ * Whole days from one moment until another, rounding up
+ */
+export function daysUntil(date, from = new Date()) {
+  return Math.ceil((date.getTime() - from.getTime()) / DAY_MS);
+}
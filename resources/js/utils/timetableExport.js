@@ -0,0 +1,193 @@
+/**
+ * Export a month of prayer times (from getMonthPrayerTimes) as CSV or iCalendar,
+ * and single events as iCalendar reminders
+ */
+
+/**
+ * Prayers exported as columns / calendar events, in daily order
+ */
+const EXPORT_COLUMNS = ["fajr", "sunrise", "dhuhr", "asr", "maghrib", "isha"];
+
+/**
+ * Sunrise marks the end of Fajr and is not a prayer, so it gets no calendar event
+ */
+const CALENDAR_PRAYERS = ["fajr", "dhuhr", "asr", "maghrib", "isha"];
+
+/**
+ * Length of each calendar event in minutes
+ */
+const EVENT_DURATION_MINUTES = 15;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Local date as YYYY-MM-DD
+ */
+function formatIsoDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Time as HH:MM (24h), unambiguous for spreadsheets
+ *
+ * @param timeZone - IANA time zone, or null for the device's
+ */
+function formatIsoTime(date, timeZone = null) {
+  if (!timeZone) return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, hour: "numeric", minute: "numeric", hourCycle: "h23" })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return `${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+/**
+ * UTC timestamp in iCalendar format, e.g. 20260301T041500Z
+ */
+function formatIcsTimestamp(date) {
+  return (
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+  );
+}
+
+/**
+ * Quote a CSV field when it contains separators or quotes
+ */
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape iCalendar TEXT values (RFC 5545 §3.3.11)
+ */
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Build a CSV timetable
+ *
+ * @param days - Array returned by getMonthPrayerTimes
+ * @param options.timeZone - IANA time zone the times are written in (the device's when null)
+ * @returns CSV text with a header row
+ */
+export function buildTimetableCsv(days, { timeZone = null } = {}) {
+  const header = ["Date", "Hijri", ...EXPORT_COLUMNS.map((key) => days[0]?.prayers[key].name ?? key)];
+
+  const rows = days.map((day) => [
+    formatIsoDate(day.date),
+    day.hijriDate,
+    ...EXPORT_COLUMNS.map((key) => formatIsoTime(day.prayers[key].time, timeZone)),
+  ]);
+
+  return [header, ...rows].map((row) => row.map(escapeCsv).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Build an iCalendar (.ics) file with one event per prayer
+ *
+ * @param days - Array returned by getMonthPrayerTimes
+ * @param options.locationName - Shown as the event location
+ * @param options.timeZone - IANA time zone of the place, suggested to calendar
+ *                           apps for display (event times are UTC either way)
+ * @returns iCalendar text
+ */
+export function buildTimetableIcs(days, { locationName = "", timeZone = null } = {}) {
+  const stamp = formatIcsTimestamp(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Qibla Finder//Prayer Timetable//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Prayer Times",
+    ...(timeZone ? [`X-WR-TIMEZONE:${timeZone}`] : []),
+  ];
+
+  days.forEach((day) => {
+    CALENDAR_PRAYERS.forEach((key) => {
+      const prayer = day.prayers[key];
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${formatIcsTimestamp(prayer.time)}-${key}@qibla-finder`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsTimestamp(prayer.time)}`,
+        `DURATION:PT${EVENT_DURATION_MINUTES}M`,
+        `SUMMARY:${escapeIcsText(prayer.name)}`,
+        `DESCRIPTION:${escapeIcsText(day.hijriDate)}`,
+        ...(locationName ? [`LOCATION:${escapeIcsText(locationName)}`] : []),
+        "TRANSP:TRANSPARENT",
+        "END:VEVENT"
+      );
+    });
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Build an iCalendar (.ics) file for a single event with an alarm
+ *
+ * @param event.uid - Stable identifier, so re-importing updates the event
+ * @param event.title - Event summary
+ * @param event.description - Event details
+ * @param event.start - Event start (Date)
+ * @param event.alarmMinutesBefore - When the calendar should remind the user
+ * @returns iCalendar text
+ */
+export function buildReminderIcs({
+  uid,
+  title,
+  description = "",
+  start,
+  durationMinutes = EVENT_DURATION_MINUTES,
+  alarmMinutesBefore = 15,
+}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Qibla Finder//Reminder//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${uid}@qibla-finder`,
+    `DTSTAMP:${formatIcsTimestamp(new Date())}`,
+    `DTSTART:${formatIcsTimestamp(start)}`,
+    `DURATION:PT${durationMinutes}M`,
+    `SUMMARY:${escapeIcsText(title)}`,
+    ...(description ? [`DESCRIPTION:${escapeIcsText(description)}`] : []),
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `DESCRIPTION:${escapeIcsText(title)}`,
+    `TRIGGER:-PT${alarmMinutesBefore}M`,
+    "END:VALARM",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Trigger a browser download for generated text content
+ */
+export function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
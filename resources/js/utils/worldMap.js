@@ -0,0 +1,97 @@
+/**
+ * Offline world map in an equirectangular projection
+ *
+ * One map unit is one degree: x runs from 0 (180°W) to 360 (180°E) and
+ * y from 0 at the northern edge down to MAP_HEIGHT at the southern edge.
+ * The land outline ships with the app in resources/js/data/worldLand.json,
+ * so the map needs no tile server or network access.
+ */
+
+import worldLand from "../data/worldLand.json";
+
+/**
+ * Latitudes shown on the map; most of Antarctica is cropped away
+ */
+export const MAP_BOUNDS = {
+  north: 84,
+  south: -60,
+};
+
+export const MAP_WIDTH = 360;
+export const MAP_HEIGHT = MAP_BOUNDS.north - MAP_BOUNDS.south;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Map coordinates of a point
+ *
+ * @returns { x, y } in map units
+ */
+export function projectPoint(lat, lng) {
+  return {
+    x: round(lng + 180),
+    y: round(MAP_BOUNDS.north - lat),
+  };
+}
+
+/**
+ * Geographic coordinates of a map position, clamped to the map
+ *
+ * @returns { lat, lng } in degrees
+ */
+export function unprojectPoint(x, y) {
+  return {
+    lat: Math.min(MAP_BOUNDS.north, Math.max(MAP_BOUNDS.south, MAP_BOUNDS.north - y)),
+    lng: Math.min(180, Math.max(-180, x - 180)),
+  };
+}
+
+/**
+ * SVG path for a line through { lat, lng } points
+ * The line is broken where it crosses the antimeridian instead of being
+ * drawn back across the whole map.
+ */
+export function lineToPath(points) {
+  return points
+    .map(({ lat, lng }, i) => {
+      const { x, y } = projectPoint(lat, lng);
+      const jumps = i > 0 && Math.abs(lng - points[i - 1].lng) > 180;
+      return `${i === 0 || jumps ? "M" : "L"}${x},${y}`;
+    })
+    .join("");
+}
+
+/**
+ * SVG path for every land mass
+ */
+export const LAND_PATH = worldLand.rings
+  .map(
+    (ring) =>
+      ring
+        .map(([lng, lat], i) => {
+          const { x, y } = projectPoint(lat, lng);
+          return `${i === 0 ? "M" : "L"}${x},${y}`;
+        })
+        .join("") + "Z"
+  )
+  .join("");
+
+/**
+ * SVG path for meridians and parallels every `step` degrees
+ */
+export function graticulePath(step = 30) {
+  const lines = [];
+
+  for (let lng = -180 + step; lng < 180; lng += step) {
+    const { x } = projectPoint(0, lng);
+    lines.push(`M${x},0V${MAP_HEIGHT}`);
+  }
+  for (let lat = 0; lat < MAP_BOUNDS.north; lat += step) {
+    lines.push(`M0,${projectPoint(lat, 0).y}H${MAP_WIDTH}`);
+  }
+  for (let lat = -step; lat > MAP_BOUNDS.south; lat -= step) {
+    lines.push(`M0,${projectPoint(lat, 0).y}H${MAP_WIDTH}`);
+  }
+
+  return lines.join("");
+}
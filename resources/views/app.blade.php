@@ -5,8 +5,44 @@
         <meta name="viewport" content="width=device-width, initial-scale=1">
         <meta name="theme-color" content="#059669">
 
+        <!-- PWA -->
+        <link rel="manifest" href="/manifest.webmanifest">
+        <link rel="icon" href="/icons/icon.svg" type="image/svg+xml">
+        <link rel="apple-touch-icon" href="/icons/icon.svg">
+        <meta name="apple-mobile-web-app-capable" content="yes">
+        <meta name="apple-mobile-web-app-status-bar-style" content="black-translucent">
+
+        <!-- Apply the saved theme before first paint to avoid a light flash -->
+        <script>
+            (function () {
+                var theme = 'auto';
+                try {
+                    theme = JSON.parse(localStorage.getItem('qibla-finder:preferences') || '{}').theme || 'auto';
+                } catch (e) {}
+                if (theme === 'auto') {
+                    theme = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+                }
+                document.documentElement.dataset.theme = theme;
+            })();
+        </script>
+
         <title inertia>{{ config('app.name', 'Qibla Finder') }}</title>
 
+        <!-- Link previews (shared locations describe their own Qibla) -->
+        @php
+            $meta ??= [
+                'title' => config('app.name', 'Qibla Finder'),
+                'description' => 'Find the Qibla direction and prayer times for your location, online or offline.',
+            ];
+        @endphp
+        <meta name="description" content="{{ $meta['description'] }}">
+        <meta property="og:type" content="website">
+        <meta property="og:site_name" content="{{ config('app.name', 'Qibla Finder') }}">
+        <meta property="og:title" content="{{ $meta['title'] }}">
+        <meta property="og:description" content="{{ $meta['description'] }}">
+        <meta property="og:url" content="{{ url()->full() }}">
+        <meta name="twitter:card" content="summary">
+
         <!-- Fonts -->
         <link rel="preconnect" href="https://fonts.bunny.net">
         <link href="https://fonts.bunny.net/css?family=inter:400,500,600,700|poppins:400,500,600,700" rel="stylesheet" />
@@ -0,0 +1,39 @@
+<!DOCTYPE html>
+<html lang="{{ $widget['locale'] ?? 'en' }}" data-theme="{{ $theme === 'dark' ? 'dark' : 'light' }}">
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <meta name="robots" content="noindex">
+
+        @if ($theme === 'auto')
+            <!-- Follow the visitor's system theme -->
+            <script>
+                if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
+                    document.documentElement.dataset.theme = 'dark';
+                }
+            </script>
+        @endif
+
+        <title>{{ config('app.name', 'Qibla Finder') }}</title>
+
+        <link rel="preconnect" href="https://fonts.bunny.net">
+        <link href="https://fonts.bunny.net/css?family=inter:400,500,600,700" rel="stylesheet" />
+
+        @viteReactRefresh
+        @vite(['resources/css/app.css', 'resources/js/embed.jsx'])
+    </head>
+    <body class="font-sans antialiased bg-transparent">
+        @if ($problems)
+            <div role="alert" style="font: 14px/1.5 sans-serif; color: #b91c1c; padding: 12px;">
+                <strong>Qibla Finder widget:</strong>
+                <ul>
+                    @foreach ($problems as $problem)
+                        <li>{{ $problem }}</li>
+                    @endforeach
+                </ul>
+            </div>
+        @else
+            <div id="qibla-widget" data-options="{{ json_encode($widget) }}"></div>
+        @endif
+    </body>
+</html>
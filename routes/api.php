@@ -0,0 +1,10 @@
+<?php
+
+use App\Http\Controllers\Api\V1\PrayerTimesController;
+use App\Http\Controllers\Api\V1\QiblaController;
+use Illuminate\Support\Facades\Route;
+
+Route::prefix('v1')->middleware('throttle:api')->group(function () {
+    Route::get('/qibla', QiblaController::class);
+    Route::get('/prayer-times', PrayerTimesController::class);
+});
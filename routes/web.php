@@ -1,8 +1,19 @@
 <?php
 
+use App\Http\Controllers\EmbedController;
+use App\Http\Controllers\HomeController;
 use Illuminate\Support\Facades\Route;
 use Inertia\Inertia;
 
-Route::get('/', function () {
-    return Inertia::render('Home');
+Route::get('/', [HomeController::class, 'index']);
+
+// Shareable links: /at/21.4225,39.8262?name=Mecca
+Route::get('/at/{lat},{lng}', [HomeController::class, 'at'])
+    ->where(['lat' => '-?\d{1,2}(\.\d+)?', 'lng' => '-?\d{1,3}(\.\d+)?']);
+
+Route::get('/timetable', function () {
+    return Inertia::render('Timetable');
 });
+
+// Widget for other sites: <iframe src="/embed?lat=..&lng=.."> or public/widget.js
+Route::get('/embed', EmbedController::class);
@@ -0,0 +1,54 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+
+class EmbedTest extends TestCase
+{
+    public function test_the_widget_renders_with_its_options(): void
+    {
+        $this->get('/embed?lat=51.5194&lng=-0.0653&name=East+London+Mosque&method=MoonsightingCommittee&theme=dark&lang=ar')
+            ->assertOk()
+            ->assertSee('data-theme="dark"', false)
+            ->assertSee('lang="ar"', false)
+            ->assertSee('id="qibla-widget"', false)
+            ->assertSee('&quot;method&quot;:&quot;MoonsightingCommittee&quot;', false)
+            ->assertSee('&quot;name&quot;:&quot;East London Mosque&quot;', false);
+    }
+
+    public function test_options_default_to_the_location(): void
+    {
+        $this->get('/embed?lat=21.4225&lng=39.8262')
+            ->assertOk()
+            ->assertSee('&quot;method&quot;:&quot;auto&quot;', false)
+            ->assertSee('&quot;show&quot;:&quot;all&quot;', false);
+    }
+
+    public function test_prayer_times_can_be_shown_in_the_place_timezone(): void
+    {
+        $this->get('/embed?lat=51.5194&lng=-0.0653&timezone=Europe/London')
+            ->assertOk()
+            ->assertSee('&quot;timeZone&quot;:&quot;Europe\/London&quot;', false);
+
+        $this->get('/embed?lat=21.4225&lng=39.8262')
+            ->assertOk()
+            ->assertSee('&quot;timeZone&quot;:null', false);
+
+        $this->get('/embed?lat=51.5194&lng=-0.0653&timezone=Mars/Olympus_Mons')
+            ->assertOk()
+            ->assertSee('The timezone field must be a valid timezone.')
+            ->assertDontSee('id="qibla-widget"', false);
+    }
+
+    public function test_invalid_options_are_listed_instead_of_the_widget(): void
+    {
+        $this->get('/embed?lat=100&method=Lunar')
+            ->assertOk()
+            ->assertSee('role="alert"', false)
+            ->assertSee('The lat field must be between -90 and 90.')
+            ->assertSee('The lng field is required.')
+            ->assertSee('The selected method is invalid.')
+            ->assertDontSee('id="qibla-widget"', false);
+    }
+}
@@ -0,0 +1,130 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Services\PrayerTimes\CalculationParameters;
+use Tests\TestCase;
+
+class PrayerTimesApiTest extends TestCase
+{
+    /**
+     * Expected times come from calculatePrayerTimes in
+     * resources/js/utils/prayerTimes.js for the same day and settings.
+     */
+    public function test_it_picks_the_method_from_the_location(): void
+    {
+        $this->getJson('/api/v1/prayer-times?lat=40.7128&lng=-74.006&date=2025-06-15')
+            ->assertOk()
+            ->assertJsonPath('data.location.country.code', 'US')
+            ->assertJsonPath('data.settings.method', 'NorthAmerica')
+            ->assertJsonPath('data.settings.madhab', 'shafi')
+            ->assertJsonPath('data.settings.high_latitude_rule', 'middleofthenight')
+            ->assertJsonPath('data.timezone', 'UTC')
+            ->assertJsonPath('data.times', [
+                'fajr' => '2025-06-15T07:45:00+00:00',
+                'sunrise' => '2025-06-15T09:24:00+00:00',
+                'dhuhr' => '2025-06-15T16:58:00+00:00',
+                'asr' => '2025-06-15T20:57:00+00:00',
+                'maghrib' => '2025-06-16T00:29:00+00:00',
+                'isha' => '2025-06-16T02:09:00+00:00',
+            ]);
+    }
+
+    public function test_the_shared_country_defaults_name_known_methods(): void
+    {
+        $defaults = json_decode(file_get_contents(resource_path('js/data/countryPrayerDefaults.json')), true);
+
+        foreach ([$defaults['fallback'], ...array_values($defaults['countries'])] as $entry) {
+            $this->assertArrayHasKey($entry['method'], CalculationParameters::METHODS);
+            $this->assertContains(
+                $entry['madhab'] ?? CalculationParameters::MADHAB_SHAFI,
+                [CalculationParameters::MADHAB_SHAFI, CalculationParameters::MADHAB_HANAFI],
+            );
+        }
+    }
+
+    public function test_it_applies_seasonal_twilight_for_the_moonsighting_committee(): void
+    {
+        $this->getJson('/api/v1/prayer-times?lat=51.5074&lng=-0.1278&date=2025-06-15')
+            ->assertOk()
+            ->assertJsonPath('data.settings.method', 'MoonsightingCommittee')
+            ->assertJsonPath('data.settings.high_latitude_rule', 'seventhofthenight')
+            ->assertJsonPath('data.times', [
+                'fajr' => '2025-06-15T01:45:00+00:00',
+                'sunrise' => '2025-06-15T03:43:00+00:00',
+                'dhuhr' => '2025-06-15T12:06:00+00:00',
+                'asr' => '2025-06-15T16:24:00+00:00',
+                'maghrib' => '2025-06-15T20:23:00+00:00',
+                'isha' => '2025-06-15T21:38:00+00:00',
+            ]);
+    }
+
+    public function test_it_formats_times_in_the_requested_timezone(): void
+    {
+        $this->getJson('/api/v1/prayer-times?lat=-33.8688&lng=151.2093&date=2025-06-15&timezone=Australia/Sydney')
+            ->assertOk()
+            ->assertJsonPath('data.settings.method', 'MuslimWorldLeague')
+            ->assertJsonPath('data.times.fajr', '2025-06-15T05:29:00+10:00')
+            ->assertJsonPath('data.times.isha', '2025-06-15T18:17:00+10:00');
+    }
+
+    public function test_it_accepts_explicit_settings(): void
+    {
+        $query = http_build_query([
+            'lat' => 33.6844,
+            'lng' => 73.0479,
+            'date' => '2025-01-01',
+            'method' => 'UmmAlQura',
+            'isha_angle' => 17,
+            'adjustments' => ['fajr' => 2],
+        ]);
+
+        $this->getJson("/api/v1/prayer-times?{$query}")
+            ->assertOk()
+            ->assertJsonPath('data.settings.method', 'UmmAlQura')
+            ->assertJsonPath('data.settings.madhab', 'hanafi')
+            ->assertJsonPath('data.settings.adjustments.fajr', 2)
+            ->assertJsonPath('data.times', [
+                'fajr' => '2025-01-01T00:43:00+00:00',
+                'sunrise' => '2025-01-01T02:12:00+00:00',
+                'dhuhr' => '2025-01-01T07:11:00+00:00',
+                'asr' => '2025-01-01T10:33:00+00:00',
+                'maghrib' => '2025-01-01T12:10:00+00:00',
+                'isha' => '2025-01-01T13:34:00+00:00',
+            ]);
+    }
+
+    public function test_it_validates_the_query(): void
+    {
+        $query = http_build_query([
+            'lat' => 0,
+            'lng' => 0,
+            'date' => '15/06/2025',
+            'timezone' => 'Mars/Olympus',
+            'method' => 'Lunar',
+            'madhab' => 'other',
+            'high_latitude_rule' => 'never',
+            'fajr_angle' => 45,
+            'adjustments' => ['tahajjud' => 5],
+        ]);
+
+        $this->getJson("/api/v1/prayer-times?{$query}")
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors([
+                'date',
+                'timezone',
+                'method',
+                'madhab',
+                'high_latitude_rule',
+                'fajr_angle',
+                'adjustments',
+            ]);
+    }
+
+    public function test_it_requires_coordinates(): void
+    {
+        $this->getJson('/api/v1/prayer-times?date=2025-06-15')
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['lat', 'lng']);
+    }
+}
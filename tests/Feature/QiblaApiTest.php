@@ -0,0 +1,70 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+
+class QiblaApiTest extends TestCase
+{
+    /**
+     * Expected values come from calculateQiblaDirection, calculateFinalBearing
+     * and calculateDistance in resources/js/utils/qiblaCalculations.js.
+     */
+    public function test_it_returns_the_qibla_direction_and_distance(): void
+    {
+        $response = $this->getJson('/api/v1/qibla?lat=40.7128&lng=-74.006');
+
+        $response->assertOk()
+            ->assertJsonPath('data.location', ['lat' => 40.7128, 'lng' => -74.006])
+            ->assertJsonPath('data.kaaba', ['lat' => 21.4225, 'lng' => 39.8262]);
+
+        $this->assertEqualsWithDelta(58.48170103788368, $response->json('data.direction'), 1e-9);
+        $this->assertEqualsWithDelta(136.0428591907687, $response->json('data.final_bearing'), 1e-9);
+        $this->assertEqualsWithDelta(10306.306388597626, $response->json('data.distance_km'), 1e-6);
+    }
+
+    public function test_it_handles_the_southern_and_eastern_hemispheres(): void
+    {
+        $response = $this->getJson('/api/v1/qibla?lat=-33.8688&lng=151.2093');
+
+        $response->assertOk();
+        $this->assertEqualsWithDelta(277.4995891209515, $response->json('data.direction'), 1e-9);
+        $this->assertEqualsWithDelta(13236.255478605486, $response->json('data.distance_km'), 1e-6);
+    }
+
+    public function test_it_requires_coordinates(): void
+    {
+        $this->getJson('/api/v1/qibla')
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['lat', 'lng']);
+    }
+
+    public function test_it_rejects_out_of_range_coordinates(): void
+    {
+        $this->getJson('/api/v1/qibla?lat=91&lng=-181')
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['lat', 'lng']);
+
+        $this->getJson('/api/v1/qibla?lat=north&lng=0')
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['lat']);
+    }
+
+    public function test_it_returns_json_errors_without_an_accept_header(): void
+    {
+        $this->get('/api/v1/qibla?lat=100&lng=0')
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['lat']);
+    }
+
+    public function test_it_is_rate_limited(): void
+    {
+        for ($i = 0; $i < 60; $i++) {
+            $this->getJson('/api/v1/qibla?lat=0&lng=0')->assertOk();
+        }
+
+        $this->getJson('/api/v1/qibla?lat=0&lng=0')
+            ->assertTooManyRequests()
+            ->assertHeader('Retry-After');
+    }
+}
@@ -0,0 +1,47 @@
+<?php
+
+namespace Tests\Feature;
+
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class SharedLocationTest extends TestCase
+{
+    public function test_an_at_link_opens_the_compass_at_that_location(): void
+    {
+        $response = $this->get('/at/51.5074,-0.1278?name=London');
+
+        $response->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('Home')
+                ->where('sharedLocation', ['lat' => 51.5074, 'lng' => -0.1278, 'name' => 'London']));
+    }
+
+    public function test_query_parameters_open_the_compass_at_that_location(): void
+    {
+        $this->get('/?lat=21.4225&lng=39.8262')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('sharedLocation', ['lat' => 21.4225, 'lng' => 39.8262, 'name' => null]));
+    }
+
+    public function test_invalid_query_parameters_are_ignored(): void
+    {
+        $this->get('/?lat=120&lng=39.8262')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page->where('sharedLocation', null));
+    }
+
+    public function test_out_of_range_at_links_are_not_found(): void
+    {
+        $this->get('/at/95,10')->assertNotFound();
+        $this->get('/at/london')->assertNotFound();
+    }
+
+    public function test_link_previews_describe_the_qibla(): void
+    {
+        $this->get('/at/51.5074,-0.1278?name=London')
+            ->assertSee('<meta property="og:title" content="Qibla from London: 119° (East-Southeast)">', false)
+            ->assertSee('face 119.0° from true north (East-Southeast) to pray towards the Kaaba, 4,794 km away.', false);
+    }
+}
@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { calculateGeodesicQibla, solveInverseGeodesic } from "../../resources/js/utils/geodesic";
+
+describe("solveInverseGeodesic", () => {
+  it("solves ordinary lines with Vincenty's formula", () => {
+    const result = calculateGeodesicQibla(40.7128, -74.006);
+
+    expect(result.method).toBe("vincenty");
+    expect(result.initialBearing).toBeCloseTo(58.396, 3);
+    expect(result.distance).toBeCloseTo(10323.916, 3);
+  });
+
+  it("returns zero distance for identical points", () => {
+    const result = solveInverseGeodesic(21.4225, 39.8262, 21.4225, 39.8262);
+
+    expect(result.converged).toBe(true);
+    expect(result.distance).toBe(0);
+  });
+
+  it("follows a meridian from the exact antipode of Mecca", () => {
+    const result = calculateGeodesicQibla(-21.4225, -140.1738);
+
+    expect(result.method).toBe("karney");
+    expect(result.converged).toBe(true);
+    expect([0, 180]).toContain(Math.round(result.initialBearing));
+    expect(result.distance).toBeCloseTo(20003.93, 1);
+  });
+
+  it("solves points just off the antipode on the ellipsoid", () => {
+    const result = calculateGeodesicQibla(-21.0, -140.5);
+
+    expect(result.method).toBe("karney");
+    expect(result.converged).toBe(true);
+    expect(result.distance).toBeGreaterThan(19900);
+    expect(result.distance).toBeLessThan(20004);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { parseCoordinates } from "../../resources/js/utils/locationSearch";
+
+describe("parseCoordinates", () => {
+  it.each([
+    ["21.4225, 39.8262", 21.4225, 39.8262],
+    ["40.7128 N 74.0060 W", 40.7128, -74.006],
+    ["51°30'26\"N 0°7'39\"W", 51.5072, -0.1275],
+    ["21 25 21 N 39 49 34 E", 21.4225, 39.8261],
+    ["74.0060 W, 40.7128 N", 40.7128, -74.006],
+  ])("reads hemisphere-last input %s", (input, lat, lng) => {
+    const result = parseCoordinates(input);
+
+    expect(result.lat).toBeCloseTo(lat, 4);
+    expect(result.lng).toBeCloseTo(lng, 4);
+  });
+
+  it.each([
+    ["N 51° 30.5', W 0° 7.6'", 51.5083, -0.1267],
+    ["N51.5 W0.12", 51.5, -0.12],
+    ["S 33 52 W 151 12", -33.8667, -151.2],
+    ["W 74.006 N 40.7128", 40.7128, -74.006],
+  ])("reads hemisphere-first input %s", (input, lat, lng) => {
+    const result = parseCoordinates(input);
+
+    expect(result.lat).toBeCloseTo(lat, 4);
+    expect(result.lng).toBeCloseTo(lng, 4);
+  });
+
+  it("rejects a component with a hemisphere on both sides", () => {
+    expect(parseCoordinates("N 51.5 N, W 0.12")).toBeNull();
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { getMonthPrayerTimes } from "../../resources/js/utils/prayerTimes";
+import { buildTimetableCsv, buildTimetableIcs } from "../../resources/js/utils/timetableExport";
+
+const TOKYO = { latitude: 35.6762, longitude: 139.6503, timeZone: "Asia/Tokyo" };
+
+describe("month timetable in the place's time zone", () => {
+  const days = getMonthPrayerTimes(
+    TOKYO.latitude,
+    TOKYO.longitude,
+    2025,
+    5,
+    { method: "MuslimWorldLeague" },
+    "en",
+    "24h",
+    TOKYO.timeZone
+  );
+
+  it("has one entry per calendar day", () => {
+    expect(days).toHaveLength(30);
+    expect(days[0].date.getDate()).toBe(1);
+    expect(days[29].date.getDate()).toBe(30);
+  });
+
+  it("shows times on the place's clock whatever the device zone", () => {
+    expect(days[14].prayers.dhuhr.displayTime).toMatch(/^11:4\d$/);
+  });
+
+  it("writes CSV times on the place's clock", () => {
+    const row = buildTimetableCsv(days, { timeZone: TOKYO.timeZone }).split("\r\n")[15];
+
+    expect(row.startsWith("2025-06-15,")).toBe(true);
+    expect(row.split(",").at(-4)).toMatch(/^11:4\d$/);
+  });
+
+  it("suggests the place's zone to calendar apps", () => {
+    expect(buildTimetableIcs(days, { timeZone: TOKYO.timeZone })).toContain(
+      "X-WR-TIMEZONE:Asia/Tokyo"
+    );
+  });
+});
@@ -0,0 +1,8 @@
+import { defineConfig } from 'vitest/config';
+
+// Separate from vite.config.js: the Laravel plugin refuses to start a dev server in CI
+export default defineConfig({
+    test: {
+        include: ['tests/js/**/*.test.js'],
+    },
+});